@@ -1,7 +1,10 @@
 // server.js
-const app = require('./src/app');
 const config = require('./src/config');
 const OCRService = require('./src/services/ocrService');
+const MaintenanceService = require('./src/services/maintenanceService');
+const { getStorage } = require('./src/storage');
+const { closeRedisClient } = require('./src/utils/redisClient');
+const { resolveProcessRole } = require('./src/utils/processRole');
 const { logger } = require('./src/utils/logger');
 const { setupGlobalErrorHandlers } = require('./src/middleware/errorHandler');
 
@@ -10,44 +13,75 @@ async function startServer() {
     // Setup global error handlers
     setupGlobalErrorHandlers();
 
+    // Web processes take uploads and enqueue jobs; workers run the jobs
+    const { role, runsWeb, runsWorker } = resolveProcessRole();
+    logger.info({ message: 'Process role', role });
+
     // Initialize OCR service
-    await OCRService.initialize();
+    await OCRService.initialize({ processJobs: runsWorker });
     logger.info({ message: 'OCR service initialized successfully' });
 
-    // Create required directories
+    // Prepare the storage backend for chunks and combined uploads
+    await getStorage().ensureReady();
+    logger.info({ message: 'Storage ready', driver: config.storage.driver });
+    logger.info({ message: 'Persistence ready', driver: config.persistence.driver });
+
+    // Create log directory
     const fs = require('fs');
-    ['temp', 'uploads', 'logs'].forEach(dir => {
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-        logger.info({ message: `Created directory: ${dir}` });
-      }
-    });
+    if (!fs.existsSync('logs')) {
+      fs.mkdirSync('logs', { recursive: true });
+      logger.info({ message: 'Created directory: logs' });
+    }
+
+    // Every process sweeps its own scratch files; expired sessions,
+    // orphaned uploads and old jobs are cleaned up by web processes only
+    MaintenanceService.start({ sharedState: runsWeb });
+
+    let server = null;
+    if (runsWeb) {
 
-    // Start server
-    const PORT = config.server.port;
-    const server = app.listen(PORT, () => {
-      logger.info({ 
-        message: 'Server started successfully',
-        port: PORT,
+      // Start server
+      const app = require('./src/app');
+      const PORT = config.server.port;
+      server = app.listen(PORT, () => {
+        logger.info({ 
+          message: 'Server started successfully',
+          port: PORT,
+          role,
+          environment: config.environment,
+          nodeVersion: process.version,
+        });
+      });
+    } else {
+      logger.info({
+        message: 'Worker started successfully',
+        role,
+        concurrency: config.queue.concurrency,
         environment: config.environment,
         nodeVersion: process.version,
       });
-    });
+    }
 
     // Graceful shutdown
     const gracefulShutdown = async (signal) => {
       logger.info({ message: `Received ${signal}, shutting down gracefully` });
+
+      // No new maintenance runs; let one in progress finish before exiting
+      const maintenanceStopped = MaintenanceService.stop();
       
-      server.close(async () => {
-        try {
-          await OCRService.shutdown();
-          logger.info({ message: 'Server shut down successfully' });
-          process.exit(0);
-        } catch (error) {
-          logger.error({ message: 'Error during shutdown', error: error.message });
-          process.exit(1);
+      try {
+        if (server) {
+          await new Promise(resolve => server.close(resolve));
         }
-      });
+        await maintenanceStopped;
+        await OCRService.shutdown();
+        await closeRedisClient();
+        logger.info({ message: 'Server shut down successfully' });
+        process.exit(0);
+      } catch (error) {
+        logger.error({ message: 'Error during shutdown', error: error.message });
+        process.exit(1);
+      }
     };
 
     process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
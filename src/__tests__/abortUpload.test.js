@@ -0,0 +1,116 @@
+// src/__tests__/abortUpload.test.js
+const request = require('supertest');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+jest.mock('../services/ocrService');
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+  logError: jest.fn(),
+  logSecurityEvent: jest.fn(),
+}));
+
+const app = require('../app');
+const OCRService = require('../services/ocrService');
+const FileService = require('../services/fileService');
+const { setStorage, LocalStorageAdapter } = require('../storage');
+
+describe('DELETE /api/ocr/upload/:uploadId - Abort upload', () => {
+  const chunkData = crypto.randomBytes(64 * 1024);
+  let workDir;
+  let storage;
+
+  beforeAll(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'abort-upload-test-'));
+    storage = new LocalStorageAdapter({
+      tempDir: path.join(workDir, 'temp'),
+      uploadsDir: path.join(workDir, 'uploads'),
+    });
+    setStorage(storage);
+    // The real abort, around the mocked job lookups and cancellation
+    OCRService.abortUpload.mockImplementation(jest.requireActual('../services/ocrService').abortUpload);
+  });
+
+  afterAll(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const sendChunk = (uploadId, chunkIndex) => request(app)
+    .post('/api/ocr/chunk')
+    .field('uploadId', uploadId)
+    .field('chunkIndex', String(chunkIndex))
+    .field('totalChunks', '2')
+    .attach('chunk', chunkData, `chunk-${chunkIndex}.jpg`);
+
+  it('should abort an upload, delete its chunks and reject later chunks', async () => {
+    const created = await request(app)
+      .post('/api/ocr/upload')
+      .send({ filename: 'wrong-photo.jpg', fileSize: 2 * chunkData.length, chunkSize: chunkData.length })
+      .expect(200);
+    const { uploadId } = created.body;
+
+    await sendChunk(uploadId, 0).expect(200);
+    const [chunk] = await FileService.getChunks(uploadId);
+    await expect(storage.stat(chunk.path)).resolves.not.toBeNull();
+
+    const response = await request(app)
+      .delete(`/api/ocr/upload/${uploadId}`)
+      .expect(200);
+
+    expect(response.body).toMatchObject({ success: true, uploadId, status: 'aborted', cancelledJobs: [] });
+    await expect(storage.stat(chunk.path)).resolves.toBeNull();
+
+    const late = await sendChunk(uploadId, 1).expect(409);
+    expect(late.body.error.code).toBe('INVALID_SESSION_STATE');
+    await expect(storage.list('temp/')).resolves.toEqual([]);
+
+    const manifest = await request(app)
+      .get(`/api/ocr/upload/${uploadId}`)
+      .expect(200);
+    expect(manifest.body).toMatchObject({ status: 'aborted', receivedIndices: [] });
+
+    // Aborting twice is harmless
+    await request(app).delete(`/api/ocr/upload/${uploadId}`).expect(200);
+  });
+
+  it('should cancel jobs that are still running for the upload', async () => {
+    const uploadId = crypto.randomUUID();
+    await FileService.ingestBuffer(uploadId, chunkData, { filename: 'receipt.jpg', checksum: null });
+    await FileService.updateUploadSession(uploadId, { jobIds: ['finished-job', 'running-job'] });
+    const { combinedPath } = await FileService.getUploadSession(uploadId);
+
+    OCRService.getJobStatus.mockImplementation(async (jobId) => ({
+      jobId,
+      status: jobId === 'running-job' ? 'active' : 'completed',
+    }));
+    OCRService.cancelJob.mockResolvedValue({ cancelled: true });
+
+    const response = await request(app)
+      .delete(`/api/ocr/upload/${uploadId}`)
+      .expect(200);
+
+    expect(response.body.cancelledJobs).toEqual(['running-job']);
+    expect(OCRService.cancelJob).toHaveBeenCalledTimes(1);
+    expect(OCRService.cancelJob).toHaveBeenCalledWith('running-job');
+    await expect(storage.stat(combinedPath)).resolves.toBeNull();
+  });
+
+  it('should return 404 for unknown uploads', async () => {
+    const response = await request(app)
+      .delete(`/api/ocr/upload/${crypto.randomUUID()}`)
+      .expect(404);
+
+    expect(response.body.error.code).toBe('RESOURCE_NOT_FOUND');
+  });
+});
@@ -0,0 +1,115 @@
+// src/__tests__/assembly.benchmark.test.js
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const v8 = require('v8');
+const vm = require('vm');
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const FileService = require('../services/fileService');
+const { setStorage, LocalStorageAdapter } = require('../storage');
+
+// Collect garbage before each measurement so leftovers from setup don't skew it
+v8.setFlagsFromString('--expose-gc');
+const collectGarbage = vm.runInNewContext('gc');
+
+const CHUNK_SIZE = 1024 * 1024; // 1MB, the default client chunk size
+const SMALL_CHUNKS = 4;
+const LARGE_CHUNKS = 48;
+
+// Streams hold at most a few highWaterMark buffers at a time, so peak memory
+// must not follow file size. Buffering the whole file would blow well past this.
+const MAX_PEAK_GROWTH = 8 * 1024 * 1024;
+
+describe('Chunk assembly memory benchmark', () => {
+  const originalCwd = process.cwd();
+  let workDir;
+
+  beforeAll(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'assembly-benchmark-'));
+    process.chdir(workDir);
+    setStorage(new LocalStorageAdapter({
+      tempDir: path.join(workDir, 'temp'),
+      uploadsDir: path.join(workDir, 'uploads'),
+    }));
+  });
+
+  afterAll(async () => {
+    process.chdir(originalCwd);
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Write chunk files up front so the measurement only covers assembly
+   */
+  async function prepareUpload(uploadId, chunkCount) {
+    await FileService.createUploadSession(uploadId, {
+      filename: 'scan.jpg',
+      fileSize: chunkCount * CHUNK_SIZE,
+      chunkSize: CHUNK_SIZE,
+      maxChunks: chunkCount,
+      receivedChunks: 0,
+    });
+
+    const data = Buffer.alloc(CHUNK_SIZE);
+    const chunks = [];
+    for (let index = 0; index < chunkCount; index++) {
+      data.fill(index % 256);
+      const chunkPath = path.join('temp', `${uploadId}-chunk-${index}`);
+      await fs.writeFile(chunkPath, data);
+      chunks.push({ index, path: chunkPath, size: CHUNK_SIZE });
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Feed chunks in and finalize while sampling memory. Returns peak growth
+   * over the starting point.
+   */
+  async function measureAssembly(uploadId, chunks) {
+    // File data lives in Buffers, which are accounted as arrayBuffers
+    const memoryInUse = () => process.memoryUsage().arrayBuffers;
+
+    collectGarbage();
+    const baseline = memoryInUse();
+    let peak = baseline;
+    const sampler = setInterval(() => {
+      peak = Math.max(peak, memoryInUse());
+    }, 1);
+
+    try {
+      for (const chunk of chunks) {
+        await FileService.addChunk(uploadId, chunk);
+      }
+      const session = await FileService.finalizeUpload(uploadId);
+      peak = Math.max(peak, memoryInUse());
+      return { growth: peak - baseline, session };
+    } finally {
+      clearInterval(sampler);
+    }
+  }
+
+  it('should keep peak memory flat as file size grows', async () => {
+    const smallChunks = await prepareUpload('benchmark-small', SMALL_CHUNKS);
+    const largeChunks = await prepareUpload('benchmark-large', LARGE_CHUNKS);
+
+    const small = await measureAssembly('benchmark-small', smallChunks);
+    const large = await measureAssembly('benchmark-large', largeChunks);
+
+    const largeStats = await fs.stat(large.session.combinedPath);
+    expect(largeStats.size).toBe(LARGE_CHUNKS * CHUNK_SIZE);
+
+    // 12x the data must not cost anywhere near 12x the memory
+    expect(large.growth).toBeLessThan(small.growth + MAX_PEAK_GROWTH);
+    expect(large.growth).toBeLessThan(LARGE_CHUNKS * CHUNK_SIZE / 2);
+  }, 60000);
+});
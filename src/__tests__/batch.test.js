@@ -0,0 +1,303 @@
+// src/__tests__/batch.test.js
+const request = require('supertest');
+const zlib = require('zlib');
+const sharp = require('sharp');
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+  logError: jest.fn(),
+  logSecurityEvent: jest.fn(),
+}));
+
+const app = require('../app');
+const config = require('../config');
+const OCRService = require('../services/ocrService');
+const BatchService = require('../services/batchService');
+const { getStorage } = require('../storage');
+const { getRepositories } = require('../repositories');
+const { getJobQueue } = require('../queues');
+const { fakeCreateWorker, useOcrTestEnv } = require('./helpers/ocrTestEnv');
+
+// What the fake Tesseract reads from a light and a dark scan
+const FUEL_RECEIPT = 'PILOT TRAVEL CENTER\n03/14/2025\nDIESEL 120.5 GAL\nTOTAL $452.10';
+const LUMPER_RECEIPT = 'LUMPER SERVICES INC\nUNLOADING FEE\nTOTAL $185.00';
+
+/**
+ * Build a ZIP archive of deflated entries. declaredSize overrides the
+ * uncompressed size recorded for an entry, as a zip bomb would.
+ */
+function makeZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, data, declaredSize = data.length } of entries) {
+    const fileName = Buffer.from(name);
+    const compressed = zlib.deflateRawSync(data);
+    const crc = zlib.crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(declaredSize, 22);
+    local.writeUInt16LE(fileName.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(declaredSize, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, fileName, compressed);
+    centrals.push(central, fileName);
+    offset += local.length + fileName.length + compressed.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+describe('ZIP batch uploads', () => {
+  const originalBatch = { ...config.ocr.batch };
+  const createWorker = fakeCreateWorker(async (image) => {
+    const { channels } = await sharp(image).stats();
+    return { text: channels[0].mean > 128 ? FUEL_RECEIPT : LUMPER_RECEIPT, confidence: 85 };
+  });
+  let scans;
+
+  useOcrTestEnv('batch-test', { createWorker, alternatives: [] });
+
+  /**
+   * Store an archive and expand it
+   */
+  async function expand(uploadId, zip) {
+    const key = `uploads/${uploadId}.zip`;
+    await getStorage().write(key, zip);
+    return BatchService.expandArchive(key, uploadId, 'test-correlation');
+  }
+
+  /**
+   * Poll a batch until its archive is expanded and its jobs have finished
+   */
+  async function waitForBatch(batchId) {
+    for (let attempt = 0; attempt < 500; attempt++) {
+      const status = await BatchService.getBatchStatus(batchId);
+      if (status.completedAt) {
+        return status;
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`Batch ${batchId} did not finish`);
+  }
+
+  beforeAll(async () => {
+    // A light and a dark scan, noisy enough that the archive is not tiny
+    scans = await Promise.all([200, 0].map((base) => {
+      const pixels = Buffer.from(Array.from({ length: 400 * 300 }, () => base + Math.floor(Math.random() * 56)));
+      return sharp(pixels, { raw: { width: 400, height: 300, channels: 1 } }).png().toBuffer();
+    }));
+  });
+
+  afterEach(() => {
+    Object.assign(config.ocr.batch, originalBatch);
+    jest.restoreAllMocks();
+  });
+
+  it('should queue one job per image and report the batch as a whole', async () => {
+    const zip = makeZip([
+      { name: 'week-11/', data: Buffer.alloc(0) },
+      { name: 'week-11/fuel.png', data: scans[0] },
+      { name: 'week-11/lumper.png', data: scans[1] },
+      { name: 'week-11/notes.txt', data: Buffer.from('Receipts for week 11, truck 07') },
+      { name: '__MACOSX/week-11/._fuel.png', data: Buffer.from('metadata') },
+    ]);
+
+    const created = await request(app)
+      .post('/api/ocr/upload')
+      .send({ filename: 'week-11.zip', fileSize: zip.length, chunkSize: 1024 * 1024 })
+      .expect(200);
+    const { uploadId } = created.body;
+    await request(app)
+      .post('/api/ocr/chunk')
+      .field('uploadId', uploadId)
+      .field('chunkIndex', '0')
+      .field('totalChunks', '1')
+      .attach('chunk', zip, 'chunk.bin')
+      .expect(200);
+
+    const started = await request(app)
+      .post('/api/ocr/process')
+      .send({ uploadId })
+      .expect(200);
+
+    // The archive is expanded by a queued job, after the response
+    expect(started.body).toEqual({ batchId: expect.any(String), message: 'OCR batch processing started' });
+    const finished = await waitForBatch(started.body.batchId);
+
+    const response = await request(app)
+      .get(`/api/ocr/batch/${started.body.batchId}`)
+      .expect(200);
+
+    expect(response.body).toMatchObject({
+      batchId: started.body.batchId,
+      uploadId,
+      filename: 'week-11.zip',
+      status: 'completed',
+      progress: 1,
+      counts: { total: 3, completed: 2, rejected: 1, pending: 0, active: 0 },
+      completedAt: finished.completedAt,
+      error: null,
+    });
+    const jobs = [...response.body.jobs].sort((a, b) => a.entry - b.entry);
+    expect(jobs).toMatchObject([
+      { entry: 1, filename: 'fuel.png', status: 'completed', result: { extractedText: FUEL_RECEIPT, filename: 'fuel.png' } },
+      { entry: 2, filename: 'lumper.png', status: 'completed', result: { extractedText: LUMPER_RECEIPT, filename: 'lumper.png' } },
+      { entry: 3, filename: 'notes.txt', jobId: null, status: 'rejected', error: { code: 'INVALID_FILE_TYPE' } },
+    ]);
+    await expect(OCRService.getJobStatus(jobs[0].jobId)).resolves.toMatchObject({ batchId: started.body.batchId });
+  });
+
+  it('should fail the batch but keep the jobs queued before a corrupt entry', async () => {
+    const uploadId = 'corrupt-upload';
+    const combinedPath = `uploads/${uploadId}.zip`;
+    await getStorage().write(combinedPath, makeZip([
+      { name: 'fuel.png', data: scans[0] },
+      { name: 'bomb.png', data: Buffer.alloc(4 * 1024 * 1024), declaredSize: 1024 },
+    ]));
+    await getRepositories().sessions.create({ uploadId, filename: 'corrupt.zip', status: 'completed', combinedPath });
+
+    const { batchId } = await BatchService.startBatch(uploadId, 'test-correlation');
+    const status = await waitForBatch(batchId);
+
+    expect(status).toMatchObject({
+      status: 'failed',
+      error: { code: 'INVALID_ARCHIVE', details: { entry: 'bomb.png' } },
+      counts: { total: 1, completed: 1 },
+      jobs: [{ entry: 1, filename: 'fuel.png', status: 'completed' }],
+    });
+    await expect(getRepositories().sessions.get(uploadId)).resolves.toMatchObject({
+      jobIds: [status.jobs[0].jobId],
+      entries: [{ batchId, entry: 1, filename: 'fuel.png' }],
+    });
+  });
+
+  it('should stop expanding and queue nothing more once the upload is aborted', async () => {
+    const uploadId = 'aborted-upload';
+    const combinedPath = `uploads/${uploadId}.zip`;
+    await getStorage().write(combinedPath, makeZip([
+      { name: 'fuel.png', data: scans[0] },
+      { name: 'lumper.png', data: scans[1] },
+      { name: 'fuel-2.png', data: scans[0] },
+    ]));
+    await getRepositories().sessions.create({ uploadId, filename: 'aborted.zip', status: 'completed', combinedPath });
+
+    // The driver aborts right after the first entry is queued
+    const queueJob = OCRService.queueJob.bind(OCRService);
+    jest.spyOn(OCRService, 'queueJob').mockImplementation(async (job) => {
+      const jobId = await queueJob(job);
+      await OCRService.abortUpload(uploadId, 'test-correlation');
+      return jobId;
+    });
+
+    const { batchId } = await BatchService.startBatch(uploadId, 'test-correlation');
+    for (let attempt = 0; attempt < 500; attempt++) {
+      if ((await getJobQueue().getState(batchId))?.state === 'completed') {
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    expect(OCRService.queueJob).toHaveBeenCalledTimes(1);
+    const status = await BatchService.getBatchStatus(batchId);
+    expect(status).toMatchObject({
+      status: 'cancelled',
+      counts: { total: 1, cancelled: 1 },
+      jobs: [{ entry: 1, filename: 'fuel.png', status: 'cancelled' }],
+    });
+    await expect(getRepositories().sessions.get(uploadId)).resolves.toMatchObject({
+      status: 'aborted',
+      jobIds: [status.jobs[0].jobId],
+      entries: [],
+    });
+    const jobs = await getRepositories().jobs.list();
+    expect(jobs.filter(job => job.uploadId === uploadId)).toHaveLength(1);
+    await expect(getStorage().list('uploads/')).resolves.not.toContainEqual(
+      expect.objectContaining({ key: expect.stringContaining(uploadId) })
+    );
+  });
+
+  it('should reject archives with entries outside their folder', async () => {
+    for (const name of ['../../etc/cron.d/receipt.png', '/tmp/receipt.png']) {
+      await expect(expand('traversal-upload', makeZip([{ name, data: scans[0] }]))).rejects.toMatchObject({
+        code: 'INVALID_ARCHIVE',
+        message: 'ZIP archive contains an unsafe path',
+        details: { entry: name },
+      });
+    }
+  });
+
+  it('should enforce entry count and size limits', async () => {
+    const zip = makeZip([{ name: 'fuel.png', data: scans[0] }, { name: 'lumper.png', data: scans[1] }]);
+
+    config.ocr.batch.maxEntries = 1;
+    await expect(expand('count-upload', zip))
+      .rejects.toMatchObject({ code: 'FILE_TOO_LARGE', details: { entryCount: 2, maxEntries: 1 } });
+
+    Object.assign(config.ocr.batch, originalBatch, { maxTotalSize: scans[0].length + 1 });
+    await expect(expand('size-upload', zip))
+      .rejects.toMatchObject({ code: 'FILE_TOO_LARGE', details: { entry: 'lumper.png' } });
+    // Limits are checked before any entry is written
+    await expect(getStorage().list('uploads/')).resolves.not.toContainEqual(
+      expect.objectContaining({ key: expect.stringContaining('size-upload-') })
+    );
+  });
+
+  it('should stop an entry that inflates past its declared size', async () => {
+    const bomb = makeZip([{ name: 'bomb.png', data: Buffer.alloc(4 * 1024 * 1024), declaredSize: 1024 }]);
+
+    await expect(expand('bomb-upload', bomb)).rejects.toMatchObject({ code: 'INVALID_ARCHIVE' });
+  });
+
+  it('should prune old batches once none of their jobs is running', async () => {
+    const { batches, jobs } = getRepositories();
+    const createdAt = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+    await jobs.create({ jobId: 'running-job', status: 'active' });
+    await batches.create({ batchId: 'running-batch', createdAt, entries: [{ entry: 1, jobId: 'running-job' }] });
+    await batches.create({ batchId: 'finished-batch', createdAt, entries: [{ entry: 1, jobId: 'pruned-job' }] });
+    // Expanding, but its job is gone from the queue
+    await batches.create({ batchId: 'abandoned-batch', status: 'expanding', createdAt, entries: [] });
+
+    await expect(BatchService.pruneBatches(60 * 60 * 1000)).resolves.toBe(2);
+    await expect(batches.get('finished-batch')).resolves.toBeNull();
+    await expect(batches.get('abandoned-batch')).resolves.toBeNull();
+    await expect(batches.get('running-batch')).resolves.not.toBeNull();
+  });
+
+  it('should return 404 for unknown batches', async () => {
+    const response = await request(app)
+      .get('/api/ocr/batch/3f1c2b7e-8a4d-4c6b-9e2f-1a2b3c4d5e6f')
+      .expect(404);
+
+    expect(response.body.error.code).toBe('RESOURCE_NOT_FOUND');
+  });
+});
@@ -0,0 +1,129 @@
+// src/__tests__/duplicateDetection.test.js
+const sharp = require('sharp');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const DuplicateDetectionService = require('../services/duplicateDetectionService');
+
+describe('DuplicateDetectionService', () => {
+  let workDir;
+
+  /**
+   * Render a receipt-like test image: dark text bars on a light background
+   */
+  async function renderReceipt(filename, bars, { brightness = 1 } = {}) {
+    const width = 300;
+    const height = 600;
+    const composites = bars.map(([top, barWidth]) => ({
+      input: { create: { width: barWidth, height: 14, channels: 3, background: '#222222' } },
+      top,
+      left: 20,
+    }));
+
+    const outputPath = path.join(workDir, filename);
+    await sharp({ create: { width, height, channels: 3, background: '#f4f4f0' } })
+      .composite(composites)
+      .modulate({ brightness })
+      .jpeg()
+      .toFile(outputPath);
+
+    return outputPath;
+  }
+
+  const receiptBars = [[30, 220], [60, 140], [120, 250], [150, 90], [300, 180], [520, 240]];
+  const otherBars = [[40, 80], [200, 260], [230, 260], [260, 60], [420, 200], [560, 100]];
+
+  beforeAll(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'duplicate-test-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  describe('computePerceptualHash', () => {
+    it('should give near-identical hashes for a re-shot of the same receipt', async () => {
+      const original = await DuplicateDetectionService.computePerceptualHash(
+        await renderReceipt('original.jpg', receiptBars)
+      );
+      const reshot = await DuplicateDetectionService.computePerceptualHash(
+        await renderReceipt('reshot.jpg', receiptBars, { brightness: 0.85 })
+      );
+      const other = await DuplicateDetectionService.computePerceptualHash(
+        await renderReceipt('other.jpg', otherBars)
+      );
+
+      expect(original).toMatch(/^[0-9a-f]{16}$/);
+      expect(DuplicateDetectionService.hammingDistance(original, reshot)).toBeLessThanOrEqual(4);
+      expect(DuplicateDetectionService.hammingDistance(original, other)).toBeGreaterThan(10);
+    });
+  });
+
+  describe('computeFieldFingerprint', () => {
+    it('should normalize vendor, date and amount', () => {
+      expect(DuplicateDetectionService.computeFieldFingerprint({
+        vendorName: 'Pilot Travel Center #412',
+        date: '2024-03-02',
+        amount: '$1,204.50',
+      })).toEqual({ vendor: 'pilottravelcenter412', date: '2024-03-02', amount: 120450 });
+    });
+
+    it('should not fingerprint receipts without a usable amount', () => {
+      expect(DuplicateDetectionService.computeFieldFingerprint({
+        vendorName: 'Shell',
+        date: '2024-03-02',
+        amount: '$0.00',
+      })).toBeNull();
+    });
+  });
+
+  describe('checkAndRecord', () => {
+    it('should flag a later job whose fields match an earlier receipt', async () => {
+      const classification = { vendorName: 'Shell', date: '2024-05-10', amount: '$312.18' };
+
+      await expect(DuplicateDetectionService.checkAndRecord({
+        jobId: 'job-first',
+        perceptualHash: 'ffff0000ffff0000',
+        classification,
+      })).resolves.toEqual([]);
+
+      const matches = await DuplicateDetectionService.checkAndRecord({
+        jobId: 'job-second',
+        perceptualHash: '0000ffff0000ffff',
+        classification: { ...classification, vendorName: 'SHELL' },
+      });
+
+      expect(matches).toEqual([
+        expect.objectContaining({ jobId: 'job-first', similarity: 1, matchedOn: ['fields'] }),
+      ]);
+    });
+
+    it('should flag a later job whose image hash is close to an earlier one', async () => {
+      await DuplicateDetectionService.checkAndRecord({
+        jobId: 'job-image-first',
+        perceptualHash: '0123456789abcdef',
+        classification: null,
+      });
+
+      const matches = await DuplicateDetectionService.checkAndRecord({
+        jobId: 'job-image-second',
+        perceptualHash: '0123456789abcdee',
+        classification: null,
+      });
+
+      expect(matches).toEqual([
+        expect.objectContaining({ jobId: 'job-image-first', imageSimilarity: 0.984, matchedOn: ['image'] }),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+// src/__tests__/fileService.test.js
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const FileService = require('../services/fileService');
+const { setStorage, LocalStorageAdapter } = require('../storage');
+
+describe('FileService', () => {
+  const originalCwd = process.cwd();
+  let workDir;
+
+  beforeAll(async () => {
+    // Keep temp/ and uploads/ out of the repository while these tests run
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-service-test-'));
+    process.chdir(workDir);
+    setStorage(new LocalStorageAdapter({
+      tempDir: path.join(workDir, 'temp'),
+      uploadsDir: path.join(workDir, 'uploads'),
+    }));
+  });
+
+  afterAll(async () => {
+    process.chdir(originalCwd);
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  async function writeChunk(uploadId, index, data) {
+    const chunkPath = path.join('temp', `${uploadId}-chunk-${index}`);
+    await fs.writeFile(chunkPath, data);
+    return FileService.addChunk(uploadId, { index, path: chunkPath, size: data.length });
+  }
+
+  describe('getUploadManifest', () => {
+    it('should return null for unknown sessions', async () => {
+      await expect(FileService.getUploadManifest('missing-upload')).resolves.toBeNull();
+    });
+
+    it('should report received and missing chunk indices', async () => {
+      const uploadId = 'manifest-upload-1';
+      await FileService.createUploadSession(uploadId, {
+        filename: 'receipt.jpg',
+        fileSize: 40,
+        chunkSize: 10,
+        maxChunks: 4,
+        receivedChunks: 0,
+        status: 'uploading',
+      });
+
+      await writeChunk(uploadId, 0, Buffer.alloc(10, 1));
+      await writeChunk(uploadId, 2, Buffer.alloc(10, 3));
+
+      const manifest = await FileService.getUploadManifest(uploadId);
+
+      expect(manifest).toMatchObject({
+        uploadId,
+        status: 'uploading',
+        totalChunks: 4,
+        receivedIndices: [0, 2],
+        missingIndices: [1, 3],
+        bytesReceived: 20,
+        complete: false,
+      });
+    });
+  });
+
+  describe('combineChunks integrity checks', () => {
+    const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+    const parts = [Buffer.alloc(10, 1), Buffer.alloc(10, 2), Buffer.alloc(5, 3)];
+    const whole = Buffer.concat(parts);
+
+    async function createSession(uploadId, overrides = {}) {
+      await FileService.createUploadSession(uploadId, {
+        filename: 'receipt.jpg',
+        fileSize: whole.length,
+        chunkSize: 10,
+        maxChunks: parts.length,
+        receivedChunks: 0,
+        status: 'uploading',
+        ...overrides,
+      });
+
+      for (let index = 0; index < parts.length; index++) {
+        await writeChunk(uploadId, index, parts[index]);
+      }
+    }
+
+    it('should combine chunks when the declared checksum matches', async () => {
+      await createSession('integrity-ok', { checksum: sha256(whole) });
+
+      const combinedPath = await FileService.combineChunks('integrity-ok');
+
+      await expect(fs.readFile(combinedPath)).resolves.toEqual(whole);
+    });
+
+    it('should reject a combined file whose checksum does not match', async () => {
+      await createSession('integrity-bad-hash', { checksum: sha256(Buffer.from('something else')) });
+
+      await expect(FileService.combineChunks('integrity-bad-hash')).rejects.toMatchObject({
+        code: 'FILE_CHECKSUM_MISMATCH',
+        details: expect.objectContaining({ actual: sha256(whole) }),
+      });
+      await expect(fs.readdir('uploads')).resolves.not.toEqual(
+        expect.arrayContaining([expect.stringContaining('integrity-bad-hash')])
+      );
+    });
+
+    it('should reject a combined file that is shorter than declared', async () => {
+      await createSession('integrity-truncated', { fileSize: whole.length + 1 });
+
+      await expect(FileService.combineChunks('integrity-truncated')).rejects.toMatchObject({
+        code: 'FILE_SIZE_MISMATCH',
+        statusCode: 422,
+      });
+    });
+  });
+
+  describe('upload state machine', () => {
+    const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+    async function createSession(uploadId, maxChunks = 2) {
+      await FileService.createUploadSession(uploadId, {
+        filename: 'receipt.jpg',
+        fileSize: maxChunks * 4,
+        chunkSize: 4,
+        maxChunks,
+        receivedChunks: 0,
+      });
+    }
+
+    async function sendChunk(uploadId, index, data, suffix = 'a', extra = {}) {
+      const chunkPath = path.join('temp', `${uploadId}-chunk-${index}-${suffix}`);
+      await fs.writeFile(chunkPath, data);
+      return FileService.addChunk(uploadId, {
+        index,
+        path: chunkPath,
+        size: data.length,
+        checksum: sha256(data),
+        ...extra,
+      });
+    }
+
+    it('should count a retried chunk once', async () => {
+      await createSession('state-dedupe');
+
+      await sendChunk('state-dedupe', 0, Buffer.from('abcd'), 'first');
+      const retry = await sendChunk('state-dedupe', 0, Buffer.from('abcd'), 'retry');
+
+      expect(retry.duplicate).toBe(true);
+      await expect(FileService.getChunkCount('state-dedupe')).resolves.toBe(1);
+      await expect(fs.access(path.join('temp', 'state-dedupe-chunk-0-retry'))).rejects.toThrow();
+    });
+
+    it('should reject chunks whose totalChunks disagrees with the session', async () => {
+      await createSession('state-total-mismatch');
+
+      await expect(
+        sendChunk('state-total-mismatch', 0, Buffer.from('abcd'), 'a', { totalChunks: 3 })
+      ).rejects.toMatchObject({ code: 'CHUNK_COUNT_MISMATCH' });
+    });
+
+    it('should assemble only once when completions race', async () => {
+      await createSession('state-race');
+      await sendChunk('state-race', 0, Buffer.from('abcd'));
+      await sendChunk('state-race', 1, Buffer.from('efgh'));
+
+      const combineSpy = jest.spyOn(FileService, 'combineChunks');
+      const results = await Promise.all([
+        FileService.finalizeUpload('state-race'),
+        FileService.finalizeUpload('state-race'),
+      ]);
+
+      expect(results.filter(Boolean)).toHaveLength(1);
+      expect(combineSpy).toHaveBeenCalledTimes(1);
+      combineSpy.mockRestore();
+      await expect(FileService.getUploadSession('state-race')).resolves.toMatchObject({
+        status: 'completed',
+      });
+    });
+
+    it('should reject chunks once the session has left the uploading state', async () => {
+      await createSession('state-closed', 1);
+      await sendChunk('state-closed', 0, Buffer.from('abcd'));
+      await FileService.finalizeUpload('state-closed');
+
+      await expect(
+        sendChunk('state-closed', 0, Buffer.from('wxyz'), 'late')
+      ).rejects.toMatchObject({ code: 'INVALID_SESSION_STATE', statusCode: 409 });
+    });
+
+    it('should rebuild the assembly when an appended chunk is replaced', async () => {
+      await createSession('state-replace');
+
+      await sendChunk('state-replace', 0, Buffer.from('xxxx'), 'stale');
+      await sendChunk('state-replace', 1, Buffer.from('efgh'));
+      // Give the background append a chance to write the stale chunk first
+      await new Promise(resolve => setTimeout(resolve, 20));
+      await sendChunk('state-replace', 0, Buffer.from('abcd'), 'fresh');
+
+      const session = await FileService.finalizeUpload('state-replace');
+
+      await expect(fs.readFile(session.combinedPath, 'utf8')).resolves.toBe('abcdefgh');
+    });
+
+    it('should refuse transitions the state machine does not allow', async () => {
+      await createSession('state-guard');
+
+      await expect(
+        FileService.transitionSession('state-guard', 'completed')
+      ).rejects.toMatchObject({ code: 'INVALID_SESSION_STATE' });
+    });
+  });
+});
@@ -0,0 +1,96 @@
+// src/__tests__/helpers/ocrTestEnv.js
+// Shared setup for tests that run OCR jobs end to end with a fake Tesseract.
+// Test files still mock the logger themselves before requiring this.
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const config = require('../../config');
+const FileService = require('../../services/fileService');
+const OCRService = require('../../services/ocrService');
+const { setStorage, getStorage, LocalStorageAdapter } = require('../../storage');
+const { setJobQueue, InProcessJobQueue } = require('../../queues');
+
+/**
+ * A fake tesseract.js createWorker. Its workers answer recognize with
+ * { data: await read(image, { output, parameters }) }, where parameters
+ * holds what the worker was last given through setParameters.
+ */
+function fakeCreateWorker(read) {
+  return jest.fn(async () => {
+    const parameters = {};
+
+    return {
+      setParameters: jest.fn(async (values) => {
+        Object.assign(parameters, values);
+      }),
+      recognize: jest.fn(async (image, options, output) => ({
+        data: await read(image, { output, parameters: { ...parameters } }),
+      })),
+      terminate: jest.fn(async () => {}),
+    };
+  });
+}
+
+/**
+ * Register beforeAll/afterAll hooks for the enclosing describe that store
+ * uploads under a fresh temporary directory, queue jobs in process and
+ * initialize OCRService with createWorker. alternatives, when given,
+ * replaces the configured OCR strategy alternatives meanwhile. The
+ * returned object's workDir is set once beforeAll has run.
+ */
+function useOcrTestEnv(name, { createWorker, alternatives } = {}) {
+  const env = { workDir: null };
+  const originalScratchDir = config.storage.scratchDir;
+  const originalAlternatives = config.ocr.strategies.alternatives;
+
+  beforeAll(async () => {
+    env.workDir = await fs.mkdtemp(path.join(os.tmpdir(), `${name}-`));
+    setStorage(new LocalStorageAdapter({
+      tempDir: path.join(env.workDir, 'temp'),
+      uploadsDir: path.join(env.workDir, 'uploads'),
+    }));
+    await getStorage().ensureReady();
+    config.storage.scratchDir = path.join(env.workDir, 'scratch');
+    if (alternatives) {
+      config.ocr.strategies.alternatives = alternatives;
+    }
+    setJobQueue(new InProcessJobQueue());
+    await OCRService.initialize({ createWorker });
+  });
+
+  afterAll(async () => {
+    await OCRService.shutdown();
+    config.storage.scratchDir = originalScratchDir;
+    config.ocr.strategies.alternatives = originalAlternatives;
+    await fs.rm(env.workDir, { recursive: true, force: true });
+  });
+
+  return env;
+}
+
+/**
+ * Write data to name in the work directory and resolve with its path
+ */
+async function writeWorkFile(env, name, data) {
+  const filePath = path.join(env.workDir, name);
+  await fs.writeFile(filePath, data);
+  return filePath;
+}
+
+/**
+ * Ingest data as a finished upload, run its OCR job with the remaining
+ * options and resolve with the job's final status
+ */
+async function processUpload(uploadId, data, filename, { timeout = 5000, ...options } = {}) {
+  await FileService.ingestBuffer(uploadId, data, { filename, checksum: null });
+  const jobId = await OCRService.startProcessing(uploadId, 'test-correlation', options);
+  return OCRService.waitForJob(jobId, timeout, 10);
+}
+
+module.exports = {
+  fakeCreateWorker,
+  useOcrTestEnv,
+  writeWorkFile,
+  processUpload,
+};
@@ -0,0 +1,108 @@
+// src/__tests__/imageFormats.test.js
+const sharp = require('sharp');
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+  logError: jest.fn(),
+  logSecurityEvent: jest.fn(),
+}));
+
+const ImageValidationService = require('../services/imageValidationService');
+const { createErrorResponse } = require('../middleware/errorHandler');
+const { fakeCreateWorker, useOcrTestEnv, writeWorkFile, processUpload } = require('./helpers/ocrTestEnv');
+
+const RECEIPT_TEXT = 'PILOT TRAVEL CENTER\n03/14/2025\nDIESEL 120.5 GAL\nTOTAL $452.10';
+
+describe('WebP and HEIF images', () => {
+  const createWorker = fakeCreateWorker(async () => ({ text: RECEIPT_TEXT, confidence: 90 }));
+  const env = useOcrTestEnv('image-formats-test', { createWorker });
+  let webp;
+  let heif;
+
+  const writeFile = (name, data) => writeWorkFile(env, name, data);
+
+  /**
+   * Report HEIF files as HEVC-compressed, like iPhone photos. Sharp cannot
+   * encode HEVC, so the test images are AV1-compressed.
+   */
+  function treatHeifAsHevc() {
+    const { metadata } = sharp.prototype;
+    jest.spyOn(sharp.prototype, 'metadata').mockImplementation(async function () {
+      const result = await metadata.call(this);
+      return result.format === 'heif' ? { ...result, compression: 'hevc' } : result;
+    });
+  }
+
+  beforeAll(async () => {
+    const blank = { create: { width: 64, height: 48, channels: 3, background: '#ffffff' } };
+    webp = await sharp(blank).webp().toBuffer();
+    heif = await sharp(blank).heif({ compression: 'av1' }).toBuffer();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Runs first: heic-decode must not have been loaded yet for the missing
+  // module to be simulated
+  it('should reject HEVC images when no HEIC decoder is installed', async () => {
+    jest.doMock('heic-decode', () => {
+      throw new Error("Cannot find module 'heic-decode'");
+    });
+    treatHeifAsHevc();
+
+    const error = await ImageValidationService.validateFile(await writeFile('iphone.heic', heif)).catch(caught => caught);
+    expect(error).toMatchObject({
+      code: 'UNSUPPORTED_IMAGE_CODEC',
+      statusCode: 415,
+      message: 'No decoder is available for this image',
+      details: { format: 'heif', compression: 'hevc' },
+    });
+    // Clients can tell it apart from an unsupported file
+    expect(createErrorResponse(error).response.error.message).toMatch(/HEIC photo cannot be decoded/);
+  });
+
+  it('should accept WebP and HEIF files', async () => {
+    await expect(ImageValidationService.validateFile(await writeFile('ok.webp', webp)))
+      .resolves.toMatchObject({ format: 'webp', mimeType: 'image/webp', width: 64, height: 48 });
+    await expect(ImageValidationService.validateFile(await writeFile('ok.heic', heif)))
+      .resolves.toMatchObject({ format: 'heif', mimeType: 'image/heif', width: 64, height: 48 });
+  });
+
+  it('should reject WebP and HEIF files longer or shorter than they declare', async () => {
+    const archiveTail = Buffer.from('PK\x03\x04payload.html<script>alert(1)</script>');
+
+    for (const [name, image] of [['polyglot.webp', webp], ['polyglot.heic', heif]]) {
+      await expect(ImageValidationService.validateFile(await writeFile(name, Buffer.concat([image, archiveTail]))))
+        .rejects.toMatchObject({ code: 'INVALID_FILE_TYPE', message: 'File contains data after the end of the image' });
+      await expect(ImageValidationService.validateFile(await writeFile(name, image.subarray(0, image.length - 10))))
+        .rejects.toMatchObject({ code: 'INVALID_FILE_TYPE', message: 'Image file is truncated' });
+    }
+  });
+
+  it('should read text from WebP and HEIF uploads', async () => {
+    for (const [uploadId, image, filename] of [['webp-upload', webp, 'fuel.webp'], ['heif-upload', heif, 'fuel.heic']]) {
+      const { status, result } = await processUpload(uploadId, image, filename);
+
+      expect(status).toBe('completed');
+      expect(result).toMatchObject({ extractedText: RECEIPT_TEXT, filename });
+    }
+  });
+
+  it('should decode HEVC images with heic-decode', async () => {
+    const decode = jest.fn(async () => ({ width: 64, height: 48, data: new Uint8ClampedArray(64 * 48 * 4).fill(255) }));
+    jest.doMock('heic-decode', () => decode);
+    treatHeifAsHevc();
+
+    const { status, result } = await processUpload('hevc-upload', heif, 'iphone.heic');
+
+    expect(status).toBe('completed');
+    expect(result.extractedText).toBe(RECEIPT_TEXT);
+    expect(decode).toHaveBeenCalledWith({ buffer: expect.any(Buffer) });
+  });
+});
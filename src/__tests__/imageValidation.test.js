@@ -0,0 +1,154 @@
+// src/__tests__/imageValidation.test.js
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const sharp = require('sharp');
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+  logError: jest.fn(),
+  logSecurityEvent: jest.fn(),
+}));
+
+const ImageValidationService = require('../services/imageValidationService');
+const FileService = require('../services/fileService');
+const OCRService = require('../services/ocrService');
+const { setStorage, LocalStorageAdapter } = require('../storage');
+const { createErrorResponse } = require('../middleware/errorHandler');
+
+describe('ImageValidationService', () => {
+  let workDir;
+  let jpeg;
+  let png;
+
+  beforeAll(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'image-validation-test-'));
+    setStorage(new LocalStorageAdapter({
+      tempDir: path.join(workDir, 'temp'),
+      uploadsDir: path.join(workDir, 'uploads'),
+    }));
+
+    const blank = { create: { width: 64, height: 48, channels: 3, background: '#ffffff' } };
+    jpeg = await sharp(blank).jpeg().toBuffer();
+    png = await sharp(blank).png().toBuffer();
+  });
+
+  afterAll(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  async function writeFile(name, data) {
+    const filePath = path.join(workDir, name);
+    await fs.writeFile(filePath, data);
+    return filePath;
+  }
+
+  /**
+   * Rewrite the IHDR dimensions of a PNG (and its CRC) without touching
+   * the pixel data, the way decompression bombs declare huge canvases
+   */
+  function withDeclaredSize(source, width, height) {
+    const patched = Buffer.from(source);
+    patched.writeUInt32BE(width, 16);
+    patched.writeUInt32BE(height, 20);
+    patched.writeUInt32BE(zlib.crc32(patched.subarray(12, 29)), 29);
+    return patched;
+  }
+
+  it('should accept real JPEG and PNG files', async () => {
+    await expect(ImageValidationService.validateFile(await writeFile('ok.jpg', jpeg)))
+      .resolves.toMatchObject({ format: 'jpeg', mimeType: 'image/jpeg', width: 64, height: 48 });
+    await expect(ImageValidationService.validateFile(await writeFile('ok.png', png)))
+      .resolves.toMatchObject({ format: 'png', width: 64, height: 48 });
+  });
+
+  it('should reject content that is not an image whatever its name', async () => {
+    const filePath = await writeFile('invoice.jpg', Buffer.from('%PDF-1.7 not really a receipt photo'));
+
+    await expect(ImageValidationService.validateFile(filePath))
+      .rejects.toMatchObject({ code: 'INVALID_FILE_TYPE', statusCode: 400 });
+  });
+
+  it('should reject truncated images', async () => {
+    const filePath = await writeFile('truncated.jpg', jpeg.subarray(0, jpeg.length - 100));
+
+    await expect(ImageValidationService.validateFile(filePath))
+      .rejects.toMatchObject({ code: 'INVALID_FILE_TYPE', message: 'Image file is truncated' });
+  });
+
+  it('should reject polyglot files with an archive appended', async () => {
+    const archiveTail = Buffer.concat([
+      Buffer.from('PK\x03\x04payload.html<script>alert(1)</script>'),
+      Buffer.from([0x50, 0x4B, 0x05, 0x06]),
+      Buffer.alloc(18),
+    ]);
+
+    for (const [name, image] of [['polyglot.jpg', jpeg], ['polyglot.png', png]]) {
+      const filePath = await writeFile(name, Buffer.concat([image, archiveTail]));
+
+      await expect(ImageValidationService.validateFile(filePath)).rejects.toMatchObject({
+        code: 'INVALID_FILE_TYPE',
+        message: 'File contains data after the end of the image',
+      });
+    }
+  });
+
+  it('should accept JPEGs with a motion photo video or a Samsung trailer appended', async () => {
+    const video = Buffer.concat([
+      Buffer.from([0x00, 0x00, 0x00, 0x18]),
+      Buffer.from('ftypmp42\0\0\0\0isommp42'),
+      Buffer.from(Array.from({ length: 4096 }, (_, index) => (index * 37) % 251)),
+    ]);
+    const samsungTrailer = Buffer.from('SEFH\x02\0\0\0MotionPhoto_Data\0\0\0\0SEFT');
+
+    for (const [name, trailer] of [['motion.jpg', video], ['samsung.jpg', samsungTrailer]]) {
+      await expect(ImageValidationService.validateFile(await writeFile(name, Buffer.concat([jpeg, trailer]))))
+        .resolves.toMatchObject({ format: 'jpeg', width: 64, height: 48 });
+    }
+
+    // A script rather than phone data
+    await expect(ImageValidationService.validateFile(await writeFile('script.jpg', Buffer.concat([jpeg, Buffer.from('<?php system($_GET["c"]); ?>')]))))
+      .rejects.toMatchObject({ code: 'INVALID_FILE_TYPE', message: 'File contains data after the end of the image' });
+  });
+
+  it('should reject decompression bombs before decoding them', async () => {
+    const filePath = await writeFile('bomb.png', withDeclaredSize(png, 50000, 50000));
+
+    const error = await ImageValidationService.validateFile(filePath).catch(caught => caught);
+    expect(error).toMatchObject({
+      code: 'FILE_TOO_LARGE',
+      statusCode: 413,
+      details: expect.objectContaining({ width: 50000, height: 50000 }),
+    });
+    // Clients are not told about a size limit that does not apply
+    expect(createErrorResponse(error).response.error).toMatchObject({
+      message: 'File is too large or has too many pages. See details for the limit.',
+      details: expect.objectContaining({ maxPixels: expect.any(Number), maxDimension: expect.any(Number) }),
+    });
+  });
+
+  it('should reject very long images even under the pixel limit', async () => {
+    const filePath = await writeFile('strip.png', withDeclaredSize(png, 20000, 10));
+
+    await expect(ImageValidationService.validateFile(filePath))
+      .rejects.toMatchObject({ code: 'FILE_TOO_LARGE' });
+  });
+
+  it('should fail OCR processing before a job is created', async () => {
+    const uploadId = 'not-an-image-upload';
+    await FileService.ingestBuffer(uploadId, Buffer.from('GIF89a this is not supported'), {
+      filename: 'receipt.jpg',
+      checksum: null,
+    });
+
+    await expect(OCRService.startProcessing(uploadId, 'test-correlation'))
+      .rejects.toMatchObject({ code: 'INVALID_FILE_TYPE' });
+    expect((await OCRService.getStats()).jobs.total).toBe(0);
+  });
+});
@@ -0,0 +1,247 @@
+// src/__tests__/jobQueue.test.js
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+  logError: jest.fn(),
+  logSecurityEvent: jest.fn(),
+}));
+
+const config = require('../config');
+const FileService = require('../services/fileService');
+const OCRService = require('../services/ocrService');
+const classificationService = require('../services/classificationService');
+const { setStorage, LocalStorageAdapter } = require('../storage');
+const { setJobQueue, InProcessJobQueue } = require('../queues');
+const { getRepositories } = require('../repositories');
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * extractTextFromImage stand-in that never finishes on its own, like a
+ * stuck Tesseract worker; it only rejects once its signal aborts
+ */
+const hangUntilAborted = (imagePath, correlationId, onProgress, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(signal.reason));
+});
+
+async function waitFor(check) {
+  while (!(await check())) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('InProcessJobQueue', () => {
+  it('should never run more jobs at once than the concurrency', async () => {
+    const queue = new InProcessJobQueue();
+    let running = 0;
+    let peak = 0;
+
+    queue.process(async () => {
+      running += 1;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      running -= 1;
+    }, { concurrency: 2 });
+
+    await Promise.all(['a', 'b', 'c', 'd', 'e'].map(id => queue.add(id, {})));
+    await waitFor(async () => (await queue.getCounts()).completed === 5);
+
+    expect(peak).toBe(2);
+    await queue.close();
+  });
+
+  it('should retry failed jobs with exponential backoff', async () => {
+    const queue = new InProcessJobQueue({ attempts: 3, backoffDelay: 20 });
+    const startedAt = [];
+    const failures = [];
+    queue.on('failed', (jobId, error, info) => failures.push(info));
+
+    queue.process(async (job) => {
+      startedAt.push(Date.now());
+      if (job.attemptsMade < 2) {
+        throw new Error('worker crashed');
+      }
+    });
+
+    await queue.add('job-1', { uploadId: 'u1' });
+    await settle();
+    await expect(queue.getState('job-1')).resolves.toEqual({ state: 'delayed', attemptsMade: 1 });
+
+    await waitFor(async () => (await queue.getState('job-1')).state === 'completed');
+
+    await expect(queue.getState('job-1')).resolves.toEqual({ state: 'completed', attemptsMade: 3 });
+    expect(failures).toEqual([{ attemptsMade: 1, final: false }, { attemptsMade: 2, final: false }]);
+    expect(startedAt[1] - startedAt[0]).toBeGreaterThanOrEqual(15);
+    expect(startedAt[2] - startedAt[1]).toBeGreaterThanOrEqual(35);
+    await queue.close();
+  });
+
+  it('should stop retrying discarded jobs and drop jobs that have not started', async () => {
+    const queue = new InProcessJobQueue({ attempts: 5, backoffDelay: 10 });
+    const failures = [];
+    queue.on('failed', (jobId, error, info) => failures.push([jobId, info.final]));
+
+    await queue.add('queued', {});
+    await expect(queue.remove('queued')).resolves.toBe(true);
+    await expect(queue.getState('queued')).resolves.toBeNull();
+
+    queue.process(async (job) => {
+      job.discard();
+      throw new Error('not an image');
+    });
+    await queue.add('bad', {});
+    await settle();
+
+    expect(failures).toEqual([['bad', true]]);
+    await expect(queue.getState('bad')).resolves.toEqual({ state: 'failed', attemptsMade: 1 });
+    await expect(queue.remove('bad')).resolves.toBe(false);
+    await queue.close();
+  });
+});
+
+describe('OCRService queue processing', () => {
+  const originalScratchDir = config.storage.scratchDir;
+  const originalTimeout = config.ocr.processing.timeout;
+  const workerQueue = new InProcessJobQueue({ attempts: 3, backoffDelay: 10 });
+  let workDir;
+  let jpeg;
+
+  beforeAll(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-queue-test-'));
+    setStorage(new LocalStorageAdapter({
+      tempDir: path.join(workDir, 'temp'),
+      uploadsDir: path.join(workDir, 'uploads'),
+    }));
+    config.storage.scratchDir = path.join(workDir, 'scratch');
+
+    setJobQueue(workerQueue);
+    OCRService.startWorker();
+
+    jpeg = await sharp({ create: { width: 64, height: 48, channels: 3, background: '#ffffff' } })
+      .jpeg()
+      .toBuffer();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.ocr.processing.timeout = originalTimeout;
+    setJobQueue(workerQueue);
+  });
+
+  afterAll(async () => {
+    config.storage.scratchDir = originalScratchDir;
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  async function queueReceipt(uploadId) {
+    await FileService.ingestBuffer(uploadId, jpeg, { filename: 'receipt.jpg', checksum: null });
+    return OCRService.startProcessing(uploadId, `correlation-${uploadId}`);
+  }
+
+  it('should retry a job after a transient failure and keep the status shape', async () => {
+    const extract = jest.spyOn(OCRService, 'extractTextFromImage')
+      .mockRejectedValueOnce(new Error('Tesseract worker crashed'))
+      .mockResolvedValueOnce({ text: 'SHELL STATION\nTOTAL $45.99', confidence: 91 });
+
+    const jobId = await queueReceipt('retry-upload');
+    const status = await OCRService.waitForJob(jobId, 5000, 10);
+
+    expect(extract).toHaveBeenCalledTimes(2);
+    expect(status).toMatchObject({
+      jobId,
+      uploadId: 'retry-upload',
+      status: 'completed',
+      progress: 1,
+      error: null,
+      result: expect.objectContaining({ extractedText: 'SHELL STATION\nTOTAL $45.99' }),
+    });
+    expect(Object.keys(status).sort()).toEqual([
+      'completedAt', 'correlationId', 'createdAt', 'error', 'image', 'jobId', 'progress',
+      'result', 'stage', 'startedAt', 'status', 'updatedAt', 'uploadId',
+    ]);
+  });
+
+  it('should fail without retrying when the image has no text', async () => {
+    const extract = jest.spyOn(OCRService, 'extractTextFromImage')
+      .mockRejectedValue(new Error('No text could be extracted from the image'));
+
+    const jobId = await queueReceipt('blank-upload');
+    const status = await OCRService.waitForJob(jobId, 5000, 10);
+
+    expect(extract).toHaveBeenCalledTimes(1);
+    expect(status).toMatchObject({ status: 'failed', error: { code: 'OCR_FAILED' } });
+  });
+
+  it('should report queued jobs as pending and never run cancelled ones', async () => {
+    const queue = new InProcessJobQueue();
+    setJobQueue(queue);
+    const extract = jest.spyOn(OCRService, 'extractTextFromImage');
+
+    const jobId = await queueReceipt('cancelled-upload');
+    await expect(OCRService.getJobStatus(jobId)).resolves.toMatchObject({ status: 'pending', stage: 'queued' });
+
+    await OCRService.cancelJob(jobId);
+    await expect(queue.getState(jobId)).resolves.toBeNull();
+    await expect(OCRService.getJobStatus(jobId)).resolves.toMatchObject({ status: 'cancelled' });
+    expect(extract).not.toHaveBeenCalled();
+    await queue.close();
+  });
+
+  it('should fail a job that runs past its deadline with TIMEOUT after its retries', async () => {
+    config.ocr.processing.timeout = 30;
+    const extract = jest.spyOn(OCRService, 'extractTextFromImage').mockImplementation(hangUntilAborted);
+
+    const jobId = await queueReceipt('slow-upload');
+    const status = await OCRService.waitForJob(jobId, 5000, 10);
+
+    expect(extract).toHaveBeenCalledTimes(3);
+    expect(status).toMatchObject({
+      status: 'failed',
+      result: null,
+      error: { code: 'TIMEOUT', message: 'OCR job timed out after 30 ms' },
+    });
+  });
+
+  it('should stop a running job when it is cancelled', async () => {
+    const extract = jest.spyOn(OCRService, 'extractTextFromImage').mockImplementation(hangUntilAborted);
+
+    const jobId = await queueReceipt('running-upload');
+    await waitFor(() => extract.mock.calls.length === 1);
+    await OCRService.cancelJob(jobId);
+
+    const signal = extract.mock.calls[0][3].signal;
+    expect(signal.aborted).toBe(true);
+    expect(signal.reason.code).toBe('CANCELLED');
+    await settle();
+    await expect(OCRService.getJobStatus(jobId)).resolves.toMatchObject({
+      status: 'cancelled',
+      result: null,
+      error: { code: 'CANCELLED' },
+    });
+  });
+
+  it('should never complete a job cancelled by another process while it ran', async () => {
+    let jobId;
+    const classify = jest.spyOn(classificationService, 'classifyReceipt');
+    jest.spyOn(OCRService, 'extractTextFromImage').mockImplementation(async () => {
+      // Another process only changes the shared job record
+      await getRepositories().jobs.update(jobId, { status: 'cancelled' });
+      return { text: 'SHELL STATION\nTOTAL $45.99', confidence: 91 };
+    });
+
+    jobId = await queueReceipt('remote-cancel-upload');
+    await waitFor(async () => (await workerQueue.getState(jobId))?.state === 'completed');
+
+    expect(classify).not.toHaveBeenCalled();
+    await expect(OCRService.getJobStatus(jobId)).resolves.toMatchObject({ status: 'cancelled', result: null });
+  });
+});
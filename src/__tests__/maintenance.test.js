@@ -0,0 +1,150 @@
+// src/__tests__/maintenance.test.js
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+jest.mock('../services/ocrService');
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const config = require('../config');
+const FileService = require('../services/fileService');
+const OCRService = require('../services/ocrService');
+const MaintenanceService = require('../services/maintenanceService');
+const { setStorage, LocalStorageAdapter } = require('../storage');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('MaintenanceService', () => {
+  const originalScratchDir = config.storage.scratchDir;
+  let workDir;
+  let storage;
+
+  beforeAll(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'maintenance-test-'));
+    storage = new LocalStorageAdapter({
+      tempDir: path.join(workDir, 'temp'),
+      uploadsDir: path.join(workDir, 'uploads'),
+    });
+    setStorage(storage);
+    config.storage.scratchDir = path.join(workDir, 'scratch');
+  });
+
+  afterAll(async () => {
+    config.storage.scratchDir = originalScratchDir;
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    OCRService.pruneJobs.mockResolvedValue({ removed: 0, timedOut: 0 });
+    OCRService.getActiveUploadIds.mockResolvedValue(new Set());
+  });
+
+  async function createSession(uploadId, chunkData) {
+    await FileService.createUploadSession(uploadId, {
+      filename: 'receipt.jpg',
+      fileSize: chunkData.length,
+      chunkSize: chunkData.length,
+      maxChunks: 2,
+      receivedChunks: 0,
+    });
+
+    const chunkPath = `temp/${uploadId}-chunk-0`;
+    await storage.write(chunkPath, chunkData);
+    await FileService.addChunk(uploadId, { index: 0, path: chunkPath, size: chunkData.length });
+    return chunkPath;
+  }
+
+  async function age(key, ageMs) {
+    const time = new Date(Date.now() - ageMs);
+    await fs.utimes(storage.resolve(key), time, time);
+  }
+
+  it('should clean up sessions idle past their TTL unless still in use', async () => {
+    const staleChunk = await createSession('abandoned-upload', Buffer.from('stale'));
+    await createSession('busy-upload', Buffer.from('busy'));
+
+    await expect(FileService.cleanupExpiredSessions({ ...config.maintenance.ttl })).resolves.toBe(0);
+
+    const later = Date.now() + config.maintenance.ttl.uploadingSession + 1000;
+    const cleaned = await FileService.cleanupExpiredSessions(
+      { ...config.maintenance.ttl },
+      { now: later, skip: new Set(['busy-upload']) }
+    );
+
+    expect(cleaned).toBe(1);
+    await expect(FileService.getUploadSession('abandoned-upload')).resolves.toBeNull();
+    await expect(storage.stat(staleChunk)).resolves.toBeNull();
+    await expect(FileService.getUploadSession('busy-upload')).resolves.not.toBeNull();
+  });
+
+  it('should sweep old files that no session references', async () => {
+    const referencedChunk = await createSession('referenced-upload', Buffer.from('keep'));
+    await age(referencedChunk, 2 * HOUR);
+
+    await storage.write('temp/orphan-chunk', Buffer.from('orphan'));
+    await age('temp/orphan-chunk', 2 * HOUR);
+    await storage.write('uploads/orphan-combined.jpg', Buffer.from('orphan'));
+    await age('uploads/orphan-combined.jpg', 2 * HOUR);
+    await storage.write('temp/in-flight-chunk', Buffer.from('new'));
+
+    const swept = await MaintenanceService.sweepOrphanedFiles(HOUR);
+
+    expect(swept).toBe(2);
+    await expect(storage.stat('temp/orphan-chunk')).resolves.toBeNull();
+    await expect(storage.stat('uploads/orphan-combined.jpg')).resolves.toBeNull();
+    await expect(storage.stat(referencedChunk)).resolves.not.toBeNull();
+    await expect(storage.stat('temp/in-flight-chunk')).resolves.not.toBeNull();
+  });
+
+  it('should record the last run and keep going when a task fails', async () => {
+    OCRService.pruneJobs.mockRejectedValue(new Error('job store unavailable'));
+
+    await fs.mkdir(config.storage.scratchDir, { recursive: true });
+    const scratchFile = path.join(config.storage.scratchDir, 'left-behind-ocr-optimized.jpg');
+    await fs.writeFile(scratchFile, 'x');
+    const old = new Date(Date.now() - 2 * HOUR);
+    await fs.utimes(scratchFile, old, old);
+
+    const run = await MaintenanceService.runOnce();
+
+    expect(run.errors).toEqual([{ task: 'jobs', message: 'job store unavailable' }]);
+    expect(run.removed.scratchFiles).toBe(1);
+    await expect(fs.access(scratchFile)).rejects.toThrow();
+    expect(MaintenanceService.getStatus()).toMatchObject({
+      running: false,
+      lastRun: { finishedAt: run.finishedAt, removed: run.removed },
+    });
+  });
+
+  it('should only sweep scratch files in processes without shared state', async () => {
+    MaintenanceService.start({ sharedState: false });
+    const run = await MaintenanceService.runOnce();
+    await MaintenanceService.stop();
+
+    expect(OCRService.pruneJobs).not.toHaveBeenCalled();
+    expect(OCRService.getActiveUploadIds).not.toHaveBeenCalled();
+    expect(run.errors).toEqual([]);
+  });
+
+  it('should share an in-progress run and stop cleanly', async () => {
+    MaintenanceService.start();
+    expect(MaintenanceService.getStatus().scheduled).toBe(true);
+
+    const first = MaintenanceService.runOnce();
+    expect(MaintenanceService.runOnce()).toBe(first);
+    expect(MaintenanceService.getStatus().running).toBe(true);
+
+    await MaintenanceService.stop();
+
+    expect(MaintenanceService.getStatus()).toMatchObject({ scheduled: false, running: false });
+    expect(OCRService.pruneJobs).toHaveBeenCalledTimes(1);
+  });
+});
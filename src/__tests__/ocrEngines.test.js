@@ -0,0 +1,184 @@
+// src/__tests__/ocrEngines.test.js
+const request = require('supertest');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+  logError: jest.fn(),
+  logSecurityEvent: jest.fn(),
+}));
+
+const app = require('../app');
+const config = require('../config');
+const OCRService = require('../services/ocrService');
+const {
+  setEngine,
+  getEngine,
+  normalizeEngineOrder,
+  shutdownEngines,
+  TesseractEngine,
+  AnthropicVisionEngine,
+} = require('../engines');
+
+/**
+ * Stand-in for the Anthropic SDK client; messages.create resolves with a
+ * message whose text is reply, or rejects with reply when it is an Error
+ */
+function stubClient(reply) {
+  return {
+    messages: {
+      create: jest.fn(async () => {
+        if (reply instanceof Error) {
+          throw reply;
+        }
+        return { content: [{ type: 'text', text: reply }], stop_reason: 'end_turn' };
+      }),
+    },
+  };
+}
+
+describe('OCR engines', () => {
+  const createWorker = jest.fn(async () => ({
+    setParameters: jest.fn(async () => {}),
+    recognize: jest.fn(async () => ({ data: { text: 'SHELL\nTOTAL 45.99\n', confidence: 72 } })),
+    terminate: jest.fn(async () => {}),
+  }));
+  let workDir;
+  let imagePath;
+
+  beforeAll(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ocr-engines-test-'));
+    imagePath = path.join(workDir, 'receipt.jpg');
+    await fs.writeFile(imagePath, Buffer.from('jpeg bytes'));
+  });
+
+  beforeEach(() => {
+    createWorker.mockClear();
+    setEngine('tesseract', new TesseractEngine({ createWorker }));
+  });
+
+  afterEach(async () => {
+    await shutdownEngines();
+  });
+
+  afterAll(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  it('should send the image to the vision model and return its transcription', async () => {
+    const client = stubClient('SHELL STATION\nDIESEL 120.5 GAL\nTOTAL $452.10');
+    const engine = new AnthropicVisionEngine({ client, model: 'vision-model', maxTokens: 512 });
+    await engine.start();
+    const { signal } = new AbortController();
+
+    const extraction = await engine.recognize(imagePath, { language: 'eng+spa', signal });
+
+    expect(extraction).toEqual({ text: 'SHELL STATION\nDIESEL 120.5 GAL\nTOTAL $452.10', confidence: null });
+    const [params, options] = client.messages.create.mock.calls[0];
+    expect(params).toMatchObject({ model: 'vision-model', max_tokens: 512 });
+    expect(params.messages[0].content[0]).toEqual({
+      type: 'image',
+      source: { type: 'base64', media_type: 'image/jpeg', data: Buffer.from('jpeg bytes').toString('base64') },
+    });
+    expect(params.messages[0].content[1].text).toEqual(expect.stringContaining('English or Spanish'));
+    expect(options).toEqual({ signal });
+    expect(engine.getStats()).toEqual({ model: 'vision-model', requests: 1, failed: 0 });
+  });
+
+  it('should treat a vision reply without text as no text', async () => {
+    const engine = new AnthropicVisionEngine({ client: stubClient('NO_TEXT') });
+
+    await expect(engine.recognize(imagePath)).rejects.toThrow('No text could be extracted');
+  });
+
+  it('should need an API key without an injected client', async () => {
+    await expect(new AnthropicVisionEngine().start()).rejects.toThrow('ANTHROPIC_API_KEY');
+  });
+
+  it('should fall back to Tesseract when the vision engine fails', async () => {
+    const client = stubClient(new Error('overloaded_error'));
+    setEngine('anthropic-vision', new AnthropicVisionEngine({ client }));
+
+    const extraction = await OCRService.extractTextFromImage(imagePath, 'test-correlation', null, {
+      engines: ['anthropic-vision', 'tesseract'],
+    });
+
+    expect(client.messages.create).toHaveBeenCalledTimes(1);
+    expect(extraction).toEqual({ text: 'SHELL\nTOTAL 45.99', confidence: 72, engine: 'tesseract' });
+  });
+
+  it('should not start later engines once one reads the image', async () => {
+    setEngine('anthropic-vision', new AnthropicVisionEngine({ client: stubClient('TOTAL 45.99') }));
+
+    const extraction = await OCRService.extractTextFromImage(imagePath, 'test-correlation', null, {
+      engines: ['anthropic-vision', 'tesseract'],
+    });
+
+    expect(extraction).toMatchObject({ text: 'TOTAL 45.99', engine: 'anthropic-vision' });
+    expect(createWorker).not.toHaveBeenCalled();
+  });
+
+  it('should stop at the failing engine when the job was aborted', async () => {
+    const controller = new AbortController();
+    const client = {
+      messages: {
+        create: jest.fn(async () => {
+          controller.abort(new Error('Job cancelled by user'));
+          throw new Error('Request was aborted.');
+        }),
+      },
+    };
+    setEngine('anthropic-vision', new AnthropicVisionEngine({ client }));
+
+    await expect(OCRService.extractTextFromImage(imagePath, 'test-correlation', null, {
+      engines: ['anthropic-vision', 'tesseract'],
+      signal: controller.signal,
+    })).rejects.toThrow('Job cancelled by user');
+    expect(createWorker).not.toHaveBeenCalled();
+  });
+
+  it('should start engines on first use and report their stats', async () => {
+    const engine = await getEngine('tesseract');
+
+    expect(engine.name).toBe('tesseract');
+    const { engines } = await OCRService.getStats();
+    expect(Object.keys(engines)).toEqual(['tesseract']);
+  });
+
+  it('should validate engine orders', async () => {
+    expect(normalizeEngineOrder('anthropic-vision, tesseract,anthropic-vision')).toEqual(['anthropic-vision', 'tesseract']);
+    expect(normalizeEngineOrder('google-vision')).toBeNull();
+
+    const response = await request(app)
+      .post('/api/ocr/process')
+      .send({ uploadId: '3f1c2a4e-8b7d-4c6f-9a2e-1d5b7c9e0f13', engine: 'tesseract,google-vision' })
+      .expect(400);
+
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+  });
+
+  it('should reject engines that are not configured before a job exists', () => {
+    const originalApiKey = config.ai.anthropic.apiKey;
+    config.ai.anthropic.apiKey = undefined;
+
+    try {
+      expect(() => OCRService.resolveOptions({}, { engine: 'anthropic-vision,tesseract' })).toThrow(expect.objectContaining({
+        statusCode: 400,
+        code: 'VALIDATION_ERROR',
+        message: 'OCR engine is not configured',
+      }));
+
+      setEngine('anthropic-vision', new AnthropicVisionEngine({ client: stubClient('TOTAL 45.99') }));
+      expect(OCRService.resolveOptions({}, { engine: 'anthropic-vision' }).engines).toEqual(['anthropic-vision']);
+    } finally {
+      config.ai.anthropic.apiKey = originalApiKey;
+    }
+  });
+});
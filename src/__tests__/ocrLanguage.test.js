@@ -0,0 +1,142 @@
+// src/__tests__/ocrLanguage.test.js
+const request = require('supertest');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+  logError: jest.fn(),
+  logSecurityEvent: jest.fn(),
+}));
+
+const app = require('../app');
+const config = require('../config');
+const FileService = require('../services/fileService');
+const OCRService = require('../services/ocrService');
+const { setStorage, LocalStorageAdapter } = require('../storage');
+const { setJobQueue, InProcessJobQueue } = require('../queues');
+const { TesseractEngine } = require('../engines');
+const { normalizeLanguage } = require('../utils/ocrLanguages');
+
+describe('OCR language selection', () => {
+  const originalTesseract = { ...config.ocr.tesseract };
+  const createWorker = jest.fn(async (language, oem, options) => ({
+    language,
+    options,
+    setParameters: jest.fn(async () => {}),
+    recognize: jest.fn(async () => ({ data: { text: `text read as ${language}`, confidence: 88 } })),
+    terminate: jest.fn(async () => {}),
+  }));
+  let workDir;
+
+  beforeAll(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ocr-language-test-'));
+    setStorage(new LocalStorageAdapter({
+      tempDir: path.join(workDir, 'temp'),
+      uploadsDir: path.join(workDir, 'uploads'),
+    }));
+
+    Object.assign(config.ocr.tesseract, {
+      language: 'eng',
+      warmLanguages: ['eng', 'eng+spa'],
+      langPath: '/opt/tessdata',
+      langGzip: false,
+    });
+    await OCRService.initialize({ createWorker });
+  });
+
+  afterAll(async () => {
+    await OCRService.shutdown();
+    Object.assign(config.ocr.tesseract, originalTesseract);
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  it('should normalize language combinations and reject unsupported ones', () => {
+    expect(normalizeLanguage('eng+spa+eng')).toBe('eng+spa');
+    expect(normalizeLanguage('spa+eng')).toBe('spa+eng');
+    expect(normalizeLanguage('fra')).toBe('fra');
+    expect(normalizeLanguage('eng+deu')).toBeNull();
+  });
+
+  it('should warm the configured languages with local traineddata', async () => {
+    expect(createWorker.mock.calls.map(([language]) => language).sort()).toEqual(['eng', 'eng+spa']);
+    expect(createWorker).toHaveBeenCalledWith('eng', 1, expect.objectContaining({
+      langPath: '/opt/tessdata',
+      gzip: false,
+      cacheMethod: 'none',
+    }));
+
+    const { engines } = await OCRService.getStats();
+    expect(Object.keys(engines.tesseract).sort()).toEqual(['eng', 'eng+spa']);
+  });
+
+  it('should read accented text with the requested language pool', async () => {
+    const { text } = await OCRService.extractTextFromImage('receipt.jpg', 'test-correlation', null, { language: 'fra' });
+
+    expect(text).toBe('text read as fra');
+    const worker = await createWorker.mock.results.find((result, index) => createWorker.mock.calls[index][0] === 'fra').value;
+    const { tessedit_char_whitelist: whitelist } = worker.setParameters.mock.calls[0][0];
+    expect(whitelist).toEqual(expect.stringContaining('é'));
+    expect(whitelist).toEqual(expect.stringContaining('ñ'));
+    expect(whitelist).toEqual(expect.stringContaining('Ç'));
+  });
+
+  it('should carry the session language to the job, letting /process override it', async () => {
+    const queue = new InProcessJobQueue();
+    const add = jest.spyOn(queue, 'add');
+    setJobQueue(queue);
+
+    const created = await request(app)
+      .post('/api/ocr/upload')
+      .send({ filename: 'factura.jpg', fileSize: 70000, chunkSize: 65536, language: 'spa+eng' })
+      .expect(200);
+    await expect(FileService.getUploadSession(created.body.uploadId))
+      .resolves.toMatchObject({ language: 'spa+eng' });
+
+    const jpeg = await sharp({ create: { width: 32, height: 32, channels: 3, background: '#ffffff' } }).jpeg().toBuffer();
+    await FileService.ingestBuffer('language-upload', jpeg, { filename: 'recu.jpg', checksum: null, language: 'spa' });
+
+    await OCRService.startProcessing('language-upload', 'test-correlation');
+    await OCRService.startProcessing('language-upload', 'test-correlation', { language: 'fra+eng' });
+
+    expect(add.mock.calls.map(([, data]) => data.language)).toEqual(['spa', 'fra+eng']);
+    await queue.close();
+  });
+
+  it('should shut down the least recently used idle pool past the limit', async () => {
+    const engine = new TesseractEngine({
+      createWorker,
+      tesseractConfig: { ...config.ocr.tesseract, warmLanguages: [], maxPools: 2 },
+    });
+
+    await engine.recognize('receipt.jpg', { language: 'eng' });
+    await engine.recognize('receipt.jpg', { language: 'spa+eng' });
+    await engine.recognize('receipt.jpg', { language: 'eng' });
+    const spanish = engine.pools.get('spa+eng').pool;
+    const shutdown = jest.spyOn(spanish, 'shutdown');
+
+    await engine.recognize('receipt.jpg', { language: 'eng+spa+fra' });
+
+    expect(shutdown).toHaveBeenCalled();
+    expect(Object.keys(engine.getStats())).toEqual(['eng', 'eng+spa+fra']);
+    // Workers load the languages in the order the client asked for them
+    expect(createWorker).toHaveBeenCalledWith('spa+eng', 1, expect.anything());
+    await engine.shutdown();
+  });
+
+  it('should reject unsupported languages on upload', async () => {
+    const response = await request(app)
+      .post('/api/ocr/upload')
+      .send({ filename: 'beleg.jpg', fileSize: 70000, language: 'deu' })
+      .expect(400);
+
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+  });
+});
@@ -0,0 +1,106 @@
+// src/__tests__/ocrLayout.test.js
+const sharp = require('sharp');
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+  logError: jest.fn(),
+  logSecurityEvent: jest.fn(),
+}));
+
+const { fakeCreateWorker, useOcrTestEnv, processUpload } = require('./helpers/ocrTestEnv');
+const { toScore, buildLayout } = require('../utils/ocrLayout');
+
+/**
+ * Tesseract's blocks output for a single "TOTAL 45.99" line, in the
+ * coordinates of the image Tesseract was given
+ */
+const tesseractBlocks = [{
+  text: 'TOTAL 45.99\n',
+  confidence: 91.4,
+  bbox: { x0: 10, y0: 20, x1: 210, y1: 60 },
+  paragraphs: [{
+    text: 'TOTAL 45.99\n',
+    lines: [{
+      text: 'TOTAL 45.99\n',
+      confidence: 91.4,
+      bbox: { x0: 10, y0: 20, x1: 210, y1: 60 },
+      words: [
+        { text: 'TOTAL', confidence: 95.2, bbox: { x0: 10, y0: 20, x1: 100, y1: 60 } },
+        { text: '45.99', confidence: 87.6, bbox: { x0: 120, y0: 22, x1: 210, y1: 58 } },
+      ],
+    }],
+  }],
+}];
+
+describe('buildLayout', () => {
+  it('should flatten paragraphs and scale boxes to the original image', () => {
+    const layout = buildLayout(tesseractBlocks, { width: 4096, height: 1024, ocrWidth: 2048, ocrHeight: 512 });
+
+    expect(layout).toEqual({
+      width: 4096,
+      height: 1024,
+      blocks: [{
+        text: 'TOTAL 45.99',
+        confidence: 0.914,
+        bbox: { x0: 20, y0: 40, x1: 420, y1: 120 },
+        lines: [{
+          text: 'TOTAL 45.99',
+          confidence: 0.914,
+          bbox: { x0: 20, y0: 40, x1: 420, y1: 120 },
+          words: [
+            { text: 'TOTAL', confidence: 0.952, bbox: { x0: 20, y0: 40, x1: 200, y1: 120 } },
+            { text: '45.99', confidence: 0.876, bbox: { x0: 240, y0: 44, x1: 420, y1: 116 } },
+          ],
+        }],
+      }],
+    });
+  });
+
+  it('should clamp confidences to the 0-1 range', () => {
+    expect(toScore(150)).toBe(1);
+    expect(toScore(-3)).toBe(0);
+    expect(toScore(undefined)).toBe(0);
+  });
+});
+
+describe('OCR results with layout', () => {
+  const createWorker = fakeCreateWorker(async (image, { output }) => ({
+    text: 'TOTAL 45.99',
+    confidence: 91.4,
+    blocks: output && output.blocks ? tesseractBlocks : null,
+  }));
+  let jpeg;
+
+  useOcrTestEnv('ocr-layout-test', { createWorker });
+
+  beforeAll(async () => {
+    // Wider than 2048 pixels, so OCR runs on a copy at half the size
+    jpeg = await sharp({ create: { width: 4096, height: 1024, channels: 3, background: '#ffffff' } })
+      .jpeg()
+      .toBuffer();
+  });
+
+  it('should report OCR confidence separately from classification confidence', async () => {
+    const { result } = await processUpload('plain-upload', jpeg, 'receipt.jpg');
+
+    expect(result.ocrConfidence).toBe(0.914);
+    expect(result.classificationConfidence).toEqual(expect.any(Number));
+    expect(result.confidence).toBe(result.classificationConfidence);
+    expect(result).not.toHaveProperty('layout');
+  });
+
+  it('should include words, lines and blocks in original image pixels when asked', async () => {
+    const { result } = await processUpload('layout-upload', jpeg, 'receipt.jpg', { includeLayout: true });
+
+    expect(result.layout).toMatchObject({ width: 4096, height: 1024 });
+    expect(result.layout.blocks[0].lines[0].words).toEqual([
+      { text: 'TOTAL', confidence: 0.952, bbox: { x0: 20, y0: 40, x1: 200, y1: 120 } },
+      { text: '45.99', confidence: 0.876, bbox: { x0: 240, y0: 44, x1: 420, y1: 116 } },
+    ]);
+  });
+});
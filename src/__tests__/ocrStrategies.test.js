@@ -0,0 +1,120 @@
+// src/__tests__/ocrStrategies.test.js
+const fs = require('fs').promises;
+const sharp = require('sharp');
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+  logError: jest.fn(),
+  logSecurityEvent: jest.fn(),
+}));
+
+const config = require('../config');
+const { fakeCreateWorker, useOcrTestEnv, processUpload } = require('./helpers/ocrTestEnv');
+const { countKeyFields, scoreCandidate, needsAlternatives } = require('../utils/ocrStrategies');
+
+// What the fake Tesseract reads from a narrow two-column fuel receipt
+const UNIFORM_BLOCK_TEXT = 'P1L0T TRAV CEN 45 12';
+const SINGLE_COLUMN_TEXT = 'PILOT TRAVEL CENTER\n03/14/2025\nDIESEL 120.5 GAL\nTOTAL $452.10';
+
+describe('OCR strategy scoring', () => {
+  it('should count the key fields the classifier found', () => {
+    expect(countKeyFields({ amount: '$452.10', vendorName: 'Pilot', type: 'Fuel' })).toBe(3);
+    expect(countKeyFields({ amount: '$0.00', vendorName: 'Unknown Vendor', type: 'Other' })).toBe(0);
+  });
+
+  it('should weigh OCR confidence and classification completeness equally', () => {
+    expect(scoreCandidate({ ocrConfidence: 0.9, classificationConfidence: 0.5 })).toBe(0.7);
+  });
+
+  it('should ask for alternatives on low confidence or too few fields', () => {
+    const settings = { minConfidence: 0.6, minFields: 2 };
+
+    expect(needsAlternatives({ ocrConfidence: 0.9, fields: 2 }, settings)).toBe(false);
+    expect(needsAlternatives({ ocrConfidence: 0.4, fields: 3 }, settings)).toBe(true);
+    expect(needsAlternatives({ ocrConfidence: 0.9, fields: 1 }, settings)).toBe(true);
+  });
+});
+
+describe('OCR strategy retries', () => {
+  const originalStrategies = { ...config.ocr.strategies };
+  // The page segmentation mode of every recognition, in order
+  const pageSegModes = [];
+  const createWorker = fakeCreateWorker(async (image, { parameters }) => {
+    pageSegModes.push(parameters.tessedit_pageseg_mode);
+    return parameters.tessedit_pageseg_mode === '4'
+      ? { text: SINGLE_COLUMN_TEXT, confidence: 88 }
+      : { text: UNIFORM_BLOCK_TEXT, confidence: 41 };
+  });
+  let jpeg;
+
+  const processReceipt = uploadId => processUpload(uploadId, jpeg, 'fuel.jpg');
+
+  useOcrTestEnv('ocr-strategies-test', { createWorker });
+
+  beforeAll(async () => {
+    jpeg = await sharp({ create: { width: 320, height: 1200, channels: 3, background: '#ffffff' } })
+      .jpeg()
+      .toBuffer();
+  });
+
+  beforeEach(() => {
+    pageSegModes.length = 0;
+  });
+
+  afterEach(() => {
+    Object.assign(config.ocr.strategies, originalStrategies);
+  });
+
+  it('should retry a poor result with other strategies and keep the best', async () => {
+    config.ocr.strategies.alternatives = ['sparse-text', 'single-column', 'auto-layout'];
+
+    const { status, result } = await processReceipt('two-column-upload');
+
+    expect(status).toBe('completed');
+    // auto-layout is never tried: single-column was already good enough
+    expect(pageSegModes).toEqual(['6', '11', '4']);
+    expect(result).toMatchObject({
+      extractedText: SINGLE_COLUMN_TEXT,
+      ocrConfidence: 0.88,
+      classification: expect.objectContaining({ amount: '$452.10', type: 'Fuel' }),
+      strategy: {
+        name: 'single-column',
+        pageSegMode: '4',
+        preprocessing: 'standard',
+        candidates: [
+          { name: 'uniform-block', score: expect.any(Number) },
+          { name: 'sparse-text', score: expect.any(Number) },
+          { name: 'single-column', score: result.strategy.score },
+        ],
+      },
+    });
+    expect(result.strategy.score).toBeGreaterThan(result.strategy.candidates[0].score);
+  });
+
+  it('should run preprocessing variants on their own copy and clean it up', async () => {
+    config.ocr.strategies.alternatives = ['binarized'];
+
+    const { result } = await processReceipt('faded-upload');
+
+    expect(pageSegModes).toEqual(['6', '4']);
+    expect(result.strategy).toMatchObject({ name: 'binarized', preprocessing: 'threshold' });
+    await expect(fs.readdir(config.storage.scratchDir)).resolves.toEqual([]);
+  });
+
+  it('should keep the first result when no alternative is configured', async () => {
+    config.ocr.strategies.alternatives = [];
+
+    const { result } = await processReceipt('plain-upload');
+
+    expect(pageSegModes).toEqual(['6']);
+    expect(result).toMatchObject({
+      extractedText: UNIFORM_BLOCK_TEXT,
+      strategy: { name: 'uniform-block', candidates: [{ name: 'uniform-block' }] },
+    });
+  });
+});
@@ -0,0 +1,235 @@
+// src/__tests__/pdf.test.js
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+  logError: jest.fn(),
+  logSecurityEvent: jest.fn(),
+}));
+
+const config = require('../config');
+const FileService = require('../services/fileService');
+const OCRService = require('../services/ocrService');
+const PdfService = require('../services/pdfService');
+const ImageValidationService = require('../services/imageValidationService');
+const { OCRError } = require('../middleware/errorHandler');
+const { fakeCreateWorker, useOcrTestEnv, processUpload } = require('./helpers/ocrTestEnv');
+
+/**
+ * Build a PDF with one letter-size page per entry of pages, each a list of
+ * text lines set in Helvetica
+ */
+function makePdf(pages) {
+  const objects = [];
+  const pageIds = pages.map((_, index) => 4 + index * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>';
+  pages.forEach((lines, index) => {
+    const content = lines
+      .map((line, row) => `BT /F1 24 Tf 72 ${700 - row * 40} Td (${line}) Tj ET`)
+      .join('\n');
+    objects[pageIds[index]] = '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] '
+      + `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+    objects[pageIds[index] + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = pdf.length;
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+const BILL_OF_LADING = makePdf([
+  ['BILL OF LADING', 'ACME FREIGHT LINES'],
+  ['FREIGHT CHARGES', 'TOTAL $1,250.00'],
+]);
+
+describe('PDF validation', () => {
+  const originalMaxPages = config.ocr.validation.maxPages;
+  let workDir;
+
+  beforeAll(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pdf-validation-test-'));
+  });
+
+  afterEach(() => {
+    config.ocr.validation.maxPages = originalMaxPages;
+  });
+
+  afterAll(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  async function writeFile(name, data) {
+    const filePath = path.join(workDir, name);
+    await fs.writeFile(filePath, data);
+    return filePath;
+  }
+
+  it('should accept a PDF and report its page count and rendered size', async () => {
+    const filePath = await writeFile('bol.pdf', BILL_OF_LADING);
+
+    await expect(ImageValidationService.validateFile(filePath)).resolves.toMatchObject({
+      format: 'pdf',
+      mimeType: 'application/pdf',
+      pageCount: 2,
+      // Letter size at the default 200 DPI
+      width: 1700,
+      height: 2200,
+    });
+  });
+
+  it('should reject PDFs with more pages than allowed', async () => {
+    config.ocr.validation.maxPages = 1;
+    const filePath = await writeFile('long.pdf', BILL_OF_LADING);
+
+    await expect(ImageValidationService.validateFile(filePath))
+      .rejects.toMatchObject({ code: 'FILE_TOO_LARGE', details: { pageCount: 2, maxPages: 1 } });
+  });
+
+  it('should reject PDFs that cannot be parsed', async () => {
+    const filePath = await writeFile('broken.pdf', Buffer.from('%PDF-1.4\nnot a document\n%%EOF\n'));
+
+    await expect(ImageValidationService.validateFile(filePath))
+      .rejects.toMatchObject({ code: 'INVALID_FILE_TYPE', message: 'PDF could not be read' });
+  });
+});
+
+describe('PDF OCR jobs', () => {
+  // Text the fake Tesseract reads, one entry per recognition in order
+  const readings = [];
+  const createWorker = fakeCreateWorker(async () => ({ text: readings.shift() || '', confidence: 90 }));
+
+  const processPdf = (uploadId, pdf) => processUpload(uploadId, pdf, 'bol.pdf', { timeout: 10000 });
+
+  useOcrTestEnv('pdf-ocr-test', { createWorker, alternatives: [] });
+
+  afterEach(() => {
+    readings.length = 0;
+    jest.restoreAllMocks();
+  });
+
+  it('should read every page and classify the merged text', async () => {
+    readings.push('BILL OF LADING\nACME FREIGHT LINES', 'FREIGHT CHARGES\nTOTAL $1,250.00');
+    const updates = [];
+    const updateJobStatus = OCRService.updateJobStatus.bind(OCRService);
+    jest.spyOn(OCRService, 'updateJobStatus').mockImplementation((jobId, changes, options) => {
+      updates.push(changes);
+      return updateJobStatus(jobId, changes, options);
+    });
+
+    const { status, result } = await processPdf('bol-upload', BILL_OF_LADING);
+
+    expect(status).toBe('completed');
+    expect(result).toMatchObject({
+      extractedText: 'BILL OF LADING\nACME FREIGHT LINES\n\nFREIGHT CHARGES\nTOTAL $1,250.00',
+      ocrConfidence: 0.9,
+      classification: expect.objectContaining({ amount: '$1250.00' }),
+      engine: 'tesseract',
+      strategy: null,
+      pageCount: 2,
+      pages: [
+        { page: 1, extractedText: 'BILL OF LADING\nACME FREIGHT LINES', engine: 'tesseract' },
+        { page: 2, extractedText: 'FREIGHT CHARGES\nTOTAL $1,250.00', strategy: { name: 'uniform-block' } },
+      ],
+    });
+
+    // Each page gets its share of the progress, in order
+    const progress = updates.filter(update => update.progress !== undefined).map(update => update.progress);
+    expect(progress).toEqual([...progress].sort((a, b) => a - b));
+    expect(updates).toContainEqual({ stage: 'rendering', progress: 0.1, page: 1, pageCount: 2 });
+    expect(updates).toContainEqual({ stage: 'rendering', progress: 0.5, page: 2, pageCount: 2 });
+    await expect(fs.readdir(config.storage.scratchDir)).resolves.toEqual([]);
+  });
+
+  it('should keep pages without text and fail documents without any', async () => {
+    readings.push('BILL OF LADING\nTOTAL $1,250.00', '');
+
+    const { result } = await processPdf('half-blank-upload', BILL_OF_LADING);
+
+    expect(result.extractedText).toBe('BILL OF LADING\nTOTAL $1,250.00');
+    expect(result.pages[1]).toMatchObject({ page: 2, extractedText: '', error: { code: 'OCR_FAILED' } });
+
+    const blank = await processPdf('blank-upload', BILL_OF_LADING);
+
+    expect(blank).toMatchObject({ status: 'failed', error: { code: 'OCR_FAILED' } });
+  });
+
+  /**
+   * Make renders of documents opened from now on never finish. Resolves
+   * with the worker of the first document once it is asked for a page.
+   */
+  function hangRenders() {
+    const open = PdfService.open.bind(PdfService);
+    return new Promise((rendering) => {
+      jest.spyOn(PdfService, 'open').mockImplementation(async (filePath, options) => {
+        const doc = await open(filePath, options);
+        const { worker } = doc;
+        const postMessage = worker.postMessage.bind(worker);
+        jest.spyOn(worker, 'terminate');
+        // The worker never hears about renders, so they never answer
+        jest.spyOn(worker, 'postMessage').mockImplementation((message) => {
+          if (message.method === 'renderPage') {
+            rendering(worker);
+          } else {
+            postMessage(message);
+          }
+        });
+        return doc;
+      });
+    });
+  }
+
+  it('should stop the PDF worker when a page render is aborted', async () => {
+    const rendering = hangRenders();
+    const controller = new AbortController();
+    const timedOut = new OCRError('OCR job timed out after 10 ms', 'TIMEOUT', { timeout: 10 });
+    const filePath = path.join(config.storage.scratchDir, 'hung.pdf');
+    await fs.mkdir(config.storage.scratchDir, { recursive: true });
+    await fs.writeFile(filePath, BILL_OF_LADING);
+
+    const doc = await PdfService.open(filePath, { signal: controller.signal });
+    const render = PdfService.renderPage(doc, 1, path.join(config.storage.scratchDir, 'hung.png'), 72);
+    const worker = await rendering;
+    controller.abort(timedOut);
+
+    await expect(render).rejects.toBe(timedOut);
+    expect(worker.terminate).toHaveBeenCalled();
+    await expect(PdfService.getPageSizes(doc, 72)).rejects.toBe(timedOut);
+    await PdfService.close(doc);
+    await fs.unlink(filePath);
+  });
+
+  it('should stop rendering a cancelled PDF job', async () => {
+    const rendering = hangRenders();
+
+    await FileService.ingestBuffer('hung-render-upload', BILL_OF_LADING, { filename: 'bol.pdf', checksum: null });
+    const jobId = await OCRService.startProcessing('hung-render-upload', 'test-correlation');
+    const worker = await rendering;
+    await OCRService.cancelJob(jobId);
+
+    await expect(OCRService.waitForJob(jobId, 5000, 10)).resolves.toMatchObject({ status: 'cancelled' });
+    expect(worker.terminate).toHaveBeenCalled();
+    await expect(fs.readdir(config.storage.scratchDir)).resolves.toEqual([]);
+  });
+});
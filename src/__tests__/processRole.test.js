@@ -0,0 +1,32 @@
+// src/__tests__/processRole.test.js
+const { resolveProcessRole } = require('../utils/processRole');
+
+describe('resolveProcessRole', () => {
+  const withRole = (processRole, shared = true) => ({
+    processRole,
+    persistence: { driver: shared ? 'redis' : 'memory' },
+    queue: { driver: shared ? 'bull' : 'memory' },
+    storage: { driver: shared ? 's3' : 'local' },
+  });
+
+  it('should run everything in one process by default', () => {
+    expect(resolveProcessRole(withRole('all', false))).toEqual({ role: 'all', runsWeb: true, runsWorker: true });
+  });
+
+  it('should split web and worker duties', () => {
+    expect(resolveProcessRole(withRole('web'))).toEqual({ role: 'web', runsWeb: true, runsWorker: false });
+    expect(resolveProcessRole(withRole('worker'))).toEqual({ role: 'worker', runsWeb: false, runsWorker: true });
+  });
+
+  it('should refuse split roles without shared state', () => {
+    expect(() => resolveProcessRole(withRole('worker', false))).toThrow('needs shared state');
+  });
+
+  it('should refuse split roles with uploads on local disk', () => {
+    expect(() => resolveProcessRole({ ...withRole('web'), storage: { driver: 'local' } })).toThrow('needs shared storage');
+  });
+
+  it('should reject unknown roles', () => {
+    expect(() => resolveProcessRole(withRole('scheduler'))).toThrow('Unknown PROCESS_ROLE');
+  });
+});
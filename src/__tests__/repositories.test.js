@@ -0,0 +1,258 @@
+// src/__tests__/repositories.test.js
+const RedisMock = require('ioredis-mock');
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+  logError: jest.fn(),
+  logSecurityEvent: jest.fn(),
+}));
+
+const { createRepositories } = require('../repositories');
+
+const drivers = [
+  ['memory', () => createRepositories('memory')],
+  ['redis', () => createRepositories('redis', new RedisMock({ keyPrefix: 'ocr:' }))],
+];
+
+describe.each(drivers)('%s repositories', (driver, build) => {
+  let sessions;
+  let jobs;
+  let batches;
+  let receipts;
+  let counter = 0;
+
+  beforeEach(() => {
+    ({ sessions, jobs, batches, receipts } = build());
+  });
+
+  // ioredis-mock instances share data, so every test uses fresh IDs
+  const nextId = (label) => `${driver}-${label}-${(counter += 1)}`;
+
+  const createSession = (overrides = {}) => sessions.create({
+    uploadId: nextId('upload'),
+    filename: 'receipt.jpg',
+    fileSize: 200,
+    maxChunks: 2,
+    status: 'uploading',
+    createdAt: new Date().toISOString(),
+    ...overrides,
+  });
+
+  const chunk = (index, checksum, path = `temp/chunk-${index}-${checksum}`) => ({
+    index,
+    path,
+    size: 100,
+    checksum,
+  });
+
+  it('should round-trip sessions with nested values and list them', async () => {
+    const session = await createSession({ checksum: null, jobIds: ['a', 'b'] });
+
+    await expect(sessions.get(session.uploadId)).resolves.toEqual(session);
+    await expect(sessions.get(nextId('missing'))).resolves.toBeNull();
+
+    const updated = await sessions.update(session.uploadId, { combinedPath: 'uploads/x', jobIds: ['a'] });
+    expect(updated).toMatchObject({ combinedPath: 'uploads/x', jobIds: ['a'], maxChunks: 2 });
+    await expect(sessions.update(nextId('missing'), { a: 1 })).resolves.toBeNull();
+
+    const listed = await sessions.list();
+    expect(listed.map(s => s.uploadId)).toContain(session.uploadId);
+
+    await sessions.delete(session.uploadId);
+    await expect(sessions.get(session.uploadId)).resolves.toBeNull();
+    await expect(sessions.getChunks(session.uploadId)).resolves.toEqual([]);
+  });
+
+  it('should let exactly one of several concurrent transitions win', async () => {
+    const { uploadId } = await createSession();
+
+    const results = await Promise.all([
+      sessions.transition(uploadId, ['uploading'], 'failed', { reason: 'first' }),
+      sessions.transition(uploadId, ['uploading'], 'aborted', { reason: 'second' }),
+      sessions.transition(uploadId, ['uploading'], 'assembling', { reason: 'third' }),
+    ]);
+
+    expect(results.filter(result => result.applied)).toHaveLength(1);
+    const winner = results.find(result => result.applied).session;
+    for (const result of results) {
+      expect(result.session).toEqual(winner);
+    }
+
+    await expect(sessions.transition(nextId('missing'), ['uploading'], 'failed'))
+      .resolves.toEqual({ applied: false, session: null });
+  });
+
+  it('should keep every item of concurrent appends', async () => {
+    const { uploadId } = await createSession();
+
+    await Promise.all([
+      sessions.append(uploadId, 'jobIds', ['a']),
+      sessions.append(uploadId, 'jobIds', ['b', 'c']),
+      sessions.append(uploadId, 'entries', [{ entry: 1, combinedPath: 'uploads/x' }]),
+    ]);
+
+    const session = await sessions.append(uploadId, 'jobIds', ['d']);
+    expect([...session.jobIds].sort()).toEqual(['a', 'b', 'c', 'd']);
+    expect(session.entries).toEqual([{ entry: 1, combinedPath: 'uploads/x' }]);
+
+    await sessions.update(uploadId, { entries: [] });
+    await expect(sessions.append(uploadId, 'entries', [{ entry: 2 }]))
+      .resolves.toMatchObject({ entries: [{ entry: 2 }] });
+    await expect(sessions.append(nextId('missing'), 'jobIds', ['a'])).resolves.toBeNull();
+
+    // Nothing is appended to a session outside the required state
+    await expect(sessions.append(uploadId, 'jobIds', ['e'], { requiredState: 'uploading' }))
+      .resolves.toMatchObject({ jobIds: expect.arrayContaining(['d']) });
+    await sessions.transition(uploadId, ['uploading'], 'aborted');
+    await expect(sessions.append(uploadId, 'jobIds', ['f'], { requiredState: 'uploading' })).resolves.toBeNull();
+    expect((await sessions.get(uploadId)).jobIds).not.toContain('f');
+  });
+
+  it('should only claim assembly once every chunk is present', async () => {
+    const { uploadId } = await createSession();
+
+    await sessions.addChunk(uploadId, chunk(0, 'aaa'), { requiredState: 'uploading', receivedAt: 't1' });
+    await expect(sessions.claimAssembly(uploadId, 'uploading', 'assembling')).resolves.toBe(false);
+
+    await sessions.addChunk(uploadId, chunk(1, 'bbb'), { requiredState: 'uploading', receivedAt: 't2' });
+    const claims = await Promise.all([
+      sessions.claimAssembly(uploadId, 'uploading', 'assembling', { updatedAt: 't3' }),
+      sessions.claimAssembly(uploadId, 'uploading', 'assembling', { updatedAt: 't3' }),
+    ]);
+
+    expect(claims.filter(Boolean)).toHaveLength(1);
+    await expect(sessions.get(uploadId)).resolves.toMatchObject({ status: 'assembling', updatedAt: 't3' });
+  });
+
+  it('should detect duplicate and replaced chunks', async () => {
+    const { uploadId } = await createSession();
+    const options = { requiredState: 'uploading', receivedAt: 't1' };
+
+    const added = await sessions.addChunk(uploadId, chunk(0, 'aaa', 'temp/first'), options);
+    expect(added).toMatchObject({ result: 'added', previous: null, session: { receivedChunks: 1, lastChunkAt: 't1' } });
+
+    const duplicate = await sessions.addChunk(uploadId, chunk(0, 'aaa', 'temp/second'), options);
+    expect(duplicate).toMatchObject({ result: 'duplicate', previous: { index: 0, path: 'temp/first' } });
+
+    const replaced = await sessions.addChunk(uploadId, chunk(0, 'ccc', 'temp/third'), options);
+    expect(replaced).toMatchObject({ result: 'replaced', previous: { path: 'temp/first' }, session: { receivedChunks: 1 } });
+
+    // Chunks without a checksum are never treated as duplicates
+    await sessions.addChunk(uploadId, chunk(1, null, 'temp/fourth'), options);
+    await expect(sessions.addChunk(uploadId, chunk(1, null, 'temp/fifth'), options))
+      .resolves.toMatchObject({ result: 'replaced' });
+
+    const stored = await sessions.getChunks(uploadId);
+    expect(stored.map(c => [c.index, c.path])).toEqual([[0, 'temp/third'], [1, 'temp/fifth']]);
+
+    await sessions.clearChunks(uploadId);
+    await expect(sessions.getChunks(uploadId)).resolves.toEqual([]);
+  });
+
+  it('should refuse chunks for missing or closed sessions', async () => {
+    const { uploadId } = await createSession();
+    const options = { requiredState: 'uploading', receivedAt: 't1' };
+
+    await expect(sessions.addChunk(nextId('missing'), chunk(0, 'aaa'), options))
+      .resolves.toMatchObject({ result: 'missing' });
+
+    await sessions.transition(uploadId, ['uploading'], 'aborted');
+    await expect(sessions.addChunk(uploadId, chunk(0, 'aaa'), options))
+      .resolves.toMatchObject({ result: 'invalid_state', session: { status: 'aborted' } });
+    await expect(sessions.getChunks(uploadId)).resolves.toEqual([]);
+  });
+
+  it('should append at the current offset and reject mismatched offsets', async () => {
+    const { uploadId } = await createSession({ maxChunks: null, uploadOffset: 0 });
+    const append = (offset, path) => sessions.appendChunk(
+      uploadId,
+      { path, size: 100, checksum: null, offset, receivedAt: 't1' },
+      { offset, requiredState: 'uploading', receivedAt: 't1' }
+    );
+
+    const [first, racing] = await Promise.all([append(0, 'temp/a'), append(0, 'temp/b')]);
+    expect([first.result, racing.result].sort()).toEqual(['appended', 'offset_mismatch']);
+    expect(first.result === 'appended' ? first.chunk : racing.chunk).toMatchObject({ index: 0, offset: 0 });
+
+    const last = await append(100, 'temp/c');
+    expect(last).toMatchObject({
+      result: 'appended',
+      chunk: { index: 1, offset: 100 },
+      session: { uploadOffset: 200, receivedChunks: 2, maxChunks: 2 },
+    });
+    await expect(sessions.claimAssembly(uploadId, 'uploading', 'assembling')).resolves.toBe(true);
+  });
+
+  it('should store jobs and only update them in the allowed statuses', async () => {
+    const jobId = nextId('job');
+    await jobs.create({ jobId, uploadId: 'u1', status: 'pending', progress: 0, result: null });
+
+    await expect(jobs.update(jobId, { status: 'active', progress: 10 }))
+      .resolves.toMatchObject({ status: 'active', progress: 10, result: null });
+    await expect(jobs.update(jobId, { status: 'completed', result: { text: 'ok' } }, { ifStatusIn: ['active'] }))
+      .resolves.toMatchObject({ status: 'completed', result: { text: 'ok' } });
+
+    // A finished job cannot be cancelled
+    await expect(jobs.update(jobId, { status: 'cancelled' }, { ifStatusIn: ['pending', 'active'] }))
+      .resolves.toBeNull();
+    await expect(jobs.get(jobId)).resolves.toMatchObject({ status: 'completed' });
+    await expect(jobs.update(nextId('missing'), { status: 'active' })).resolves.toBeNull();
+
+    expect((await jobs.list()).map(job => job.jobId)).toContain(jobId);
+    await jobs.delete(jobId);
+    await expect(jobs.get(jobId)).resolves.toBeNull();
+  });
+
+  it('should store batches with their entries', async () => {
+    const batchId = nextId('batch');
+    const entries = [
+      { entry: 1, filename: 'fuel.jpg', jobId: nextId('job'), error: null },
+      { entry: 2, filename: 'notes.txt', jobId: null, error: { code: 'INVALID_FILE_TYPE', message: 'Unsupported image format' } },
+    ];
+    await batches.create({ batchId, uploadId: 'u1', status: 'expanding', entries: [] });
+
+    await Promise.all(entries.map(entry => batches.appendEntry(batchId, entry)));
+    await batches.update(batchId, { status: 'expanded' });
+    const stored = await batches.get(batchId);
+    expect(stored).toMatchObject({ batchId, uploadId: 'u1', status: 'expanded' });
+    expect([...stored.entries].sort((a, b) => a.entry - b.entry)).toEqual(entries);
+    expect((await batches.list()).map(batch => batch.batchId)).toContain(batchId);
+    await expect(batches.appendEntry(nextId('missing'), entries[0])).resolves.toBeNull();
+    await expect(batches.update(nextId('missing'), { status: 'failed' })).resolves.toBeNull();
+    // A cancelled batch is not marked failed by a late update
+    await batches.update(batchId, { status: 'cancelled' }, { ifStatusIn: ['expanded'] });
+    await expect(batches.update(batchId, { status: 'failed' }, { ifStatusIn: ['expanding'] })).resolves.toBeNull();
+    await expect(batches.get(batchId)).resolves.toMatchObject({ status: 'cancelled' });
+    await batches.delete(batchId);
+    await expect(batches.get(batchId)).resolves.toBeNull();
+  });
+
+  it('should keep receipts in recording order and prune the oldest', async () => {
+    // A fresh index: ioredis-mock instances share data
+    ({ receipts } = createRepositories(driver, driver === 'redis' ? new RedisMock({ keyPrefix: `${nextId('receipts')}:` }) : null));
+    const receipt = (jobId, recordedAt) => ({
+      jobId,
+      uploadId: 'u1',
+      perceptualHash: '0123456789abcdef',
+      fingerprint: { vendor: 'shell', date: null, amount: 31218 },
+      recordedAt,
+    });
+
+    await receipts.record(receipt('old', '2024-01-01T00:00:00.000Z'));
+    await receipts.record(receipt('first', '2024-06-01T00:00:00.000Z'));
+    await receipts.record(receipt('second', '2024-06-02T00:00:00.000Z'));
+    await receipts.record(receipt('third', '2024-06-03T00:00:00.000Z'));
+    await expect(receipts.count()).resolves.toBe(4);
+
+    await expect(receipts.prune({ recordedBefore: Date.parse('2024-03-01'), maxEntries: 2 })).resolves.toBe(2);
+    await expect(receipts.list()).resolves.toEqual([
+      receipt('second', '2024-06-02T00:00:00.000Z'),
+      receipt('third', '2024-06-03T00:00:00.000Z'),
+    ]);
+  });
+});
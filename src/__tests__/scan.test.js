@@ -0,0 +1,103 @@
+// src/__tests__/scan.test.js
+const request = require('supertest');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+jest.mock('../services/ocrService');
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+  logError: jest.fn(),
+  logSecurityEvent: jest.fn(),
+}));
+
+const app = require('../app');
+const OCRService = require('../services/ocrService');
+const FileService = require('../services/fileService');
+const { setStorage, LocalStorageAdapter } = require('../storage');
+
+describe('POST /api/ocr/scan - Single-request scan', () => {
+  const originalCwd = process.cwd();
+  const mockJobId = '3f1c2b7e-8a4d-4c6b-9e2f-1a2b3c4d5e6f';
+  const imageBuffer = Buffer.concat([Buffer.from([0xFF, 0xD8, 0xFF, 0xE0]), Buffer.alloc(2048, 7)]);
+  let workDir;
+
+  beforeAll(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'scan-test-'));
+    process.chdir(workDir);
+    setStorage(new LocalStorageAdapter({
+      tempDir: path.join(workDir, 'temp'),
+      uploadsDir: path.join(workDir, 'uploads'),
+    }));
+  });
+
+  afterAll(async () => {
+    process.chdir(originalCwd);
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    OCRService.startProcessing.mockResolvedValue(mockJobId);
+  });
+
+  it('should accept a multipart image and return the job ID', async () => {
+    const response = await request(app)
+      .post('/api/ocr/scan')
+      .attach('image', imageBuffer, { filename: 'receipt.jpg', contentType: 'image/jpeg' })
+      .expect(202);
+
+    expect(response.body).toMatchObject({
+      jobId: mockJobId,
+      uploadId: expect.any(String),
+    });
+
+    const session = await FileService.getUploadSession(response.body.uploadId);
+    expect(session).toMatchObject({ status: 'completed', filename: 'scan.jpg', source: 'scan' });
+    await expect(fs.readFile(session.combinedPath)).resolves.toEqual(imageBuffer);
+    expect(OCRService.startProcessing).toHaveBeenCalledWith(response.body.uploadId, expect.any(String));
+  });
+
+  it('should wait for the result of a base64 scan', async () => {
+    OCRService.waitForJob.mockResolvedValue({
+      jobId: mockJobId,
+      status: 'completed',
+      progress: 1.0,
+      result: { extractedText: 'SHELL 45.99' },
+    });
+
+    const response = await request(app)
+      .post('/api/ocr/scan?wait=true&timeout=5000')
+      .send({ image: `data:image/png;base64,${imageBuffer.toString('base64')}` })
+      .expect(200);
+
+    expect(response.body).toMatchObject({ jobId: mockJobId, status: 'completed' });
+    expect(OCRService.waitForJob).toHaveBeenCalledWith(mockJobId, 5000);
+  });
+
+  it('should hand back the job when waiting times out', async () => {
+    OCRService.waitForJob.mockResolvedValue({ jobId: mockJobId, status: 'active', progress: 0.4 });
+
+    const response = await request(app)
+      .post('/api/ocr/scan?wait=true')
+      .send({ image: imageBuffer.toString('base64'), filename: 'fuel.jpg' })
+      .expect(202);
+
+    expect(response.body).toMatchObject({ jobId: mockJobId, status: 'active', progress: 0.4 });
+  });
+
+  it('should reject a request without an image', async () => {
+    const response = await request(app)
+      .post('/api/ocr/scan')
+      .send({ filename: 'fuel.jpg' })
+      .expect(400);
+
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    expect(OCRService.startProcessing).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,168 @@
+// src/__tests__/stitching.test.js
+const request = require('supertest');
+const sharp = require('sharp');
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+  logError: jest.fn(),
+  logSecurityEvent: jest.fn(),
+}));
+
+const app = require('../app');
+const config = require('../config');
+const OCRService = require('../services/ocrService');
+const { stitchTexts } = require('../utils/textStitcher');
+const { fakeCreateWorker, useOcrTestEnv } = require('./helpers/ocrTestEnv');
+
+// Three overlapping photos of one long fuel receipt, as read by the fake
+// Tesseract (the second misreads a zero)
+const PHOTOS = [
+  'LOVES TRAVEL STOP #512\n03/14/2025 06:42\nPUMP 07 DIESEL\n120.500 GAL @ 3.899',
+  'PUMP 07 DIESEL\n12O.500 GAL @ 3.899\nFUEL SALE $469.83\nDEF 2.5 GAL $12.48',
+  'DEF 2.5 GAL $12.48\nTOTAL $482.31\nTHANK YOU',
+];
+
+describe('stitchTexts', () => {
+  it('should drop the lines consecutive photos share', () => {
+    expect(stitchTexts(PHOTOS)).toEqual({
+      text: [
+        'LOVES TRAVEL STOP #512',
+        '03/14/2025 06:42',
+        'PUMP 07 DIESEL',
+        '120.500 GAL @ 3.899',
+        'FUEL SALE $469.83',
+        'DEF 2.5 GAL $12.48',
+        'TOTAL $482.31',
+        'THANK YOU',
+      ].join('\n'),
+      droppedLines: [2, 1],
+    });
+  });
+
+  it('should skip a line cut off at the edge of a photo', () => {
+    const upper = 'BILL OF LADING 4471\nSHIPPER ACME FOODS\nCONSIGNEE METRO DC\nPICKUP 03/14/2025\nWE1GH';
+    const lower = '1PPER ACME F00DS\nCONSIGNEE METRO DC\nPICKUP 03/14/2025\nWEIGHT 38,200 LBS\nFREIGHT $1,250.00';
+
+    expect(stitchTexts([upper, lower])).toEqual({
+      text: [
+        'BILL OF LADING 4471',
+        'SHIPPER ACME FOODS',
+        'CONSIGNEE METRO DC',
+        'PICKUP 03/14/2025',
+        'WEIGHT 38,200 LBS',
+        'FREIGHT $1,250.00',
+      ].join('\n'),
+      droppedLines: [4],
+    });
+  });
+
+  it('should keep every line of photos that do not overlap', () => {
+    expect(stitchTexts(['LUMPER SERVICES INC\nTOTAL', 'TOTAL\n$185.00'])).toEqual({
+      text: 'LUMPER SERVICES INC\nTOTAL\nTOTAL\n$185.00',
+      droppedLines: [0],
+    });
+  });
+});
+
+describe('Multi-part uploads', () => {
+  // Few requests: the API is rate limited
+  const chunkSize = 100 * 1024;
+  // The fake Tesseract tells the photos apart by their shape
+  const createWorker = fakeCreateWorker(async (image) => {
+    const { width, height } = await sharp(image).metadata();
+    return { text: PHOTOS[Math.round(height / width * 2) - 1], confidence: 80 };
+  });
+  let photos;
+
+  useOcrTestEnv('stitching-test', { createWorker, alternatives: [] });
+
+  /**
+   * Create a multi-part session for files and send each file's chunks
+   */
+  async function uploadParts(files) {
+    const created = await request(app)
+      .post('/api/ocr/upload')
+      .send({
+        chunkSize,
+        parts: files.map(({ filename, data }) => ({ filename, fileSize: data.length })),
+      })
+      .expect(200);
+    const { uploadId, maxChunks, parts } = created.body;
+
+    for (const [index, { firstChunk, chunkCount }] of parts.entries()) {
+      for (let chunk = 0; chunk < chunkCount; chunk++) {
+        await request(app)
+          .post('/api/ocr/chunk')
+          .field('uploadId', uploadId)
+          .field('chunkIndex', String(firstChunk + chunk))
+          .field('totalChunks', String(maxChunks))
+          .attach('chunk', files[index].data.subarray(chunk * chunkSize, (chunk + 1) * chunkSize), 'chunk.bin')
+          .expect(200);
+      }
+    }
+
+    return created.body;
+  }
+
+  beforeAll(async () => {
+    // Noise keeps the photos from compressing below one chunk
+    photos = await Promise.all(PHOTOS.map(async (_, index) => {
+      const width = 200;
+      const height = 100 * (index + 1);
+      const noise = Buffer.from(Array.from({ length: width * height * 3 }, () => Math.floor(Math.random() * 256)));
+      return {
+        filename: `receipt-${index + 1}.png`,
+        data: await sharp(noise, { raw: { width, height, channels: 3 } }).png().toBuffer(),
+      };
+    }));
+  });
+
+  it('should read each photo and stitch them into one receipt', async () => {
+    const { uploadId, maxChunks, parts } = await uploadParts(photos);
+    expect(parts.map(part => part.firstChunk)).toEqual([0, parts[0].chunkCount, parts[0].chunkCount + parts[1].chunkCount]);
+    expect(maxChunks).toBe(parts.reduce((total, part) => total + part.chunkCount, 0));
+    expect(parts[2].chunkCount).toBeGreaterThan(1);
+
+    const started = await request(app)
+      .post('/api/ocr/process')
+      .send({ uploadId })
+      .expect(200);
+    const { status, result } = await OCRService.waitForJob(started.body.jobId, 5000, 10);
+
+    expect(status).toBe('completed');
+    expect(result).toMatchObject({
+      extractedText: stitchTexts(PHOTOS).text,
+      filename: 'receipt-1.png',
+      classification: expect.objectContaining({ type: 'Fuel', date: '2025-03-14' }),
+      partCount: 3,
+      parts: [
+        { part: 1, filename: 'receipt-1.png', extractedText: PHOTOS[0], ocrConfidence: 0.8 },
+        { part: 2, filename: 'receipt-2.png', extractedText: PHOTOS[1], ocrConfidence: 0.8 },
+        { part: 3, filename: 'receipt-3.png', extractedText: PHOTOS[2], ocrConfidence: 0.8 },
+      ],
+      stitching: { droppedLines: [2, 1] },
+    });
+  });
+
+  it('should reject parts declaring a size of their own for the whole upload', async () => {
+    const response = await request(app)
+      .post('/api/ocr/upload')
+      .send({
+        fileSize: 1024,
+        parts: [{ filename: 'a.jpg', fileSize: 512 }, { filename: 'b.jpg', fileSize: 512 }],
+      })
+      .expect(400);
+
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+
+    await request(app)
+      .post('/api/ocr/upload')
+      .send({ parts: Array.from({ length: config.ocr.stitching.maxParts + 1 }, (_, index) => ({ filename: `${index}.jpg`, fileSize: 512 })) })
+      .expect(400);
+  });
+});
@@ -0,0 +1,292 @@
+// src/__tests__/storage.test.js
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const FileService = require('../services/fileService');
+const { setStorage, LocalStorageAdapter, S3StorageAdapter } = require('../storage');
+
+const BUCKET = 'receipts';
+
+/**
+ * Minimal S3-compatible server (path-style requests), standing in for MinIO.
+ * Supports the bucket and object calls the adapter makes, including
+ * multipart uploads and paginated listings.
+ */
+function createFakeS3Server({ pageSize = 2 } = {}) {
+  const objects = new Map();
+  const multipartUploads = new Map();
+
+  const xml = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?>${body}`);
+  };
+
+  const notFound = (res, method) => {
+    if (method === 'HEAD') {
+      res.writeHead(404);
+      return res.end();
+    }
+    xml(res, 404, '<Error><Code>NoSuchKey</Code><Message>Not found</Message></Error>');
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const body = [];
+    for await (const data of req) {
+      body.push(data);
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const [, bucket, ...keyParts] = url.pathname.split('/');
+    const key = keyParts.map(decodeURIComponent).join('/');
+
+    if (bucket !== BUCKET) {
+      return xml(res, 404, '<Error><Code>NoSuchBucket</Code></Error>');
+    }
+
+    if (!key) {
+      if (req.method === 'HEAD') {
+        res.writeHead(200);
+        return res.end();
+      }
+
+      // ListObjectsV2
+      const prefix = url.searchParams.get('prefix') || '';
+      const start = parseInt(url.searchParams.get('continuation-token') || '0', 10);
+      const keys = Array.from(objects.keys()).filter(name => name.startsWith(prefix)).sort();
+      const page = keys.slice(start, start + pageSize);
+      const truncated = start + pageSize < keys.length;
+
+      return xml(res, 200, `<ListBucketResult><Name>${BUCKET}</Name><Prefix>${prefix}</Prefix>`
+        + `<KeyCount>${page.length}</KeyCount><IsTruncated>${truncated}</IsTruncated>`
+        + (truncated ? `<NextContinuationToken>${start + pageSize}</NextContinuationToken>` : '')
+        + page.map(name => `<Contents><Key>${name}</Key><Size>${objects.get(name).data.length}</Size>`
+          + `<LastModified>${objects.get(name).modifiedAt.toISOString()}</LastModified></Contents>`).join('')
+        + '</ListBucketResult>');
+    }
+
+    const object = objects.get(key);
+
+    switch (req.method) {
+      case 'POST':
+        if (url.searchParams.has('uploads')) {
+          const uploadId = crypto.randomUUID();
+          multipartUploads.set(uploadId, new Map());
+          return xml(res, 200, `<InitiateMultipartUploadResult><Bucket>${BUCKET}</Bucket>`
+            + `<Key>${key}</Key><UploadId>${uploadId}</UploadId></InitiateMultipartUploadResult>`);
+        }
+        {
+          const parts = multipartUploads.get(url.searchParams.get('uploadId'));
+          const ordered = Array.from(parts.keys()).sort((a, b) => a - b).map(number => parts.get(number));
+          objects.set(key, { data: Buffer.concat(ordered), modifiedAt: new Date() });
+          multipartUploads.delete(url.searchParams.get('uploadId'));
+          return xml(res, 200, `<CompleteMultipartUploadResult><Bucket>${BUCKET}</Bucket>`
+            + `<Key>${key}</Key><ETag>"done"</ETag></CompleteMultipartUploadResult>`);
+        }
+
+      case 'PUT':
+        if (url.searchParams.has('partNumber')) {
+          multipartUploads.get(url.searchParams.get('uploadId'))
+            .set(parseInt(url.searchParams.get('partNumber'), 10), Buffer.concat(body));
+          res.writeHead(200, { ETag: `"part-${url.searchParams.get('partNumber')}"` });
+          return res.end();
+        }
+        if (req.headers['x-amz-copy-source']) {
+          const sourceKey = decodeURIComponent(req.headers['x-amz-copy-source'])
+            .replace(/^\/?/, '').slice(BUCKET.length + 1);
+          const source = objects.get(sourceKey);
+          if (!source) {
+            return notFound(res, req.method);
+          }
+          objects.set(key, { data: source.data, modifiedAt: new Date() });
+          return xml(res, 200, `<CopyObjectResult><ETag>"copy"</ETag>`
+            + `<LastModified>${new Date().toISOString()}</LastModified></CopyObjectResult>`);
+        }
+        objects.set(key, { data: Buffer.concat(body), modifiedAt: new Date() });
+        res.writeHead(200, { ETag: '"put"' });
+        return res.end();
+
+      case 'GET':
+      case 'HEAD':
+        if (!object) {
+          return notFound(res, req.method);
+        }
+        res.writeHead(200, {
+          'Content-Length': object.data.length,
+          'Last-Modified': object.modifiedAt.toUTCString(),
+        });
+        return res.end(req.method === 'GET' ? object.data : undefined);
+
+      case 'DELETE':
+        objects.delete(key);
+        res.writeHead(204);
+        return res.end();
+
+      default:
+        res.writeHead(405);
+        return res.end();
+    }
+  });
+
+  return { server, objects };
+}
+
+describe('Storage adapters', () => {
+  let workDir;
+
+  beforeAll(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  describe('LocalStorageAdapter', () => {
+    let storage;
+
+    beforeAll(async () => {
+      storage = new LocalStorageAdapter({
+        tempDir: path.join(workDir, 'local-temp'),
+        uploadsDir: path.join(workDir, 'local-uploads'),
+      });
+      await storage.ensureReady();
+    });
+
+    it('should keep temp and uploads keys in their configured directories', async () => {
+      await storage.write('temp/chunk-a', Buffer.from('abc'));
+      await storage.write('temp/chunk-a', Readable.from([Buffer.from('def')]), { append: true });
+      await storage.move('temp/chunk-a', 'uploads/combined.jpg');
+
+      await expect(fs.readFile(path.join(workDir, 'local-uploads', 'combined.jpg'), 'utf8')).resolves.toBe('abcdef');
+      await expect(storage.stat('temp/chunk-a')).resolves.toBeNull();
+      await expect(storage.list('uploads/')).resolves.toEqual([
+        expect.objectContaining({ key: 'uploads/combined.jpg', size: 6 }),
+      ]);
+    });
+
+    it('should reject keys outside the storage areas', async () => {
+      await expect(storage.write('temp/../escape', Buffer.from('x'))).rejects.toThrow('escapes its area');
+      await expect(storage.write('logs/app.log', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    });
+  });
+
+  describe('S3StorageAdapter', () => {
+    let fakeS3;
+    let storage;
+
+    beforeAll(async () => {
+      fakeS3 = createFakeS3Server();
+      await new Promise(resolve => fakeS3.server.listen(0, '127.0.0.1', resolve));
+
+      storage = new S3StorageAdapter({
+        bucket: BUCKET,
+        prefix: 'ocr/',
+        endpoint: `http://127.0.0.1:${fakeS3.server.address().port}`,
+        region: 'us-east-1',
+        accessKeyId: 'test',
+        secretAccessKey: 'test-secret',
+        forcePathStyle: true,
+        scratchDir: path.join(workDir, 'scratch'),
+      });
+      await storage.ensureReady();
+    });
+
+    afterAll(async () => {
+      storage.client.destroy();
+      await new Promise(resolve => fakeS3.server.close(resolve));
+    });
+
+    it('should store, read, move and delete objects under the prefix', async () => {
+      await storage.write('temp/buffer-chunk', Buffer.from('hello '));
+      await storage.write('temp/stream-chunk', Readable.from([Buffer.from('wor'), Buffer.from('ld')]));
+
+      expect(fakeS3.objects.has('ocr/temp/buffer-chunk')).toBe(true);
+      await expect(storage.stat('temp/stream-chunk')).resolves.toMatchObject({ size: 5 });
+
+      await storage.move('temp/stream-chunk', 'uploads/moved');
+      await expect(storage.stat('temp/stream-chunk')).resolves.toBeNull();
+
+      const data = [];
+      for await (const part of await storage.openReadStream('uploads/moved')) {
+        data.push(part);
+      }
+      expect(Buffer.concat(data).toString()).toBe('world');
+
+      const localCopy = await storage.getLocalPath('uploads/moved');
+      await expect(fs.readFile(localCopy.path, 'utf8')).resolves.toBe('world');
+      await localCopy.release();
+      await expect(fs.access(localCopy.path)).rejects.toThrow();
+
+      await storage.delete('uploads/moved');
+      await storage.delete('uploads/never-existed');
+      await expect(storage.stat('uploads/moved')).resolves.toBeNull();
+    });
+
+    it('should stream large objects as multipart uploads', async () => {
+      const large = crypto.randomBytes(6 * 1024 * 1024);
+      await storage.write('uploads/large.jpg', Readable.from([large.subarray(0, 4e6), large.subarray(4e6)]));
+
+      expect(fakeS3.objects.get('ocr/uploads/large.jpg').data.equals(large)).toBe(true);
+      await storage.delete('uploads/large.jpg');
+    });
+
+    it('should refuse appends', async () => {
+      expect(storage.supportsAppend).toBe(false);
+      await expect(storage.write('temp/x', Buffer.from('x'), { append: true })).rejects.toThrow('does not support appending');
+    });
+
+    it('should list every object across pages', async () => {
+      for (const name of ['a', 'b', 'c', 'd', 'e']) {
+        await storage.write(`temp/list-${name}`, Buffer.from(name));
+      }
+
+      const listed = await storage.list('temp/list-');
+      expect(listed.map(object => object.key)).toEqual([
+        'temp/list-a', 'temp/list-b', 'temp/list-c', 'temp/list-d', 'temp/list-e',
+      ]);
+      expect(listed[0]).toMatchObject({ size: 1, modifiedAt: expect.any(Date) });
+    });
+
+    it('should assemble chunked uploads in one pass', async () => {
+      setStorage(storage);
+
+      const chunks = [crypto.randomBytes(1000), crypto.randomBytes(1000), crypto.randomBytes(500)];
+      const whole = Buffer.concat(chunks);
+
+      await FileService.createUploadSession('s3-upload', {
+        filename: 'receipt.jpg',
+        fileSize: whole.length,
+        chunkSize: 1000,
+        maxChunks: chunks.length,
+        checksum: crypto.createHash('sha256').update(whole).digest('hex'),
+        receivedChunks: 0,
+      });
+
+      // Out of order, as a client retrying chunks would send them
+      for (const index of [2, 0, 1]) {
+        const chunkPath = `temp/s3-upload-chunk-${index}`;
+        await storage.write(chunkPath, chunks[index]);
+        await FileService.addChunk('s3-upload', { index, path: chunkPath, size: chunks[index].length });
+      }
+
+      const session = await FileService.finalizeUpload('s3-upload');
+
+      expect(session.status).toBe('completed');
+      expect(fakeS3.objects.get(`ocr/${session.combinedPath}`).data.equals(whole)).toBe(true);
+      expect(Array.from(fakeS3.objects.keys()).filter(key => key.startsWith('ocr/temp/s3-upload'))).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+// src/__tests__/tesseractPool.test.js
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const { EventEmitter } = require('events');
+const TesseractWorkerPool = require('../services/tesseractPool');
+
+/**
+ * Stand-in for tesseract.js workers. recognize() resolves when the test
+ * calls finish() (or fails when it calls fail()); exit() ends the worker
+ * thread as a crash would.
+ */
+function fakeWorkers() {
+  const workers = [];
+
+  const createWorker = jest.fn(async (language) => {
+    const worker = {
+      id: workers.length,
+      language,
+      pending: [],
+      terminated: false,
+      worker: new EventEmitter(),
+      setParameters: jest.fn(async () => {}),
+      recognize: jest.fn(image => new Promise((resolve, reject) => {
+        worker.pending.push({ image, resolve, reject });
+      })),
+      terminate: jest.fn(async () => {
+        worker.terminated = true;
+      }),
+      finish(text) {
+        worker.pending.shift().resolve({ data: { text, confidence: 90 } });
+      },
+      fail(message) {
+        worker.pending.shift().reject(new Error(message));
+      },
+      exit(code) {
+        worker.worker.emit('exit', code);
+      },
+    };
+    workers.push(worker);
+    return worker;
+  });
+
+  return { workers, createWorker };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('TesseractWorkerPool', () => {
+  it('should start the configured number of workers and spread jobs over them', async () => {
+    const { workers, createWorker } = fakeWorkers();
+    const pool = new TesseractWorkerPool({ size: 2, language: 'eng', createWorker });
+    await pool.start();
+
+    expect(createWorker).toHaveBeenCalledTimes(2);
+    expect(createWorker).toHaveBeenCalledWith('eng', 1, expect.any(Object));
+
+    const results = ['a.jpg', 'b.jpg', 'c.jpg'].map(image => pool.recognize(image, { parameters: { psm: '6' } }));
+    await settle();
+
+    expect(workers.map(worker => worker.pending.map(task => task.image))).toEqual([['a.jpg'], ['b.jpg']]);
+    expect(workers[0].setParameters).toHaveBeenCalledWith({ psm: '6' });
+    expect(pool.getStats()).toMatchObject({ size: 2, busy: 2, idle: 0, waiting: 1, utilization: 1 });
+
+    workers[1].finish('second');
+    await settle();
+    expect(workers[1].pending.map(task => task.image)).toEqual(['c.jpg']);
+
+    workers[0].finish('first');
+    workers[1].finish('third');
+    await expect(Promise.all(results)).resolves.toMatchObject([{ text: 'first' }, { text: 'second' }, { text: 'third' }]);
+    expect(pool.getStats()).toMatchObject({ busy: 0, utilization: 0, processed: 3, failed: 0 });
+
+    await pool.shutdown();
+  });
+
+  it('should keep a worker whose image failed and replace one that exited', async () => {
+    const { workers, createWorker } = fakeWorkers();
+    const pool = new TesseractWorkerPool({ size: 1, createWorker });
+    await pool.start();
+
+    const failing = pool.recognize('broken.jpg');
+    await settle();
+    workers[0].fail('Error attempting to read image.');
+
+    await expect(failing).rejects.toThrow('Error attempting to read image.');
+    const next = pool.recognize('receipt.jpg');
+    await settle();
+    expect(workers[0].terminated).toBe(false);
+    expect(workers[0].pending.map(task => task.image)).toEqual(['receipt.jpg']);
+
+    workers[0].exit(1);
+    await expect(next).rejects.toThrow('Tesseract worker exited unexpectedly');
+    await settle();
+    expect(createWorker).toHaveBeenCalledTimes(2);
+
+    const last = pool.recognize('receipt.jpg');
+    await settle();
+    workers[1].finish('TOTAL 12.00');
+    await expect(last).resolves.toMatchObject({ text: 'TOTAL 12.00' });
+    expect(pool.getStats()).toMatchObject({ processed: 1, failed: 2, restarts: 1 });
+
+    await pool.shutdown();
+  });
+
+  it('should drop an aborted waiting job and replace the worker of an aborted running one', async () => {
+    const { workers, createWorker } = fakeWorkers();
+    const pool = new TesseractWorkerPool({ size: 1, createWorker });
+    await pool.start();
+
+    const stuck = new AbortController();
+    const queued = new AbortController();
+    const running = pool.recognize('stuck.jpg', { signal: stuck.signal });
+    const waiting = pool.recognize('queued.jpg', { signal: queued.signal });
+    const next = pool.recognize('receipt.jpg');
+    await settle();
+
+    queued.abort(new Error('cancelled'));
+    await expect(waiting).rejects.toThrow('cancelled');
+
+    stuck.abort(new Error('timed out'));
+    await expect(running).rejects.toThrow('timed out');
+    await settle();
+    expect(workers[0].terminated).toBe(true);
+    expect(workers[1].pending.map(task => task.image)).toEqual(['receipt.jpg']);
+
+    // The terminated worker finishing late changes nothing
+    workers[0].finish('too late');
+    workers[1].finish('TOTAL 12.00');
+    await expect(next).resolves.toMatchObject({ text: 'TOTAL 12.00' });
+    expect(pool.getStats()).toMatchObject({ busy: 0, processed: 1, failed: 0, aborted: 1, restarts: 1 });
+
+    await pool.shutdown();
+  });
+
+  it('should terminate every worker and reject waiting jobs on shutdown', async () => {
+    const { workers, createWorker } = fakeWorkers();
+    const pool = new TesseractWorkerPool({ size: 2, createWorker });
+    await pool.start();
+
+    pool.recognize('a.jpg');
+    pool.recognize('b.jpg');
+    const queued = pool.recognize('c.jpg');
+    await settle();
+
+    await pool.shutdown();
+
+    await expect(queued).rejects.toThrow('shut down');
+    expect(workers.every(worker => worker.terminated)).toBe(true);
+    await expect(pool.recognize('d.jpg')).rejects.toThrow('shut down');
+  });
+});
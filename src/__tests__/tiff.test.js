@@ -0,0 +1,106 @@
+// src/__tests__/tiff.test.js
+const fs = require('fs').promises;
+const sharp = require('sharp');
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+  logError: jest.fn(),
+  logSecurityEvent: jest.fn(),
+}));
+
+const config = require('../config');
+const OCRService = require('../services/ocrService');
+const ImageValidationService = require('../services/imageValidationService');
+const { fakeCreateWorker, useOcrTestEnv, writeWorkFile, processUpload } = require('./helpers/ocrTestEnv');
+
+// What the fake Tesseract reads from a light and a dark page
+const LUMPER_RECEIPT = 'LUMPER SERVICES INC\nUNLOADING FEE\nTOTAL $185.00';
+const PROOF_OF_DELIVERY = 'PROOF OF DELIVERY\nRECEIVED IN GOOD ORDER';
+
+/**
+ * A fax: one page per background, stored as a 1-bit G4 TIFF, or as an
+ * 8-bit one without bilevel
+ */
+async function makeTiff(backgrounds, { bilevel = true } = {}) {
+  const pages = await Promise.all(backgrounds.map(background =>
+    sharp({ create: { width: 400, height: 300, channels: 3, background } }).png().toBuffer()
+  ));
+  const image = sharp(pages, { join: { animated: true } });
+
+  return bilevel
+    ? image.toColourspace('b-w').tiff({ compression: 'ccittfax4', bitdepth: 1 }).toBuffer()
+    : image.tiff().toBuffer();
+}
+
+describe('TIFF uploads', () => {
+  const originalMaxPages = config.ocr.validation.maxPages;
+  const createWorker = fakeCreateWorker(async (image) => {
+    const { channels } = await sharp(image).stats();
+    return { text: channels[0].mean > 128 ? LUMPER_RECEIPT : PROOF_OF_DELIVERY, confidence: 85 };
+  });
+  const env = useOcrTestEnv('tiff-test', { createWorker, alternatives: [] });
+  let fax;
+
+  const writeFile = (name, data) => writeWorkFile(env, name, data);
+
+  beforeAll(async () => {
+    fax = await makeTiff(['#ffffff', '#000000']);
+  });
+
+  afterEach(() => {
+    config.ocr.validation.maxPages = originalMaxPages;
+    jest.restoreAllMocks();
+  });
+
+  it('should accept multi-page TIFFs and report their page count', async () => {
+    await expect(ImageValidationService.validateFile(await writeFile('fax.tif', fax))).resolves.toMatchObject({
+      format: 'tiff',
+      mimeType: 'image/tiff',
+      width: 400,
+      height: 300,
+      pageCount: 2,
+    });
+  });
+
+  it('should reject TIFFs with too many pages or an archive appended', async () => {
+    config.ocr.validation.maxPages = 1;
+    await expect(ImageValidationService.validateFile(await writeFile('long.tif', fax)))
+      .rejects.toMatchObject({ code: 'FILE_TOO_LARGE', details: { pageCount: 2, maxPages: 1 } });
+
+    const archiveTail = Buffer.concat([Buffer.from('PK\x03\x04payload'), Buffer.from([0x50, 0x4B, 0x05, 0x06]), Buffer.alloc(18)]);
+    await expect(ImageValidationService.validateFile(await writeFile('polyglot.tif', Buffer.concat([fax, archiveTail]))))
+      .rejects.toMatchObject({ code: 'INVALID_FILE_TYPE', message: 'File contains data after the end of the image' });
+  });
+
+  it('should read each page of a fax on its own', async () => {
+    const { status, result } = await processUpload('fax-upload', fax, 'fax.tif');
+
+    expect(status).toBe('completed');
+    expect(result).toMatchObject({
+      extractedText: `${LUMPER_RECEIPT}\n\n${PROOF_OF_DELIVERY}`,
+      classification: expect.objectContaining({ amount: '$185.00' }),
+      pageCount: 2,
+      pages: [
+        { page: 1, extractedText: LUMPER_RECEIPT, ocrConfidence: 0.85 },
+        { page: 2, extractedText: PROOF_OF_DELIVERY, ocrConfidence: 0.85 },
+      ],
+    });
+    await expect(fs.readdir(config.storage.scratchDir)).resolves.toEqual([]);
+  });
+
+  it('should only convert to grayscale and normalize pages that are not 1-bit', async () => {
+    const normalize = jest.spyOn(sharp.prototype, 'normalize');
+
+    await OCRService.optimizeImageForOCR(await writeFile('bilevel.tif', fax), 'test-correlation', { frame: 1 });
+    expect(normalize).not.toHaveBeenCalled();
+
+    const scan = await makeTiff(['#ffffff', '#ffffff'], { bilevel: false });
+    await OCRService.optimizeImageForOCR(await writeFile('scan.tif', scan), 'test-correlation', { frame: 0 });
+    expect(normalize).toHaveBeenCalledTimes(1);
+  });
+});
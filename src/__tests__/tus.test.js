@@ -0,0 +1,141 @@
+// src/__tests__/tus.test.js
+const request = require('supertest');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+jest.mock('../services/ocrService');
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+  logError: jest.fn(),
+  logSecurityEvent: jest.fn(),
+}));
+
+const app = require('../app');
+const OCRService = require('../services/ocrService');
+const FileService = require('../services/fileService');
+const { setStorage, LocalStorageAdapter } = require('../storage');
+
+describe('tus upload endpoint', () => {
+  const originalCwd = process.cwd();
+  let workDir;
+
+  // 3000 bytes sent as two PATCH requests
+  const fileData = crypto.randomBytes(3000);
+  const encode = (value) => Buffer.from(value).toString('base64');
+
+  beforeAll(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tus-test-'));
+    process.chdir(workDir);
+    setStorage(new LocalStorageAdapter({
+      tempDir: path.join(workDir, 'temp'),
+      uploadsDir: path.join(workDir, 'uploads'),
+    }));
+    // The real abort, around the mocked job lookups and cancellation
+    OCRService.abortUpload.mockImplementation(jest.requireActual('../services/ocrService').abortUpload);
+  });
+
+  afterAll(async () => {
+    process.chdir(originalCwd);
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  it('should announce tus capabilities', async () => {
+    const response = await request(app)
+      .options('/api/ocr/tus')
+      .expect(204);
+
+    expect(response.headers['tus-resumable']).toBe('1.0.0');
+    expect(response.headers['tus-version']).toBe('1.0.0');
+    expect(response.headers['tus-extension']).toBe('creation,termination');
+  });
+
+  it('should reject requests without a supported Tus-Resumable header', async () => {
+    await request(app)
+      .post('/api/ocr/tus')
+      .set('Upload-Length', String(fileData.length))
+      .expect(412);
+  });
+
+  it('should create, resume and complete an upload', async () => {
+    const sha256 = crypto.createHash('sha256').update(fileData).digest('hex');
+
+    const created = await request(app)
+      .post('/api/ocr/tus')
+      .set('Tus-Resumable', '1.0.0')
+      .set('Upload-Length', String(fileData.length))
+      .set('Upload-Metadata', `filename ${encode('receipt.jpg')},checksum ${encode(sha256)}`)
+      .expect(201);
+
+    const location = created.headers.location;
+    expect(location).toMatch(/^\/api\/ocr\/tus\/[0-9a-f-]{36}$/);
+    const uploadId = location.split('/').pop();
+
+    const first = await request(app)
+      .patch(location)
+      .set('Tus-Resumable', '1.0.0')
+      .set('Upload-Offset', '0')
+      .set('Content-Type', 'application/offset+octet-stream')
+      .send(fileData.subarray(0, 1200))
+      .expect(204);
+    expect(first.headers['upload-offset']).toBe('1200');
+
+    // A client that lost track of the offset asks for it before resuming
+    const head = await request(app)
+      .head(location)
+      .set('Tus-Resumable', '1.0.0')
+      .expect(200);
+    expect(head.headers['upload-offset']).toBe('1200');
+    expect(head.headers['upload-length']).toBe(String(fileData.length));
+
+    await request(app)
+      .patch(location)
+      .set('Tus-Resumable', '1.0.0')
+      .set('Upload-Offset', '0')
+      .set('Content-Type', 'application/offset+octet-stream')
+      .send(fileData.subarray(0, 1200))
+      .expect(409);
+
+    const last = await request(app)
+      .patch(location)
+      .set('Tus-Resumable', '1.0.0')
+      .set('Upload-Offset', '1200')
+      .set('Content-Type', 'application/offset+octet-stream')
+      .send(fileData.subarray(1200))
+      .expect(204);
+    expect(last.headers['upload-offset']).toBe(String(fileData.length));
+
+    // The finished session is ready for POST /api/ocr/process
+    const session = await FileService.getUploadSession(uploadId);
+    expect(session.status).toBe('completed');
+    await expect(fs.readFile(session.combinedPath)).resolves.toEqual(fileData);
+  });
+
+  it('should treat a terminated upload as gone', async () => {
+    const created = await request(app)
+      .post('/api/ocr/tus')
+      .set('Tus-Resumable', '1.0.0')
+      .set('Upload-Length', String(fileData.length))
+      .expect(201);
+    const location = created.headers.location;
+
+    await request(app)
+      .delete(location)
+      .set('Tus-Resumable', '1.0.0')
+      .expect(204);
+
+    await request(app)
+      .head(location)
+      .set('Tus-Resumable', '1.0.0')
+      .expect(404);
+
+    const session = await FileService.getUploadSession(location.split('/').pop());
+    expect(session.status).toBe('aborted');
+  });
+});
@@ -17,8 +17,19 @@ app.use(helmet());
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Correlation-ID'],
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: [
+    'Content-Type', 'Authorization', 'X-Correlation-ID',
+    // tus resumable upload protocol
+    'Tus-Resumable', 'Upload-Length', 'Upload-Offset', 'Upload-Metadata',
+  ],
+  exposedHeaders: [
+    'X-Correlation-ID', 'Location',
+    'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size',
+    'Upload-Length', 'Upload-Offset', 'Upload-Metadata',
+  ],
+  // Let OPTIONS reach the routes so tus can announce its capabilities
+  preflightContinue: true,
 }));
 
 // Compression
@@ -68,6 +79,11 @@ app.get('/health', (req, res) => {
 // Routes
 app.use('/api/ocr', require('./routes/ocrRoutes'));
 
+// Answer preflight requests no route handled
+app.options('*', (req, res) => {
+  res.status(204).end();
+});
+
 // 404 handler
 app.use('*', (req, res) => {
   res.status(404).json({
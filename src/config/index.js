@@ -1,4 +1,5 @@
 // src/config/index.js
+const os = require('os');
 const path = require('path');
 
 const config = {
@@ -11,6 +12,10 @@ const config = {
     host: process.env.HOST || 'localhost',
   },
 
+  // What this process does: 'web' (HTTP only), 'worker' (OCR jobs only)
+  // or 'all'. Split roles share state through Redis.
+  processRole: process.env.PROCESS_ROLE || 'all',
+
   // CORS configuration
   cors: {
     allowedOrigins: process.env.ALLOWED_ORIGINS?.split(',') || ['*'],
@@ -19,15 +24,62 @@ const config = {
 
   // OCR service configuration
   ocr: {
+    // Engines tried in order until one reads the image: 'tesseract',
+    // 'anthropic-vision'. Requests may choose their own order.
+    engines: (process.env.OCR_ENGINES || 'tesseract').split(',').map(name => name.trim()).filter(Boolean),
+    // Other Tesseract strategies (see utils/ocrStrategies) tried in order
+    // when the first result is poor; the best scoring one is kept
+    strategies: {
+      alternatives: (process.env.OCR_STRATEGIES || 'single-column,auto-layout,sparse-text,binarized,high-resolution')
+        .split(',').map(name => name.trim()).filter(name => name && name !== 'none'),
+      minConfidence: parseFloat(process.env.OCR_MIN_CONFIDENCE) || 0.6, // Tesseract confidence, 0-1
+      minFields: parseInt(process.env.OCR_MIN_FIELDS) || 2, // of amount, vendor and receipt type
+    },
+    vision: {
+      model: process.env.OCR_VISION_MODEL || process.env.ANTHROPIC_MODEL || 'claude-3-7-sonnet-20250219',
+      maxTokens: parseInt(process.env.OCR_VISION_MAX_TOKENS) || 2048,
+    },
     tesseract: {
-      language: process.env.TESSERACT_LANG || 'eng',
+      language: process.env.TESSERACT_LANG || 'eng', // used when a request names none
+      // Languages clients may ask for, alone or combined (e.g. eng+spa)
+      languages: (process.env.TESSERACT_LANGUAGES || 'eng,spa,fra').split(',').map(lang => lang.trim()).filter(Boolean),
+      // Language combinations whose workers start with the service; others start on first use
+      warmLanguages: (process.env.TESSERACT_WARM_LANGS || process.env.TESSERACT_LANG || 'eng').split(',').map(lang => lang.trim()).filter(Boolean),
+      // Directory holding <lang>.traineddata files; unset downloads them from the tesseract.js CDN
+      langPath: process.env.TESSERACT_LANG_PATH || null,
+      langGzip: process.env.TESSERACT_LANG_GZIP === 'true', // files in langPath are .traineddata.gz
       workerCount: parseInt(process.env.TESSERACT_WORKERS) || 1,
+      // Language combinations with live workers at once; the least recently used idle pool is shut down
+      maxPools: parseInt(process.env.TESSERACT_MAX_POOLS) || 4,
     },
     processing: {
       maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 50 * 1024 * 1024, // 50MB
       chunkSize: parseInt(process.env.CHUNK_SIZE) || 1024 * 1024, // 1MB
       timeout: parseInt(process.env.OCR_TIMEOUT) || 60000, // 60 seconds
     },
+    validation: {
+      maxPixels: parseInt(process.env.MAX_IMAGE_PIXELS) || 40 * 1000 * 1000, // 40 megapixels
+      maxDimension: parseInt(process.env.MAX_IMAGE_DIMENSION) || 12000, // pixels per side
+      maxPages: parseInt(process.env.MAX_DOCUMENT_PAGES) || 20, // PDF and TIFF pages
+    },
+    // PDFs are rasterized page by page; limits above apply to rendered pages
+    pdf: {
+      renderDpi: parseInt(process.env.PDF_RENDER_DPI) || 200,
+    },
+    // Several photos of one long receipt, uploaded as parts of one session
+    stitching: {
+      maxParts: parseInt(process.env.OCR_MAX_PARTS) || 5,
+    },
+    // ZIP uploads of scanned receipts, expanded into one job per image
+    batch: {
+      maxEntries: parseInt(process.env.BATCH_MAX_ENTRIES) || 200,
+      maxEntrySize: parseInt(process.env.BATCH_MAX_ENTRY_SIZE) || 25 * 1024 * 1024, // 25MB uncompressed
+      maxTotalSize: parseInt(process.env.BATCH_MAX_TOTAL_SIZE) || 500 * 1024 * 1024, // 500MB uncompressed
+    },
+    scan: {
+      maxFileSize: parseInt(process.env.SCAN_MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
+      maxWait: parseInt(process.env.SCAN_MAX_WAIT) || 30000, // 30 seconds
+    },
   },
 
   // AI Classification (Anthropic)
@@ -39,17 +91,74 @@ const config = {
     },
   },
 
+  // Duplicate receipt detection
+  duplicates: {
+    imageSimilarityThreshold: parseFloat(process.env.DUPLICATE_IMAGE_THRESHOLD) || 0.9, // share of matching hash bits
+    maxMatches: parseInt(process.env.DUPLICATE_MAX_MATCHES) || 5,
+    maxEntries: parseInt(process.env.DUPLICATE_INDEX_SIZE) || 10000,
+    retentionDays: parseInt(process.env.DUPLICATE_RETENTION_DAYS) || 90,
+  },
+
+  // Background maintenance (expired sessions, orphaned files, old jobs)
+  maintenance: {
+    enabled: process.env.MAINTENANCE_ENABLED !== 'false',
+    intervalMs: parseInt(process.env.MAINTENANCE_INTERVAL) || 15 * 60 * 1000, // 15 minutes
+    ttl: {
+      uploadingSession: parseInt(process.env.UPLOAD_SESSION_TTL) || 24 * 60 * 60 * 1000, // since last chunk
+      completedSession: parseInt(process.env.COMPLETED_SESSION_TTL) || 24 * 60 * 60 * 1000,
+      failedSession: parseInt(process.env.FAILED_SESSION_TTL) || 60 * 60 * 1000, // 1 hour
+      finishedJob: parseInt(process.env.FINISHED_JOB_TTL) || 24 * 60 * 60 * 1000,
+      staleJob: parseInt(process.env.STALE_JOB_TTL) || 30 * 60 * 1000, // no progress for 30 minutes
+      orphanedFile: parseInt(process.env.ORPHANED_FILE_TTL) || 60 * 60 * 1000, // 1 hour
+    },
+  },
+
+  // Redis (Heroku Redis sets REDIS_URL)
+  redis: {
+    url: process.env.REDIS_URL,
+    keyPrefix: process.env.REDIS_KEY_PREFIX || 'ocr:',
+  },
+
+  // Where upload sessions and job statuses live: 'memory' or 'redis'
+  persistence: {
+    driver: process.env.PERSISTENCE_DRIVER || (process.env.REDIS_URL ? 'redis' : 'memory'),
+  },
+
+  // OCR job queue: 'bull' (Redis) or 'memory' (in-process, lost on restart)
+  queue: {
+    driver: process.env.QUEUE_DRIVER || (process.env.REDIS_URL ? 'bull' : 'memory'),
+    name: process.env.QUEUE_NAME || 'ocr',
+    concurrency: parseInt(process.env.OCR_CONCURRENCY) || parseInt(process.env.TESSERACT_WORKERS) || 1, // one job per Tesseract worker
+    attempts: parseInt(process.env.OCR_JOB_ATTEMPTS) || 3,
+    backoffDelay: parseInt(process.env.OCR_JOB_BACKOFF) || 5000, // doubles on each retry
+    stalledInterval: parseInt(process.env.QUEUE_STALLED_INTERVAL) || 30 * 1000, // 30 seconds
+    maxStalledCount: parseInt(process.env.QUEUE_MAX_STALLED) || 1,
+    keepFinishedJobs: parseInt(process.env.QUEUE_KEEP_FINISHED) || 1000,
+  },
+
   // Rate limiting
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW) || 60 * 1000, // 1 minute
     maxRequests: parseInt(process.env.RATE_LIMIT_MAX) || 10,
   },
 
-  // File storage paths
+  // File storage
   storage: {
+    driver: process.env.STORAGE_DRIVER || 'local', // 'local' or 's3'
     tempDir: process.env.TEMP_DIR || path.join(process.cwd(), 'temp'),
     uploadsDir: process.env.UPLOADS_DIR || path.join(process.cwd(), 'uploads'),
     logsDir: process.env.LOGS_DIR || path.join(process.cwd(), 'logs'),
+    // Local working copies for image processing (always on local disk)
+    scratchDir: process.env.SCRATCH_DIR || path.join(os.tmpdir(), 'trucking-ocr'),
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || process.env.AWS_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT, // e.g. http://localhost:9000 for MinIO
+      accessKeyId: process.env.S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      prefix: process.env.S3_PREFIX || '',
+    },
   },
 
   // Logging configuration
@@ -3,10 +3,13 @@
 const sharp = require('sharp');
 const { v4: uuidv4 } = require('uuid');
 const asyncHandler = require('express-async-handler');
-const path = require('path');
-const fs = require('fs').promises;
+const config = require('../config');
 const ocrService = require('../services/ocrService');
 const fileService = require('../services/fileService');
+const batchService = require('../services/batchService');
+const { UPLOAD_STATES } = require('../services/uploadStateMachine');
+const { getStorage } = require('../storage');
+const { AppError, FileError, ValidationError } = require('../middleware/errorHandler');
 const {logger} = require('../utils/logger');
 
 // Configure multer for chunk uploads
@@ -27,14 +30,43 @@ const {logger} = require('../utils/logger');
 //   },
 // });
 
+/**
+ * Lay out the parts of a multi-part upload (photos of one document, in
+ * order) over the session's chunks: each part gets the next range of
+ * chunk indices, and no chunk holds data of two parts
+ */
+function layoutParts(parts, chunkSize) {
+  let firstChunk = 0;
+
+  return parts.map(({ filename, fileSize, checksum }, index) => {
+    const chunkCount = Math.ceil(fileSize / chunkSize);
+    const part = {
+      part: index + 1,
+      filename,
+      fileSize,
+      checksum: checksum || null,
+      firstChunk,
+      chunkCount,
+    };
+    firstChunk += chunkCount;
+    return part;
+  });
+}
+
 /**
  * Create upload session
  * POST /api/ocr/upload
  */
 const createUploadSession = asyncHandler(async (req, res) => {
-  const { filename, fileSize, chunkSize } = req.body;
+  const { chunkSize: requestedChunkSize, checksum, language } = req.body;
   const correlationId = req.correlationId;
   const uploadId = uuidv4();
+  const chunkSize = requestedChunkSize || 1048576; // Default 1MB chunks
+
+  // A multi-part upload is named after its first part
+  const parts = req.body.parts ? layoutParts(req.body.parts, chunkSize) : null;
+  const filename = parts ? req.body.filename || parts[0].filename : req.body.filename;
+  const fileSize = parts ? parts.reduce((total, part) => total + part.fileSize, 0) : req.body.fileSize;
 
   // Validate input
   if (!filename || !fileSize) {
@@ -43,7 +75,9 @@ const createUploadSession = asyncHandler(async (req, res) => {
   }
 
   // Calculate expected chunks
-  const maxChunks = Math.ceil(fileSize / (chunkSize || 1048576)); // Default 1MB chunks
+  const maxChunks = parts
+    ? parts.reduce((total, part) => total + part.chunkCount, 0)
+    : Math.ceil(fileSize / chunkSize);
 
   logger.info({ 
     correlationId, 
@@ -51,6 +85,7 @@ const createUploadSession = asyncHandler(async (req, res) => {
     filename, 
     fileSize, 
     maxChunks,
+    parts: parts ? parts.length : undefined,
     message: 'Creating upload session' 
   });
 
@@ -59,17 +94,27 @@ const createUploadSession = asyncHandler(async (req, res) => {
     correlationId,
     filename,
     fileSize,
-    chunkSize: chunkSize || 1048576,
+    chunkSize,
     maxChunks,
+    checksum: checksum || null,
+    ...(parts && { parts }),
+    language: language || null,
     receivedChunks: 0,
-    status: 'uploading',
     createdAt: new Date().toISOString(),
   });
 
   res.json({
     uploadId,
-    chunkSize: chunkSize || 1048576,
+    chunkSize,
     maxChunks,
+    ...(parts && {
+      parts: parts.map(({ part, filename: partFilename, firstChunk, chunkCount }) => ({
+        part,
+        filename: partFilename,
+        firstChunk,
+        chunkCount,
+      })),
+    }),
   });
 });
 
@@ -78,7 +123,7 @@ const createUploadSession = asyncHandler(async (req, res) => {
  * POST /api/ocr/chunk
  */
 const uploadChunk = asyncHandler(async (req, res) => {
-    const { uploadId, chunkIndex, totalChunks } = req.body;
+    const { uploadId, chunkIndex, totalChunks, checksum } = req.body;
     const correlationId = req.correlationId;
 
     // Validate input (these should already be validated by middleware)
@@ -111,59 +156,133 @@ const uploadChunk = asyncHandler(async (req, res) => {
       throw new Error('Upload session not found');
     }
 
-    if (session.status !== 'uploading') {
-      res.status(400);
-      throw new Error(`Invalid session status: ${session.status}`);
+    // Verify the chunk digest when the client supplied one
+    const chunkChecksum = await fileService.computeChecksum(req.file.path);
+    if (checksum && checksum !== chunkChecksum) {
+      await getStorage().delete(req.file.path).catch(() => {});
+
+      logger.warn({
+        correlationId,
+        uploadId,
+        chunkIndex: chunkIndexNum,
+        expected: checksum,
+        actual: chunkChecksum,
+        message: 'Chunk checksum mismatch',
+      });
+
+      throw new FileError('Chunk checksum mismatch', 'CHUNK_CHECKSUM_MISMATCH', {
+        chunkIndex: chunkIndexNum,
+        expected: checksum,
+        actual: chunkChecksum,
+      });
     }
 
-    // Store chunk with proper naming
-    const chunkPath = path.join('temp', `${uploadId}-chunk-${chunkIndex}`);
-    await fs.rename(req.file.path, chunkPath);
+    // Store chunk under a unique name so a retry never overwrites a copy
+    // that is already registered (or being assembled)
+    const chunkPath = `temp/${uploadId}-chunk-${chunkIndexNum}-${uuidv4()}`;
+    await getStorage().move(req.file.path, chunkPath);
     
-    // Update session with received chunk
-    await fileService.addChunk(uploadId, {
-      index: chunkIndexNum,
-      path: chunkPath,
-      size: req.file.size,
-    });
+    // Register the chunk; the session rejects it if it is no longer uploading
+    // or the chunk does not fit the session's layout
+    let chunk;
+    try {
+      chunk = await fileService.addChunk(uploadId, {
+        index: chunkIndexNum,
+        path: chunkPath,
+        size: req.file.size,
+        checksum: chunkChecksum,
+        totalChunks: totalChunksNum,
+      });
+    } catch (error) {
+      await getStorage().delete(chunkPath).catch(() => {});
+      throw error;
+    }
 
-    // Check if all chunks received
+    // Check if all chunks received - only one request gets to assemble them
     const receivedChunks = await fileService.getChunkCount(uploadId);
-    
-    if (receivedChunks === totalChunksNum) {
-      // All chunks received - combine them
-      const combinedPath = await fileService.combineChunks(uploadId);
-      
-      // Update session status
-      await fileService.updateUploadSession(uploadId, {
-        status: 'completed',
-        combinedPath,
-        completedAt: new Date().toISOString(),
-      });
+    let status = UPLOAD_STATES.UPLOADING;
 
-      logger.info({
-        correlationId,
-        uploadId,
-        message: 'All chunks received and combined',
-      });
+    if (receivedChunks === session.maxChunks) {
+      const finalized = await fileService.finalizeUpload(uploadId);
+
+      if (finalized) {
+        logger.info({
+          correlationId,
+          uploadId,
+          message: 'All chunks received and combined',
+        });
+      }
+
+      status = (await fileService.getUploadSession(uploadId))?.status || status;
     }
 
     res.json({
       success: true,
       receivedChunks,
       totalChunks: totalChunksNum,
-      complete: receivedChunks === totalChunksNum,
+      duplicate: Boolean(chunk?.duplicate),
+      status,
+      complete: status === UPLOAD_STATES.COMPLETED,
     });
   });
 
 
 
+/**
+ * Get upload session manifest (used by clients to resume an interrupted upload)
+ * GET /api/ocr/upload/:uploadId
+ */
+const getUploadStatus = asyncHandler(async (req, res) => {
+  const { uploadId } = req.params;
+  const correlationId = req.correlationId;
+
+  const manifest = await fileService.getUploadManifest(uploadId);
+  if (!manifest) {
+    throw new AppError('Upload session not found', 404, 'RESOURCE_NOT_FOUND');
+  }
+
+  logger.debug({
+    correlationId,
+    uploadId,
+    status: manifest.status,
+    missingChunks: manifest.missingIndices.length,
+    message: 'Upload manifest requested',
+  });
+
+  res.json(manifest);
+});
+
+/**
+ * Abort an upload session, cancelling any OCR job started from it
+ * DELETE /api/ocr/upload/:uploadId
+ */
+const abortUpload = asyncHandler(async (req, res) => {
+  const { uploadId } = req.params;
+  const correlationId = req.correlationId;
+
+  const session = await ocrService.abortUpload(uploadId, correlationId);
+
+  logger.info({
+    correlationId,
+    uploadId,
+    message: 'Upload aborted',
+  });
+
+  res.json({
+    success: true,
+    uploadId,
+    status: session.status,
+    cancelledJobs: session.cancelledJobs,
+    message: 'Upload aborted',
+  });
+});
+
 /**
  * Start OCR processing
  * POST /api/ocr/process
  */
 const startProcessing = asyncHandler(async (req, res) => {
-  const { uploadId } = req.body;
+  const { uploadId, language, engine, includeLayout } = req.body;
   const correlationId = req.correlationId;
 
   if (!uploadId) {
@@ -178,7 +297,7 @@ const startProcessing = asyncHandler(async (req, res) => {
     throw new Error('Upload session not found');
   }
 
-  if (session.status !== 'completed') {
+  if (session.status !== UPLOAD_STATES.COMPLETED) {
     res.status(400);
     throw new Error(`Upload not complete. Status: ${session.status}`);
   }
@@ -186,11 +305,24 @@ const startProcessing = asyncHandler(async (req, res) => {
   logger.info({ 
     correlationId, 
     uploadId, 
+    language,
+    engine,
     message: 'Starting OCR processing' 
   });
 
-  // Start OCR processing job
-  const jobId = await ocrService.startProcessing(uploadId, correlationId);
+  // A ZIP of scans becomes a batch with one job per image inside
+  if (await batchService.isArchiveUpload(session)) {
+    const batch = await batchService.startBatch(uploadId, correlationId, { language, engine, includeLayout });
+
+    res.json({
+      batchId: batch.batchId,
+      message: 'OCR batch processing started',
+    });
+    return;
+  }
+
+  // Start OCR processing job (a language here overrides the session's)
+  const jobId = await ocrService.startProcessing(uploadId, correlationId, { language, engine, includeLayout });
 
   res.json({
     jobId,
@@ -198,6 +330,107 @@ const startProcessing = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * File extensions by MIME type, used to name scans sent without a filename
+ */
+const SCAN_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/heic': 'heic',
+  'image/heif': 'heif',
+  'image/tiff': 'tiff',
+  'application/pdf': 'pdf',
+};
+
+/**
+ * Decode a base64 image (raw or data URL) into a buffer and MIME type
+ */
+function decodeBase64Image(image) {
+  const match = image.match(/^data:(image\/[a-z0-9.+-]+|application\/pdf);base64,/);
+  const data = match ? image.slice(match[0].length) : image;
+
+  return {
+    buffer: Buffer.from(data, 'base64'),
+    mimetype: match ? match[1] : 'image/jpeg',
+  };
+}
+
+/**
+ * Scan a small image in a single request: creates the upload session and
+ * OCR job internally, optionally waiting for the result
+ * POST /api/ocr/scan[?wait=true&timeout=ms]
+ */
+const scanImage = asyncHandler(async (req, res) => {
+  const correlationId = req.correlationId;
+  const { wait, timeout } = req.query;
+
+  const { buffer, mimetype } = req.file
+    ? { buffer: req.file.buffer, mimetype: req.file.mimetype }
+    : decodeBase64Image(req.body.image);
+
+  if (buffer.length === 0) {
+    throw new ValidationError('Validation failed', [{ field: 'image', message: 'Image is empty' }]);
+  }
+
+  if (buffer.length > config.ocr.scan.maxFileSize) {
+    throw new FileError('Image too large for single-request scan', 'FILE_TOO_LARGE', {
+      maxSize: config.ocr.scan.maxFileSize,
+      hint: 'Use the chunked upload flow for larger files',
+    });
+  }
+
+  const extension = SCAN_EXTENSIONS[mimetype];
+  if (!req.body.filename && !extension) {
+    throw new FileError(`Unsupported image type: ${mimetype}`, 'INVALID_FILE_TYPE');
+  }
+
+  const uploadId = uuidv4();
+  const filename = req.body.filename || `scan.${extension}`;
+
+  logger.info({
+    correlationId,
+    uploadId,
+    filename,
+    fileSize: buffer.length,
+    wait,
+    message: 'Single-request scan received',
+  });
+
+  await fileService.ingestBuffer(uploadId, buffer, {
+    correlationId,
+    filename,
+    checksum: null,
+    source: 'scan',
+  });
+
+  const jobId = await ocrService.startProcessing(uploadId, correlationId);
+
+  if (!wait) {
+    return res.status(202).json({
+      jobId,
+      uploadId,
+      message: 'OCR processing started',
+    });
+  }
+
+  const status = await ocrService.waitForJob(jobId, timeout);
+
+  if (!status || !['completed', 'failed', 'cancelled'].includes(status.status)) {
+    // Still running - hand back the job so the client can poll /status
+    return res.status(202).json({
+      jobId,
+      uploadId,
+      status: status?.status || 'pending',
+      progress: status?.progress || 0,
+      message: 'OCR processing still in progress, poll the job status',
+    });
+  }
+
+  res.json(status);
+});
+
 /**
  * Get processing status
  * GET /api/ocr/status/:jobId
@@ -229,6 +462,30 @@ const getJobStatus = asyncHandler(async (req, res) => {
   res.json(status);
 });
 
+/**
+ * Get the status of a ZIP batch and each of its jobs
+ * GET /api/ocr/batch/:batchId
+ */
+const getBatchStatus = asyncHandler(async (req, res) => {
+  const { batchId } = req.params;
+
+  const status = await batchService.getBatchStatus(batchId);
+
+  if (!status) {
+    throw new AppError('Batch not found', 404, 'RESOURCE_NOT_FOUND');
+  }
+
+  logger.debug({
+    correlationId: req.correlationId,
+    batchId,
+    status: status.status,
+    progress: status.progress,
+    message: 'Batch status check',
+  });
+
+  res.json(status);
+});
+
 /**
  * Cancel OCR job
  * DELETE /api/ocr/job/:jobId
@@ -260,7 +517,11 @@ const cancelJob = asyncHandler(async (req, res) => {
 module.exports = {
   createUploadSession,
   uploadChunk,
+  getUploadStatus,
+  abortUpload,
   startProcessing,
+  scanImage,
   getJobStatus,
+  getBatchStatus,
   cancelJob,
 };
\ No newline at end of file
@@ -0,0 +1,322 @@
+// src/controllers/tusController.js
+const { v4: uuidv4 } = require('uuid');
+const asyncHandler = require('express-async-handler');
+const { Transform, pipeline } = require('stream');
+const config = require('../config');
+const fileService = require('../services/fileService');
+const ocrService = require('../services/ocrService');
+const { UPLOAD_STATES } = require('../services/uploadStateMachine');
+const { getStorage } = require('../storage');
+const { commonSchemas } = require('../middleware/requestValidation');
+const { AppError, FileError, ValidationError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+/**
+ * tus 1.0 resumable upload protocol (core + creation + termination).
+ * Uploads created here are ordinary FileService sessions, so the returned
+ * upload ID works with POST /api/ocr/process once the upload completes.
+ */
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = ['creation', 'termination'];
+const TUS_CONTENT_TYPE = 'application/offset+octet-stream';
+
+/**
+ * Parse the Upload-Metadata header ("key base64value,key2 base64value2")
+ */
+function parseUploadMetadata(header) {
+  const metadata = {};
+  if (!header) {
+    return metadata;
+  }
+
+  for (const pair of header.split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+  }
+
+  return metadata;
+}
+
+/**
+ * Parse a non-negative integer header, or return null
+ */
+function parseIntegerHeader(value) {
+  if (value === undefined || !/^\d+$/.test(value)) {
+    return null;
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Whether a stream error means the client went away mid-request
+ */
+function isClientAbort(error) {
+  return error.code === 'ECONNRESET' || error.code === 'ERR_STREAM_PREMATURE_CLOSE';
+}
+
+/**
+ * Set Tus-Resumable on every response and reject unsupported client versions
+ */
+function tusProtocol(req, res, next) {
+  res.set('Tus-Resumable', TUS_VERSION);
+
+  if (req.method !== 'OPTIONS' && req.get('Tus-Resumable') !== TUS_VERSION) {
+    res.set('Tus-Version', TUS_VERSION);
+    return next(new AppError('Unsupported tus version', 412, 'UNSUPPORTED_PROTOCOL_VERSION'));
+  }
+
+  next();
+}
+
+/**
+ * Look up a tus upload session or fail with 404. Terminated uploads count
+ * as gone, as the termination extension requires.
+ */
+async function getTusSession(uploadId) {
+  const session = await fileService.getUploadSession(uploadId);
+  if (!session || session.protocol !== 'tus' || session.status === UPLOAD_STATES.ABORTED) {
+    throw new AppError('Upload session not found', 404, 'RESOURCE_NOT_FOUND');
+  }
+  return session;
+}
+
+/**
+ * Announce server capabilities
+ * OPTIONS /api/ocr/tus
+ */
+const getCapabilities = (req, res) => {
+  res.set({
+    'Tus-Version': TUS_VERSION,
+    'Tus-Extension': TUS_EXTENSIONS.join(','),
+    'Tus-Max-Size': String(config.ocr.processing.maxFileSize),
+  });
+  res.status(204).end();
+};
+
+/**
+ * Create a tus upload
+ * POST /api/ocr/tus
+ */
+const createUpload = asyncHandler(async (req, res) => {
+  const correlationId = req.correlationId;
+  const uploadLength = parseIntegerHeader(req.get('Upload-Length'));
+
+  if (uploadLength === null) {
+    throw new ValidationError('Validation failed', [{
+      field: 'upload-length',
+      value: req.get('Upload-Length'),
+      message: 'Upload-Length header must be a non-negative integer',
+    }]);
+  }
+
+  if (uploadLength > config.ocr.processing.maxFileSize) {
+    throw new FileError('Upload exceeds maximum size', 'FILE_TOO_LARGE', {
+      maxSize: config.ocr.processing.maxFileSize,
+    });
+  }
+
+  const metadata = parseUploadMetadata(req.get('Upload-Metadata'));
+  const filename = metadata.filename || 'upload.jpg';
+
+  // Apply the same rules as the chunked upload flow
+  const details = [];
+  const { error: filenameError } = commonSchemas.filename.validate(filename);
+  if (filenameError) {
+    details.push({ field: 'filename', value: filename, message: filenameError.message });
+  }
+  const { error: sizeError } = commonSchemas.fileSize.validate(uploadLength);
+  if (sizeError) {
+    details.push({ field: 'upload-length', value: uploadLength, message: sizeError.message });
+  }
+  const { error: checksumError, value: checksum } = commonSchemas.sha256.validate(metadata.checksum);
+  if (checksumError) {
+    details.push({ field: 'checksum', value: metadata.checksum, message: checksumError.message });
+  }
+  if (details.length > 0) {
+    throw new ValidationError('Validation failed', details);
+  }
+
+  const uploadId = uuidv4();
+
+  await fileService.createUploadSession(uploadId, {
+    correlationId,
+    protocol: 'tus',
+    filename,
+    fileSize: uploadLength,
+    chunkSize: null,
+    maxChunks: null,
+    checksum: checksum || null,
+    uploadOffset: 0,
+    metadata: req.get('Upload-Metadata') || null,
+    receivedChunks: 0,
+  });
+
+  logger.info({
+    correlationId,
+    uploadId,
+    filename,
+    uploadLength,
+    message: 'tus upload created',
+  });
+
+  res.set('Location', `${req.baseUrl}/${uploadId}`);
+  res.status(201).end();
+});
+
+/**
+ * Report the current upload offset
+ * HEAD /api/ocr/tus/:uploadId
+ */
+const getUploadOffset = asyncHandler(async (req, res) => {
+  const session = await getTusSession(req.params.uploadId);
+
+  res.set({
+    'Upload-Offset': String(session.uploadOffset || 0),
+    'Upload-Length': String(session.fileSize),
+    'Cache-Control': 'no-store',
+  });
+  if (session.metadata) {
+    res.set('Upload-Metadata', session.metadata);
+  }
+  res.status(200).end();
+});
+
+/**
+ * Append data at the current offset
+ * PATCH /api/ocr/tus/:uploadId
+ */
+const patchUpload = asyncHandler(async (req, res) => {
+  const { uploadId } = req.params;
+  const correlationId = req.correlationId;
+
+  if (req.get('Content-Type') !== TUS_CONTENT_TYPE) {
+    throw new AppError(`Content-Type must be ${TUS_CONTENT_TYPE}`, 415, 'UNSUPPORTED_MEDIA_TYPE');
+  }
+
+  const offset = parseIntegerHeader(req.get('Upload-Offset'));
+  if (offset === null) {
+    throw new ValidationError('Validation failed', [{
+      field: 'upload-offset',
+      value: req.get('Upload-Offset'),
+      message: 'Upload-Offset header must be a non-negative integer',
+    }]);
+  }
+
+  const session = await getTusSession(uploadId);
+  if ((session.uploadOffset || 0) !== offset) {
+    throw new AppError('Upload offset does not match', 409, 'UPLOAD_OFFSET_MISMATCH', true, {
+      expected: session.uploadOffset || 0,
+      received: offset,
+    });
+  }
+
+  // Stream the body straight to storage, never past the declared length
+  const storage = getStorage();
+  const remaining = session.fileSize - offset;
+  const chunkPath = `temp/${uploadId}-chunk-${offset}-${uuidv4()}`;
+  let received = 0;
+
+  const limiter = new Transform({
+    transform(data, encoding, callback) {
+      received += data.length;
+      if (received > remaining) {
+        return callback(new FileError('Data exceeds declared upload length', 'FILE_TOO_LARGE', {
+          uploadLength: session.fileSize,
+        }));
+      }
+      callback(null, data);
+    },
+  });
+
+  let streamError = null;
+  try {
+    await storage.write(chunkPath, pipeline(req, limiter, () => {}));
+  } catch (error) {
+    streamError = error;
+  }
+
+  // tus keeps whatever arrived before a dropped connection so the client
+  // can resume from the new offset; any other failure discards the data
+  const clientDisconnected = Boolean(streamError) && isClientAbort(streamError);
+  if (streamError && !clientDisconnected) {
+    await storage.delete(chunkPath).catch(() => {});
+    throw streamError;
+  }
+
+  const written = clientDisconnected
+    ? await storage.stat(chunkPath).then(stats => stats?.size || 0).catch(() => 0)
+    : received;
+
+  if (written === 0) {
+    await storage.delete(chunkPath).catch(() => {});
+  } else {
+    try {
+      await fileService.appendChunk(uploadId, {
+        offset,
+        path: chunkPath,
+        size: written,
+        checksum: await fileService.computeChecksum(chunkPath),
+      });
+    } catch (error) {
+      await storage.delete(chunkPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  if (clientDisconnected) {
+    logger.warn({
+      correlationId,
+      uploadId,
+      offset,
+      written,
+      error: streamError.message,
+      message: 'tus PATCH interrupted, kept partial data',
+    });
+    return;
+  }
+
+  const newOffset = offset + written;
+  if (newOffset === session.fileSize) {
+    await fileService.finalizeUpload(uploadId);
+
+    logger.info({
+      correlationId,
+      uploadId,
+      message: 'tus upload completed and combined',
+    });
+  }
+
+  res.set('Upload-Offset', String(newOffset));
+  res.status(204).end();
+});
+
+/**
+ * Terminate an upload
+ * DELETE /api/ocr/tus/:uploadId
+ */
+const terminateUpload = asyncHandler(async (req, res) => {
+  const { uploadId } = req.params;
+
+  await getTusSession(uploadId);
+  await ocrService.abortUpload(uploadId, req.correlationId);
+
+  logger.info({
+    correlationId: req.correlationId,
+    uploadId,
+    message: 'tus upload terminated',
+  });
+
+  res.status(204).end();
+});
+
+module.exports = {
+  TUS_VERSION,
+  tusProtocol,
+  getCapabilities,
+  createUpload,
+  getUploadOffset,
+  patchUpload,
+  terminateUpload,
+};
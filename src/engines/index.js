@@ -0,0 +1,109 @@
+// src/engines/index.js
+const config = require('../config');
+const TesseractEngine = require('./tesseractEngine');
+const AnthropicVisionEngine = require('./anthropicVisionEngine');
+
+const ENGINE_NAMES = ['tesseract', 'anthropic-vision'];
+
+// Engines in use, each with the promise of its start()
+const engines = new Map();
+
+/**
+ * Build an engine by name. options go to its constructor.
+ */
+function createEngine(name, options = {}) {
+  switch (name) {
+    case 'tesseract':
+      return new TesseractEngine(options);
+    case 'anthropic-vision':
+      return new AnthropicVisionEngine({
+        apiKey: config.ai.anthropic.apiKey,
+        model: config.ocr.vision.model,
+        maxTokens: config.ocr.vision.maxTokens,
+        ...options,
+      });
+    default:
+      throw new Error(`Unknown OCR engine: ${name}`);
+  }
+}
+
+/**
+ * Replace the engine used for a name (tests, custom setups). It is
+ * started on first use.
+ */
+function setEngine(name, engine) {
+  engines.set(name, { engine, ready: null });
+}
+
+/**
+ * Get a started engine by name, creating and starting it on first use
+ */
+async function getEngine(name) {
+  if (!engines.has(name)) {
+    setEngine(name, createEngine(name));
+  }
+
+  const entry = engines.get(name);
+  if (!entry.ready) {
+    entry.ready = entry.engine.start().catch((error) => {
+      engines.delete(name);
+      entry.engine.shutdown().catch(() => {});
+      throw error;
+    });
+  }
+
+  await entry.ready;
+  return entry.engine;
+}
+
+/**
+ * Whether an engine can be used: it was set, or its configuration (the
+ * API key of anthropic-vision) is present
+ */
+function isEngineAvailable(name) {
+  const entry = engines.get(name);
+  return (entry ? entry.engine : createEngine(name)).available;
+}
+
+/**
+ * Resolve an engine spec such as "anthropic-vision,tesseract" (or an
+ * array of names) to a fallback order without repeats. Returns null when
+ * it names an unknown engine.
+ */
+function normalizeEngineOrder(spec) {
+  const names = Array.isArray(spec) ? spec : String(spec).split(',');
+  const order = [...new Set(names.map(name => name.trim()).filter(Boolean))];
+  if (order.length === 0 || order.some(name => !ENGINE_NAMES.includes(name))) {
+    return null;
+  }
+  return order;
+}
+
+/**
+ * Stats of every engine in use, by name
+ */
+function getEngineStats() {
+  return Object.fromEntries(Array.from(engines, ([name, { engine }]) => [name, engine.getStats()]));
+}
+
+/**
+ * Shut every engine down; later getEngine() calls create new ones
+ */
+async function shutdownEngines() {
+  const running = Array.from(engines.values(), ({ engine }) => engine);
+  engines.clear();
+  await Promise.all(running.map(engine => engine.shutdown()));
+}
+
+module.exports = {
+  ENGINE_NAMES,
+  createEngine,
+  setEngine,
+  getEngine,
+  isEngineAvailable,
+  normalizeEngineOrder,
+  getEngineStats,
+  shutdownEngines,
+  TesseractEngine,
+  AnthropicVisionEngine,
+};
@@ -0,0 +1,62 @@
+// src/engines/ocrEngine.js
+
+/**
+ * OCR engine interface.
+ *
+ * recognize() reads the text of a local image and resolves with
+ *   { text, confidence, blocks }
+ * where confidence is the engine's 0-100 score (null when it has none) and
+ * blocks is Tesseract's blocks > paragraphs > lines > words tree, only
+ * when includeLayout was asked for and the engine can locate text. An
+ * image without text rejects with 'No text could be extracted from the
+ * image', so the next engine in the fallback order gets a try.
+ */
+class OcrEngine {
+  /**
+   * Name used in config.ocr.engines and requests
+   */
+  get name() {
+    throw new Error('name not implemented');
+  }
+
+  /**
+   * Whether the engine is configured well enough to start (e.g. has its
+   * API key). Requests naming an unavailable engine are rejected.
+   */
+  get available() {
+    return true;
+  }
+
+  /**
+   * Prepare the engine (start workers, create the API client, ...)
+   */
+  async start() {
+    throw new Error('start() not implemented');
+  }
+
+  /**
+   * Read the text of the image at imagePath. Options: language ("eng" or
+   * "eng+spa"), includeLayout, pageSegMode (a Tesseract PSM; engines
+   * without page segmentation ignore it), signal (an AbortSignal that
+   * stops the recognition) and correlationId.
+   */
+  async recognize(imagePath, options = {}) {
+    throw new Error('recognize() not implemented');
+  }
+
+  /**
+   * Usage figures for /api/ocr/stats
+   */
+  getStats() {
+    throw new Error('getStats() not implemented');
+  }
+
+  /**
+   * Release workers and connections
+   */
+  async shutdown() {
+    throw new Error('shutdown() not implemented');
+  }
+}
+
+module.exports = OcrEngine;
@@ -0,0 +1,161 @@
+// src/engines/tesseractEngine.js
+const config = require('../config');
+const OcrEngine = require('./ocrEngine');
+const TesseractWorkerPool = require('../services/tesseractPool');
+const { CHARACTER_WHITELIST, canonicalLanguage } = require('../utils/ocrLanguages');
+const { logger } = require('../utils/logger');
+
+/**
+ * Tesseract engine with one warm worker pool per language combination,
+ * e.g. "eng" or "eng+spa". At most tesseractConfig.maxPools pools are
+ * live: starting another shuts down the least recently used idle one.
+ * createWorker replaces tesseract.js's (tests).
+ */
+class TesseractEngine extends OcrEngine {
+  constructor({ createWorker, tesseractConfig = config.ocr.tesseract } = {}) {
+    super();
+    this.createWorker = createWorker;
+    this.tesseractConfig = tesseractConfig;
+    this.pools = new Map();
+  }
+
+  get name() {
+    return 'tesseract';
+  }
+
+  /**
+   * Start the warm languages now; other languages start on first use
+   */
+  async start() {
+    const { language, warmLanguages } = this.tesseractConfig;
+    const warm = new Set([language, ...warmLanguages]);
+    await Promise.all(Array.from(warm, lang => this.getPool(lang)));
+  }
+
+  /**
+   * Get the started worker pool for a language combination, starting it on
+   * first use. Traineddata comes from langPath when set, so workers need
+   * no network access.
+   */
+  async getPool(language) {
+    const entry = this.usePool(language);
+    try {
+      await entry.ready;
+      return entry.pool;
+    } finally {
+      entry.users -= 1;
+    }
+  }
+
+  /**
+   * Pool entry ({ pool, ready, users }) for a language combination, marked
+   * as most recently used and as in use until the caller decrements users
+   */
+  usePool(language) {
+    const key = canonicalLanguage(language);
+    let entry = this.pools.get(key);
+
+    if (entry) {
+      this.pools.delete(key);
+    } else {
+      this.evictIdlePools(this.tesseractConfig.maxPools - 1);
+
+      const { langPath, langGzip, workerCount } = this.tesseractConfig;
+      const pool = new TesseractWorkerPool({
+        size: workerCount,
+        language: key,
+        createWorker: this.createWorker,
+        workerOptions: langPath ? { langPath, gzip: langGzip, cacheMethod: 'none' } : {},
+      });
+      const ready = pool.start().catch((error) => {
+        if (this.pools.get(key) === entry) {
+          this.pools.delete(key);
+        }
+        pool.shutdown().catch(() => {});
+        throw error;
+      });
+
+      entry = { pool, ready, users: 0 };
+    }
+
+    // Map order is recency order: the first entry is the least recently used
+    this.pools.set(key, entry);
+    entry.users += 1;
+    return entry;
+  }
+
+  /**
+   * Shut down the least recently used pools nobody is using until at most
+   * limit remain. Busy pools are kept, even over the limit.
+   */
+  evictIdlePools(limit) {
+    for (const [language, entry] of this.pools) {
+      if (this.pools.size <= limit) {
+        return;
+      }
+      if (entry.users > 0) {
+        continue;
+      }
+
+      this.pools.delete(language);
+      entry.pool.shutdown().catch(() => {});
+      logger.info({ language, message: 'Idle Tesseract worker pool shut down' });
+    }
+  }
+
+  /**
+   * pageSegMode is Tesseract's PSM; the default '6' assumes a uniform
+   * block of text
+   */
+  async recognize(imagePath, {
+    language = this.tesseractConfig.language,
+    includeLayout = false,
+    pageSegMode = '6',
+    signal,
+  } = {}) {
+    // The pool stays in use, so it cannot be evicted, until recognition ends
+    const entry = this.usePool(language);
+    let recognized;
+    try {
+      await entry.ready;
+
+      // Configure Tesseract for receipt processing
+      recognized = await entry.pool.recognize(imagePath, {
+        parameters: {
+          tessedit_char_whitelist: CHARACTER_WHITELIST,
+          tessedit_pageseg_mode: pageSegMode,
+        },
+        output: includeLayout ? { text: true, blocks: true } : undefined,
+        signal,
+      });
+    } finally {
+      entry.users -= 1;
+    }
+    const { text, confidence, blocks } = recognized;
+
+    if (!text || text.trim().length === 0) {
+      throw new Error('No text could be extracted from the image');
+    }
+
+    const extraction = { text: text.trim(), confidence };
+    if (includeLayout) {
+      extraction.blocks = blocks || [];
+    }
+    return extraction;
+  }
+
+  /**
+   * Pool utilization per language combination
+   */
+  getStats() {
+    return Object.fromEntries(Array.from(this.pools, ([language, { pool }]) => [language, pool.getStats()]));
+  }
+
+  async shutdown() {
+    const pools = Array.from(this.pools.values(), ({ pool }) => pool);
+    this.pools.clear();
+    await Promise.all(pools.map(pool => pool.shutdown()));
+  }
+}
+
+module.exports = TesseractEngine;
@@ -49,8 +49,8 @@ class RateLimitError extends AppError {
  * File processing error class
  */
 class FileError extends AppError {
-  constructor(message, code = 'FILE_ERROR') {
-    super(message, 400, code, true);
+  constructor(message, code = 'FILE_ERROR', details = null) {
+    super(message, ERROR_MAPPINGS[code]?.statusCode || 400, code, true, details);
   }
 }
 
@@ -83,12 +83,67 @@ const ERROR_MAPPINGS = {
   },
   FILE_TOO_LARGE: {
     statusCode: 413,
-    userMessage: 'Image file is too large. Maximum size is 10MB.',
+    userMessage: 'File is too large or has too many pages. See details for the limit.',
     retryable: false,
   },
   INVALID_FILE_TYPE: {
     statusCode: 400,
-    userMessage: 'Invalid image format. Please use JPEG or PNG.',
+    userMessage: 'Unsupported or unreadable file. Please use JPEG, PNG, WebP, HEIC/HEIF, PDF or TIFF.',
+    retryable: false,
+  },
+  UNSUPPORTED_IMAGE_CODEC: {
+    statusCode: 415,
+    userMessage: 'This HEIC photo cannot be decoded on the server. Please send it as JPEG.',
+    retryable: false,
+  },
+  CHUNK_CHECKSUM_MISMATCH: {
+    statusCode: 400,
+    userMessage: 'Upload chunk was corrupted in transit. Please resend it.',
+    retryable: true,
+  },
+  FILE_CHECKSUM_MISMATCH: {
+    statusCode: 422,
+    userMessage: 'Uploaded file failed the integrity check. Please upload it again.',
+    retryable: true,
+  },
+  CHUNK_COUNT_MISMATCH: {
+    statusCode: 400,
+    userMessage: 'Chunk does not match the upload session.',
+    retryable: false,
+  },
+  INVALID_CHUNK_INDEX: {
+    statusCode: 400,
+    userMessage: 'Chunk index is out of range for this upload.',
+    retryable: false,
+  },
+  INVALID_SESSION_STATE: {
+    statusCode: 409,
+    userMessage: 'Upload is not accepting this request in its current state.',
+    retryable: false,
+  },
+  UPLOAD_OFFSET_MISMATCH: {
+    statusCode: 409,
+    userMessage: 'Upload offset does not match the data received so far.',
+    retryable: true,
+  },
+  UNSUPPORTED_PROTOCOL_VERSION: {
+    statusCode: 412,
+    userMessage: 'Upload protocol version is not supported.',
+    retryable: false,
+  },
+  UNSUPPORTED_MEDIA_TYPE: {
+    statusCode: 415,
+    userMessage: 'Unsupported request content type.',
+    retryable: false,
+  },
+  FILE_SIZE_MISMATCH: {
+    statusCode: 422,
+    userMessage: 'Uploaded file is incomplete. Please upload it again.',
+    retryable: true,
+  },
+  INVALID_ARCHIVE: {
+    statusCode: 400,
+    userMessage: 'ZIP archive could not be opened. Please check it and upload it again.',
     retryable: false,
   },
 
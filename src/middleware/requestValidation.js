@@ -1,5 +1,8 @@
 // src/middleware/requestValidation.js
 const Joi = require('joi');
+const config = require('../config');
+const { normalizeLanguage } = require('../utils/ocrLanguages');
+const { normalizeEngineOrder, ENGINE_NAMES } = require('../engines');
 const { handleValidationError } = require('./errorHandler');
 
 /**
@@ -43,13 +46,32 @@ const commonSchemas = {
 
   // Filename validation
   filename: Joi.string()
-    .pattern(/^[a-zA-Z0-9\-_\.\s]+\.(jpg|jpeg|png)$/i)
+    .pattern(/^[a-zA-Z0-9\-_\.\s]+\.(jpg|jpeg|png|webp|heic|heif|tif|tiff|pdf)$/i)
     .max(255)
     .messages({
-      'string.pattern.base': 'Filename must be a valid image file (jpg, jpeg, png)',
+      'string.pattern.base': 'Filename must be a valid image or PDF file (jpg, jpeg, png, webp, heic, heif, tif, tiff, pdf)',
       'string.max': 'Filename must not exceed 255 characters',
     }),
 
+  // Filename of a chunked upload: an image, a PDF or a ZIP of scans
+  uploadFilename: Joi.string()
+    .pattern(/^[a-zA-Z0-9\-_\.\s]+\.(jpg|jpeg|png|webp|heic|heif|tif|tiff|pdf|zip)$/i)
+    .max(255)
+    .messages({
+      'string.pattern.base': 'Filename must be a valid image, PDF or ZIP file (jpg, jpeg, png, webp, heic, heif, tif, tiff, pdf, zip)',
+      'string.max': 'Filename must not exceed 255 characters',
+    }),
+
+  // SHA-256 digest validation (hex encoded)
+  sha256: Joi.string()
+    .hex()
+    .length(64)
+    .lowercase()
+    .messages({
+      'string.hex': 'Checksum must be a hex encoded SHA-256 digest',
+      'string.length': 'Checksum must be a hex encoded SHA-256 digest',
+    }),
+
   // Chunk index validation
   chunkIndex: Joi.number()
     .integer()
@@ -60,6 +82,22 @@ const commonSchemas = {
       'number.max': 'Chunk index must not exceed 9999',
     }),
 
+  // OCR language, alone or combined with '+' (e.g. eng+spa)
+  language: Joi.string()
+    .pattern(/^[a-z_]+(\+[a-z_]+)*$/)
+    .custom((value, helpers) => normalizeLanguage(value) || helpers.error('any.only'))
+    .messages({
+      'string.pattern.base': 'Language must be Tesseract language codes joined with + (e.g. eng+spa)',
+      'any.only': `Language must combine supported languages: ${config.ocr.tesseract.languages.join(', ')}`,
+    }),
+
+  // OCR engines in fallback order, comma separated (e.g. anthropic-vision,tesseract)
+  engine: Joi.string()
+    .custom((value, helpers) => (normalizeEngineOrder(value) ? value : helpers.error('any.only')))
+    .messages({
+      'any.only': `Engine must list supported OCR engines separated by commas: ${ENGINE_NAMES.join(', ')}`,
+    }),
+
   // Total chunks validation
   totalChunks: Joi.number()
     .integer()
@@ -75,11 +113,27 @@ const commonSchemas = {
  * OCR endpoint validation schemas
  */
 const ocrSchemas = {
-  // POST /api/ocr/upload
+  // POST /api/ocr/upload. parts uploads several photos of one document
+  // (in order) in one session instead of a single file.
   createUploadSession: Joi.object({
-    filename: commonSchemas.filename.required(),
-    fileSize: commonSchemas.fileSize.required(),
+    filename: commonSchemas.uploadFilename.when('parts', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() }),
+    fileSize: commonSchemas.fileSize.when('parts', { is: Joi.exist(), then: Joi.forbidden(), otherwise: Joi.required() }),
     chunkSize: commonSchemas.chunkSize.optional(),
+    checksum: commonSchemas.sha256.when('parts', { is: Joi.exist(), then: Joi.forbidden(), otherwise: Joi.optional() }),
+    language: commonSchemas.language.optional(),
+    parts: Joi.array()
+      .items(Joi.object({
+        filename: commonSchemas.filename.required(),
+        fileSize: commonSchemas.fileSize.required(),
+        checksum: commonSchemas.sha256.optional(),
+      }))
+      .min(2)
+      .max(config.ocr.stitching.maxParts)
+      .optional()
+      .messages({
+        'array.min': 'A multi-part upload needs at least 2 parts',
+        'array.max': `A multi-part upload may have at most ${config.ocr.stitching.maxParts} parts`,
+      }),
   }).messages({
     'any.required': '{#label} is required',
   }),
@@ -89,6 +143,21 @@ const ocrSchemas = {
     uploadId: commonSchemas.uuid.required(),
     chunkIndex: commonSchemas.chunkIndex.required(),
     totalChunks: commonSchemas.totalChunks.required(),
+    checksum: commonSchemas.sha256.optional(),
+  }).messages({
+    'any.required': '{#label} is required',
+  }),
+
+  // GET|DELETE /api/ocr/upload/:uploadId
+  getUploadStatus: Joi.object({
+    uploadId: commonSchemas.uuid.required(),
+  }).messages({
+    'any.required': '{#label} is required',
+  }),
+
+  // HEAD|PATCH|DELETE /api/ocr/tus/:uploadId
+  tusUpload: Joi.object({
+    uploadId: commonSchemas.uuid.required(),
   }).messages({
     'any.required': '{#label} is required',
   }),
@@ -96,16 +165,52 @@ const ocrSchemas = {
   // POST /api/ocr/process
   startProcessing: Joi.object({
     uploadId: commonSchemas.uuid.required(),
+    language: commonSchemas.language.optional(),
+    engine: commonSchemas.engine.optional(),
+    includeLayout: Joi.boolean().default(false), // words, lines and blocks with boxes
+  }).messages({
+    'any.required': '{#label} is required',
+  }),
+
+  // POST /api/ocr/scan (multipart "image" field or base64 JSON)
+  scan: Joi.object({
+    image: Joi.string()
+      .pattern(/^(data:(image\/[a-z0-9.+-]+|application\/pdf);base64,)?[A-Za-z0-9+/\s]+={0,2}$/)
+      .messages({
+        'string.pattern.base': 'Image must be base64 encoded (optionally as a data URL)',
+      }),
+    filename: commonSchemas.filename.optional(),
   }).messages({
     'any.required': '{#label} is required',
   }),
 
+  // POST /api/ocr/scan query string
+  scanQuery: Joi.object({
+    wait: Joi.boolean().default(false),
+    timeout: Joi.number()
+      .integer()
+      .min(1000)
+      .max(config.ocr.scan.maxWait)
+      .default(config.ocr.scan.maxWait)
+      .messages({
+        'number.min': 'Timeout must be at least 1000ms',
+        'number.max': `Timeout must not exceed ${config.ocr.scan.maxWait}ms`,
+      }),
+  }),
+
   // GET /api/ocr/status/:jobId
   getJobStatus: Joi.object({
     jobId: commonSchemas.uuid.required(),
   }).messages({
     'any.required': '{#label} is required',
   }),
+
+  // GET /api/ocr/batch/:batchId
+  getBatchStatus: Joi.object({
+    batchId: commonSchemas.uuid.required(),
+  }).messages({
+    'any.required': '{#label} is required',
+  }),
 };
 
 /**
@@ -113,8 +218,22 @@ const ocrSchemas = {
  */
 const fileValidation = {
   // Image file validation
+  // Raw upload chunks are arbitrary slices of the file, so only presence
+  // and size can be checked here; the assembled file is sniffed later
+  chunkFile: {
+    validate: (file) => {
+      if (!file) {
+        return ['File is required'];
+      }
+      if (file.size === 0) {
+        return ['File appears to be empty'];
+      }
+      return [];
+    },
+  },
+
   imageFile: {
-    allowedMimeTypes: ['image/jpeg', 'image/jpg', 'image/png'],
+    allowedMimeTypes: ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/heic', 'image/heif', 'image/tiff', 'application/pdf'],
     maxSize: 10 * 1024 * 1024, // 10MB
     validate: (file) => {
       const errors = [];
@@ -234,11 +353,37 @@ function validateChunkUpload(req, res, next) {
     }
 
     // Then validate the file
-    const fileValidator = validateFile('chunk', 'imageFile');
+    const fileValidator = validateFile('chunk', 'chunkFile');
     fileValidator(req, res, next);
   });
 }
 
+/**
+ * Composite validation for single-request scans: either a multipart image
+ * file or a base64 image in the JSON body
+ */
+function validateScanRequest(req, res, next) {
+  const queryValidator = createValidator(ocrSchemas.scanQuery, 'query');
+
+  queryValidator(req, res, (queryError) => {
+    if (queryError) {
+      return next(queryError);
+    }
+
+    const bodySchema = req.file
+      ? ocrSchemas.scan
+      : ocrSchemas.scan.fork(['image'], schema => schema.required());
+
+    createValidator(bodySchema, 'body')(req, res, (bodyError) => {
+      if (bodyError || !req.file) {
+        return next(bodyError);
+      }
+
+      validateFile('image', 'imageFile')(req, res, next);
+    });
+  });
+}
+
 /**
  * Header validation middleware
  */
@@ -332,14 +477,36 @@ const ocrValidation = {
     validateChunkUpload,
   ],
 
+  getUploadStatus: [
+    createValidator(ocrSchemas.getUploadStatus, 'params'),
+  ],
+
+  abortUpload: [
+    createValidator(ocrSchemas.getUploadStatus, 'params'),
+  ],
+
+  tusUpload: [
+    createValidator(ocrSchemas.tusUpload, 'params'),
+  ],
+
   startProcessing: [
     validateContentType(['application/json']),
     createValidator(ocrSchemas.startProcessing, 'body'),
   ],
 
+  scan: [
+    validateContentType(['multipart/form-data', 'application/json']),
+    validateScanRequest,
+    sanitizeInput(['filename']),
+  ],
+
   getJobStatus: [
     createValidator(ocrSchemas.getJobStatus, 'params'),
   ],
+
+  getBatchStatus: [
+    createValidator(ocrSchemas.getBatchStatus, 'params'),
+  ],
 };
 
 /**
@@ -364,6 +531,7 @@ module.exports = {
   // File validation
   validateFile,
   validateChunkUpload,
+  validateScanRequest,
   
   // Header and content validation
   validateHeaders,
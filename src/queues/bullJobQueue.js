@@ -0,0 +1,130 @@
+// src/queues/bullJobQueue.js
+const Bull = require('bull');
+const JobQueue = require('./jobQueue');
+const { createRedisClient } = require('../utils/redisClient');
+const { logger } = require('../utils/logger');
+
+/**
+ * Redis-backed queue on Bull. Jobs survive restarts, and a job whose worker
+ * died is picked up again by stalled-job detection.
+ */
+class BullJobQueue extends JobQueue {
+  constructor({
+    name,
+    prefix,
+    attempts = 3,
+    backoffDelay = 5000,
+    stalledInterval = 30000,
+    maxStalledCount = 1,
+    keepFinishedJobs = 1000,
+    createClient = createRedisClient,
+  }) {
+    super();
+    this.clients = [];
+
+    this.queue = new Bull(name, {
+      prefix,
+      // Bull namespaces keys itself and needs blocking connections that
+      // never give up on a command
+      createClient: (type) => {
+        const client = createClient({
+          keyPrefix: '',
+          ...(type === 'client' ? {} : { maxRetriesPerRequest: null, enableReadyCheck: false }),
+        });
+        this.clients.push(client);
+        return client;
+      },
+      settings: {
+        stalledInterval,
+        maxStalledCount,
+      },
+      defaultJobOptions: {
+        attempts,
+        backoff: { type: 'exponential', delay: backoffDelay },
+        removeOnComplete: keepFinishedJobs,
+        removeOnFail: keepFinishedJobs,
+      },
+    });
+
+    this.queue.on('failed', async (job, error) => {
+      // A retried job is already delayed again when this fires
+      const state = await job.getState().catch(() => null);
+      this.emit('failed', job.id, error, {
+        attemptsMade: job.attemptsMade,
+        final: state !== 'delayed' && state !== 'waiting',
+      });
+    });
+
+    this.queue.on('stalled', (job) => {
+      this.emit('stalled', job.id);
+    });
+
+    this.queue.on('error', (error) => {
+      logger.error({ error: error.message, message: 'Job queue error' });
+    });
+  }
+
+  async ensureReady() {
+    await this.queue.isReady();
+  }
+
+  async add(jobId, data) {
+    await this.queue.add(data, { jobId });
+  }
+
+  process(handler, { concurrency = 1 } = {}) {
+    this.queue.process(concurrency, job => handler({
+      id: job.id,
+      data: job.data,
+      attemptsMade: job.attemptsMade,
+      maxAttempts: job.opts.attempts,
+      discard: () => job.discard(),
+    }));
+  }
+
+  async getState(jobId) {
+    const job = await this.queue.getJob(jobId);
+    if (!job) {
+      return null;
+    }
+
+    const state = await job.getState();
+    return {
+      state: state === 'paused' ? 'waiting' : state,
+      attemptsMade: job.attemptsMade,
+    };
+  }
+
+  async remove(jobId) {
+    const job = await this.queue.getJob(jobId);
+    if (!job || !['waiting', 'delayed', 'paused'].includes(await job.getState())) {
+      return false;
+    }
+
+    try {
+      await job.remove();
+      return true;
+    } catch (error) {
+      // Picked up by a worker in the meantime
+      return false;
+    }
+  }
+
+  async getCounts() {
+    const counts = await this.queue.getJobCounts();
+    return {
+      waiting: counts.waiting + (counts.paused || 0),
+      delayed: counts.delayed,
+      active: counts.active,
+      completed: counts.completed,
+      failed: counts.failed,
+    };
+  }
+
+  async close() {
+    await this.queue.close();
+    await Promise.all(this.clients.map(client => client.quit().catch(() => {})));
+  }
+}
+
+module.exports = BullJobQueue;
@@ -0,0 +1,159 @@
+// src/queues/inProcessJobQueue.js
+const JobQueue = require('./jobQueue');
+
+/**
+ * Process-local queue used when no Redis is configured. It has the same
+ * concurrency, retry and backoff behaviour as the Bull queue, but jobs are
+ * lost if the process exits.
+ */
+class InProcessJobQueue extends JobQueue {
+  constructor({ attempts = 3, backoffDelay = 5000, keepFinishedJobs = 1000 } = {}) {
+    super();
+    this.attempts = attempts;
+    this.backoffDelay = backoffDelay;
+    this.keepFinishedJobs = keepFinishedJobs;
+    this.jobs = new Map();
+    this.waiting = [];
+    this.finished = [];
+    this.running = new Set();
+    this.handler = null;
+    this.concurrency = 1;
+    this.closed = false;
+  }
+
+  async ensureReady() {}
+
+  async add(jobId, data) {
+    if (this.closed) {
+      throw new Error('Job queue is closed');
+    }
+
+    // Like Bull, adding an existing jobId is a no-op
+    if (this.jobs.has(jobId)) {
+      return;
+    }
+
+    this.jobs.set(jobId, {
+      id: jobId,
+      data: structuredClone(data),
+      state: 'waiting',
+      attemptsMade: 0,
+      timer: null,
+    });
+    this.waiting.push(jobId);
+    this.drain();
+  }
+
+  process(handler, { concurrency = 1 } = {}) {
+    this.handler = handler;
+    this.concurrency = concurrency;
+    this.drain();
+  }
+
+  /**
+   * Start waiting jobs while there are free slots
+   */
+  drain() {
+    while (this.handler && !this.closed && this.running.size < this.concurrency && this.waiting.length > 0) {
+      const job = this.jobs.get(this.waiting.shift());
+      if (!job || job.state !== 'waiting') {
+        continue;
+      }
+
+      const run = this.run(job).finally(() => {
+        this.running.delete(run);
+        this.drain();
+      });
+      this.running.add(run);
+    }
+  }
+
+  /**
+   * Run one attempt of a job and schedule a retry if it failed
+   */
+  async run(job) {
+    let discarded = false;
+    job.state = 'active';
+
+    try {
+      await this.handler({
+        id: job.id,
+        data: structuredClone(job.data),
+        attemptsMade: job.attemptsMade,
+        maxAttempts: this.attempts,
+        discard: () => {
+          discarded = true;
+        },
+      });
+
+      job.attemptsMade += 1;
+      this.finish(job, 'completed');
+    } catch (error) {
+      job.attemptsMade += 1;
+      const final = discarded || this.closed || job.attemptsMade >= this.attempts;
+
+      if (final) {
+        this.finish(job, 'failed');
+      } else {
+        job.state = 'delayed';
+        job.timer = setTimeout(() => {
+          job.timer = null;
+          job.state = 'waiting';
+          this.waiting.push(job.id);
+          this.drain();
+        }, this.backoffDelay * 2 ** (job.attemptsMade - 1));
+        job.timer.unref();
+      }
+
+      this.emit('failed', job.id, error, { attemptsMade: job.attemptsMade, final });
+    }
+  }
+
+  /**
+   * Record a final state, forgetting the oldest finished jobs past the limit
+   */
+  finish(job, state) {
+    job.state = state;
+    this.finished.push(job.id);
+
+    while (this.finished.length > this.keepFinishedJobs) {
+      this.jobs.delete(this.finished.shift());
+    }
+  }
+
+  async getState(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? { state: job.state, attemptsMade: job.attemptsMade } : null;
+  }
+
+  async remove(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || !['waiting', 'delayed'].includes(job.state)) {
+      return false;
+    }
+
+    clearTimeout(job.timer);
+    this.jobs.delete(jobId);
+    return true;
+  }
+
+  async getCounts() {
+    const counts = { waiting: 0, delayed: 0, active: 0, completed: 0, failed: 0 };
+    for (const job of this.jobs.values()) {
+      counts[job.state] += 1;
+    }
+    return counts;
+  }
+
+  async close() {
+    this.closed = true;
+
+    for (const job of this.jobs.values()) {
+      clearTimeout(job.timer);
+    }
+
+    await Promise.allSettled(Array.from(this.running));
+  }
+}
+
+module.exports = InProcessJobQueue;
@@ -0,0 +1,57 @@
+// src/queues/index.js
+const config = require('../config');
+const InProcessJobQueue = require('./inProcessJobQueue');
+const BullJobQueue = require('./bullJobQueue');
+
+let jobQueue = null;
+
+/**
+ * Build the OCR job queue selected by config.queue.driver
+ */
+function createJobQueue(queueConfig = config.queue) {
+  const options = {
+    attempts: queueConfig.attempts,
+    backoffDelay: queueConfig.backoffDelay,
+    keepFinishedJobs: queueConfig.keepFinishedJobs,
+  };
+
+  switch (queueConfig.driver) {
+    case 'memory':
+      return new InProcessJobQueue(options);
+    case 'bull':
+      return new BullJobQueue({
+        ...options,
+        name: queueConfig.name,
+        prefix: `${config.redis.keyPrefix}bull`,
+        stalledInterval: queueConfig.stalledInterval,
+        maxStalledCount: queueConfig.maxStalledCount,
+      });
+    default:
+      throw new Error(`Unknown queue driver: ${queueConfig.driver}`);
+  }
+}
+
+/**
+ * Get the shared OCR job queue
+ */
+function getJobQueue() {
+  if (!jobQueue) {
+    jobQueue = createJobQueue();
+  }
+  return jobQueue;
+}
+
+/**
+ * Replace the shared OCR job queue (tests)
+ */
+function setJobQueue(queue) {
+  jobQueue = queue;
+}
+
+module.exports = {
+  createJobQueue,
+  getJobQueue,
+  setJobQueue,
+  InProcessJobQueue,
+  BullJobQueue,
+};
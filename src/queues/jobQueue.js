@@ -0,0 +1,69 @@
+// src/queues/jobQueue.js
+const { EventEmitter } = require('events');
+
+/**
+ * Job queue interface for OCR work.
+ *
+ * Queued jobs carry plain JSON data and are addressed by the jobId given
+ * to add(). The handler passed to process() receives
+ *   { id, data, attemptsMade, maxAttempts, discard() }
+ * and a rejected handler is retried with exponential backoff until the
+ * attempts run out or the job is discarded.
+ *
+ * States reported by getState(): waiting, delayed, active, completed,
+ * failed. Queues emit 'failed' (jobId, error, { attemptsMade, final })
+ * after each failed attempt and 'stalled' (jobId) when a worker lost a job.
+ */
+class JobQueue extends EventEmitter {
+  /**
+   * Prepare the backend (connect, load scripts, ...)
+   */
+  async ensureReady() {
+    throw new Error('ensureReady() not implemented');
+  }
+
+  /**
+   * Queue a job
+   */
+  async add(jobId, data) {
+    throw new Error('add() not implemented');
+  }
+
+  /**
+   * Start running queued jobs through handler, up to concurrency at a time
+   */
+  process(handler, { concurrency = 1 } = {}) {
+    throw new Error('process() not implemented');
+  }
+
+  /**
+   * Resolve with { state, attemptsMade } for a job, or null if the queue
+   * no longer knows it
+   */
+  async getState(jobId) {
+    throw new Error('getState() not implemented');
+  }
+
+  /**
+   * Drop a job that has not started. Resolves with whether it was removed.
+   */
+  async remove(jobId) {
+    throw new Error('remove() not implemented');
+  }
+
+  /**
+   * Count jobs by state
+   */
+  async getCounts() {
+    throw new Error('getCounts() not implemented');
+  }
+
+  /**
+   * Stop taking jobs and wait for running ones to settle
+   */
+  async close() {
+    throw new Error('close() not implemented');
+  }
+}
+
+module.exports = JobQueue;
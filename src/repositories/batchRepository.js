@@ -0,0 +1,57 @@
+// src/repositories/batchRepository.js
+
+/**
+ * Batch repository interface. A batch groups the OCR jobs started from one
+ * ZIP upload; batches are plain objects keyed by batchId and returned as
+ * copies. Entries are appended one by one while the archive is expanded.
+ */
+class BatchRepository {
+  /**
+   * Store a new batch
+   */
+  async create(batch) {
+    throw new Error('create() not implemented');
+  }
+
+  /**
+   * Get a batch, or null
+   */
+  async get(batchId) {
+    throw new Error('get() not implemented');
+  }
+
+  /**
+   * Merge fields into an existing batch. With ifStatusIn, the update only
+   * happens while the batch's status is one of those (checked atomically).
+   * Resolves with the updated batch, or null when it does not exist or the
+   * check failed.
+   */
+  async update(batchId, updates, { ifStatusIn = null } = {}) {
+    throw new Error('update() not implemented');
+  }
+
+  /**
+   * Append an entry to an existing batch without rewriting the entries
+   * already there. Resolves with the updated batch, or null when it does
+   * not exist.
+   */
+  async appendEntry(batchId, entry) {
+    throw new Error('appendEntry() not implemented');
+  }
+
+  /**
+   * Delete a batch
+   */
+  async delete(batchId) {
+    throw new Error('delete() not implemented');
+  }
+
+  /**
+   * List every batch
+   */
+  async list() {
+    throw new Error('list() not implemented');
+  }
+}
+
+module.exports = BatchRepository;
@@ -0,0 +1,70 @@
+// src/repositories/index.js
+const config = require('../config');
+const { getRedisClient } = require('../utils/redisClient');
+const MemoryUploadSessionRepository = require('./memoryUploadSessionRepository');
+const RedisUploadSessionRepository = require('./redisUploadSessionRepository');
+const MemoryJobRepository = require('./memoryJobRepository');
+const RedisJobRepository = require('./redisJobRepository');
+const MemoryBatchRepository = require('./memoryBatchRepository');
+const RedisBatchRepository = require('./redisBatchRepository');
+const MemoryReceiptRepository = require('./memoryReceiptRepository');
+const RedisReceiptRepository = require('./redisReceiptRepository');
+
+let repositories = null;
+
+/**
+ * Build the repositories selected by config.persistence.driver
+ */
+function createRepositories(driver = config.persistence.driver, client = null) {
+  switch (driver) {
+    case 'memory':
+      return {
+        sessions: new MemoryUploadSessionRepository(),
+        jobs: new MemoryJobRepository(),
+        batches: new MemoryBatchRepository(),
+        receipts: new MemoryReceiptRepository(),
+      };
+    case 'redis': {
+      const redis = client || getRedisClient();
+      return {
+        sessions: new RedisUploadSessionRepository(redis),
+        jobs: new RedisJobRepository(redis),
+        batches: new RedisBatchRepository(redis),
+        receipts: new RedisReceiptRepository(redis),
+      };
+    }
+    default:
+      throw new Error(`Unknown persistence driver: ${driver}`);
+  }
+}
+
+/**
+ * Get the shared { sessions, jobs, batches, receipts } repositories
+ */
+function getRepositories() {
+  if (!repositories) {
+    repositories = createRepositories();
+  }
+  return repositories;
+}
+
+/**
+ * Replace the shared repositories (tests)
+ */
+function setRepositories(replacement) {
+  repositories = replacement;
+}
+
+module.exports = {
+  createRepositories,
+  getRepositories,
+  setRepositories,
+  MemoryUploadSessionRepository,
+  RedisUploadSessionRepository,
+  MemoryJobRepository,
+  RedisJobRepository,
+  MemoryBatchRepository,
+  RedisBatchRepository,
+  MemoryReceiptRepository,
+  RedisReceiptRepository,
+};
@@ -0,0 +1,46 @@
+// src/repositories/jobRepository.js
+
+/**
+ * OCR job status repository interface. Jobs are plain objects keyed by
+ * jobId; returned objects are copies.
+ */
+class JobRepository {
+  /**
+   * Store a new job
+   */
+  async create(job) {
+    throw new Error('create() not implemented');
+  }
+
+  /**
+   * Get a job, or null
+   */
+  async get(jobId) {
+    throw new Error('get() not implemented');
+  }
+
+  /**
+   * Merge fields into a job. With ifStatusIn, the update only happens while
+   * the job's status is one of those (checked atomically). Resolves with
+   * the updated job, or null when the job is missing or the check failed.
+   */
+  async update(jobId, updates, { ifStatusIn = null } = {}) {
+    throw new Error('update() not implemented');
+  }
+
+  /**
+   * Delete a job
+   */
+  async delete(jobId) {
+    throw new Error('delete() not implemented');
+  }
+
+  /**
+   * List every job
+   */
+  async list() {
+    throw new Error('list() not implemented');
+  }
+}
+
+module.exports = JobRepository;
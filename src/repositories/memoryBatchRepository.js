@@ -0,0 +1,52 @@
+// src/repositories/memoryBatchRepository.js
+const BatchRepository = require('./batchRepository');
+
+/**
+ * Process-local batches
+ */
+class MemoryBatchRepository extends BatchRepository {
+  constructor() {
+    super();
+    this.batches = new Map();
+  }
+
+  async create(batch) {
+    this.batches.set(batch.batchId, structuredClone(batch));
+    return structuredClone(batch);
+  }
+
+  async get(batchId) {
+    const batch = this.batches.get(batchId);
+    return batch ? structuredClone(batch) : null;
+  }
+
+  async update(batchId, updates, { ifStatusIn = null } = {}) {
+    const batch = this.batches.get(batchId);
+    if (!batch || (ifStatusIn && !ifStatusIn.includes(batch.status))) {
+      return null;
+    }
+
+    Object.assign(batch, structuredClone(updates));
+    return structuredClone(batch);
+  }
+
+  async appendEntry(batchId, entry) {
+    const batch = this.batches.get(batchId);
+    if (!batch) {
+      return null;
+    }
+
+    batch.entries.push(structuredClone(entry));
+    return structuredClone(batch);
+  }
+
+  async delete(batchId) {
+    this.batches.delete(batchId);
+  }
+
+  async list() {
+    return Array.from(this.batches.values()).map(batch => structuredClone(batch));
+  }
+}
+
+module.exports = MemoryBatchRepository;
@@ -0,0 +1,42 @@
+// src/repositories/memoryJobRepository.js
+const JobRepository = require('./jobRepository');
+
+/**
+ * Process-local job statuses
+ */
+class MemoryJobRepository extends JobRepository {
+  constructor() {
+    super();
+    this.jobs = new Map();
+  }
+
+  async create(job) {
+    this.jobs.set(job.jobId, structuredClone(job));
+    return structuredClone(job);
+  }
+
+  async get(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? structuredClone(job) : null;
+  }
+
+  async update(jobId, updates, { ifStatusIn = null } = {}) {
+    const job = this.jobs.get(jobId);
+    if (!job || (ifStatusIn && !ifStatusIn.includes(job.status))) {
+      return null;
+    }
+
+    Object.assign(job, structuredClone(updates));
+    return structuredClone(job);
+  }
+
+  async delete(jobId) {
+    this.jobs.delete(jobId);
+  }
+
+  async list() {
+    return Array.from(this.jobs.values()).map(job => structuredClone(job));
+  }
+}
+
+module.exports = MemoryJobRepository;
@@ -0,0 +1,42 @@
+// src/repositories/memoryReceiptRepository.js
+const ReceiptRepository = require('./receiptRepository');
+
+/**
+ * Process-local receipt index; the Map keeps insertion order, oldest first
+ */
+class MemoryReceiptRepository extends ReceiptRepository {
+  constructor() {
+    super();
+    this.receipts = new Map();
+  }
+
+  async record(receipt) {
+    this.receipts.delete(receipt.jobId);
+    this.receipts.set(receipt.jobId, structuredClone(receipt));
+    return structuredClone(receipt);
+  }
+
+  async list() {
+    return Array.from(this.receipts.values()).map(receipt => structuredClone(receipt));
+  }
+
+  async prune({ recordedBefore, maxEntries }) {
+    let removed = 0;
+
+    for (const [jobId, receipt] of this.receipts) {
+      if (this.receipts.size <= maxEntries && new Date(receipt.recordedAt).getTime() >= recordedBefore) {
+        break;
+      }
+      this.receipts.delete(jobId);
+      removed += 1;
+    }
+
+    return removed;
+  }
+
+  async count() {
+    return this.receipts.size;
+  }
+}
+
+module.exports = MemoryReceiptRepository;
@@ -0,0 +1,152 @@
+// src/repositories/memoryUploadSessionRepository.js
+const UploadSessionRepository = require('./uploadSessionRepository');
+
+/**
+ * Process-local upload sessions. Checks and writes happen without yielding,
+ * which makes each method atomic within the process.
+ */
+class MemoryUploadSessionRepository extends UploadSessionRepository {
+  constructor() {
+    super();
+    this.sessions = new Map();
+    this.chunks = new Map();
+  }
+
+  async create(session) {
+    this.sessions.set(session.uploadId, structuredClone(session));
+    this.chunks.set(session.uploadId, new Map());
+    return structuredClone(session);
+  }
+
+  async get(uploadId) {
+    const session = this.sessions.get(uploadId);
+    return session ? structuredClone(session) : null;
+  }
+
+  async update(uploadId, updates) {
+    const session = this.sessions.get(uploadId);
+    if (!session) {
+      return null;
+    }
+
+    Object.assign(session, structuredClone(updates));
+    return structuredClone(session);
+  }
+
+  async append(uploadId, field, items, { requiredState = null } = {}) {
+    const session = this.sessions.get(uploadId);
+    if (!session || (requiredState && session.status !== requiredState)) {
+      return null;
+    }
+
+    session[field] = [...(session[field] || []), ...structuredClone(items)];
+    return structuredClone(session);
+  }
+
+  async transition(uploadId, fromStates, toState, updates = {}) {
+    const session = this.sessions.get(uploadId);
+    if (!session) {
+      return { applied: false, session: null };
+    }
+
+    if (!fromStates.includes(session.status)) {
+      return { applied: false, session: structuredClone(session) };
+    }
+
+    Object.assign(session, structuredClone(updates), { status: toState });
+    return { applied: true, session: structuredClone(session) };
+  }
+
+  async claimAssembly(uploadId, fromState, toState, updates = {}) {
+    const session = this.sessions.get(uploadId);
+    const chunks = this.chunks.get(uploadId);
+
+    if (!session || session.status !== fromState || !chunks || chunks.size !== session.maxChunks) {
+      return false;
+    }
+
+    Object.assign(session, structuredClone(updates), { status: toState });
+    return true;
+  }
+
+  async addChunk(uploadId, chunk, { requiredState, receivedAt }) {
+    const session = this.sessions.get(uploadId);
+    if (!session) {
+      return { result: 'missing', session: null, previous: null };
+    }
+    if (session.status !== requiredState) {
+      return { result: 'invalid_state', session: structuredClone(session), previous: null };
+    }
+
+    const chunks = this.chunks.get(uploadId);
+    const previous = chunks.get(chunk.index) || null;
+
+    if (previous && previous.checksum && previous.checksum === chunk.checksum) {
+      return { result: 'duplicate', session: structuredClone(session), previous: structuredClone(previous) };
+    }
+
+    chunks.set(chunk.index, structuredClone(chunk));
+    session.receivedChunks = chunks.size;
+    session.lastChunkAt = receivedAt;
+
+    return {
+      result: previous ? 'replaced' : 'added',
+      session: structuredClone(session),
+      previous: previous ? structuredClone(previous) : null,
+    };
+  }
+
+  async appendChunk(uploadId, chunk, { offset, requiredState, receivedAt }) {
+    const session = this.sessions.get(uploadId);
+    if (!session) {
+      return { result: 'missing', session: null, chunk: null };
+    }
+    if (session.status !== requiredState) {
+      return { result: 'invalid_state', session: structuredClone(session), chunk: null };
+    }
+    if ((session.uploadOffset || 0) !== offset) {
+      return { result: 'offset_mismatch', session: structuredClone(session), chunk: null };
+    }
+
+    const chunks = this.chunks.get(uploadId);
+    const stored = { ...structuredClone(chunk), index: chunks.size };
+    chunks.set(stored.index, stored);
+
+    session.uploadOffset = offset + chunk.size;
+    session.receivedChunks = chunks.size;
+    session.lastChunkAt = receivedAt;
+    if (session.uploadOffset === session.fileSize) {
+      session.maxChunks = chunks.size;
+    }
+
+    return { result: 'appended', session: structuredClone(session), chunk: structuredClone(stored) };
+  }
+
+  async getChunks(uploadId) {
+    const chunks = this.chunks.get(uploadId);
+    if (!chunks) {
+      return [];
+    }
+
+    return Array.from(chunks.values())
+      .sort((a, b) => a.index - b.index)
+      .map(chunk => structuredClone(chunk));
+  }
+
+  async clearChunks(uploadId) {
+    if (this.chunks.has(uploadId)) {
+      this.chunks.set(uploadId, new Map());
+    }
+  }
+
+  async delete(uploadId) {
+    this.sessions.delete(uploadId);
+    this.chunks.delete(uploadId);
+  }
+
+  async list() {
+    return Array.from(this.sessions.values()).map(session => structuredClone(session));
+  }
+}
+
+module.exports = MemoryUploadSessionRepository;
@@ -0,0 +1,42 @@
+// src/repositories/receiptRepository.js
+
+/**
+ * Duplicate detection index repository interface. Receipts are plain
+ * objects ({ jobId, uploadId, perceptualHash, fingerprint, recordedAt })
+ * keyed by jobId and kept in the order they were recorded; returned
+ * objects are copies.
+ */
+class ReceiptRepository {
+  /**
+   * Store a receipt, replacing (and moving to the end) any earlier one
+   * for the same job
+   */
+  async record(receipt) {
+    throw new Error('record() not implemented');
+  }
+
+  /**
+   * List every receipt, oldest first
+   */
+  async list() {
+    throw new Error('list() not implemented');
+  }
+
+  /**
+   * Drop receipts recorded before recordedBefore (milliseconds since the
+   * epoch), then the oldest ones beyond maxEntries. Resolves with the
+   * number removed.
+   */
+  async prune({ recordedBefore, maxEntries }) {
+    throw new Error('prune() not implemented');
+  }
+
+  /**
+   * Number of receipts
+   */
+  async count() {
+    throw new Error('count() not implemented');
+  }
+}
+
+module.exports = ReceiptRepository;
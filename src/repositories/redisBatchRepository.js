@@ -0,0 +1,125 @@
+// src/repositories/redisBatchRepository.js
+const BatchRepository = require('./batchRepository');
+const { encodeFields, decodeHash } = require('./redisHash');
+
+const BATCH_INDEX_KEY = 'batches';
+
+/**
+ * Lua scripts that only write batches that still exist. Entries are kept
+ * as one JSON array, extended in place as text.
+ */
+const SCRIPTS = {
+  // KEYS: batch | ARGV: allowedCount, allowedStatuses..., field, value, ...
+  batchUpdate: {
+    numberOfKeys: 1,
+    lua: `
+      if redis.call('EXISTS', KEYS[1]) == 0 then return 0 end
+      local allowedCount = tonumber(ARGV[1])
+      if allowedCount > 0 then
+        local status = redis.call('HGET', KEYS[1], 'status')
+        local allowed = false
+        for i = 1, allowedCount do
+          if ARGV[1 + i] == status then allowed = true end
+        end
+        if not allowed then return -1 end
+      end
+      redis.call('HSET', KEYS[1], unpack(ARGV, 2 + allowedCount))
+      return 1
+    `,
+  },
+
+  // KEYS: batch | ARGV: entry
+  batchAppendEntry: {
+    numberOfKeys: 1,
+    lua: `
+      if redis.call('EXISTS', KEYS[1]) == 0 then return 0 end
+      local entries = redis.call('HGET', KEYS[1], 'entries')
+      if not entries or entries == '[]' then
+        redis.call('HSET', KEYS[1], 'entries', '[' .. ARGV[1] .. ']')
+      else
+        redis.call('HSET', KEYS[1], 'entries', string.sub(entries, 1, -2) .. ',' .. ARGV[1] .. ']')
+      end
+      return 1
+    `,
+  },
+};
+
+/**
+ * Batches in Redis: one hash per batch (batch:<id>) and a batches set
+ * indexing them
+ */
+class RedisBatchRepository extends BatchRepository {
+  constructor(client) {
+    super();
+    this.client = client;
+
+    for (const [name, definition] of Object.entries(SCRIPTS)) {
+      if (!this.client[name]) {
+        this.client.defineCommand(name, definition);
+      }
+    }
+  }
+
+  key(batchId) {
+    return `batch:${batchId}`;
+  }
+
+  async create(batch) {
+    await this.client.multi()
+      .del(this.key(batch.batchId))
+      .hset(this.key(batch.batchId), ...encodeFields(batch))
+      .sadd(BATCH_INDEX_KEY, batch.batchId)
+      .exec();
+
+    return structuredClone(batch);
+  }
+
+  async get(batchId) {
+    return decodeHash(await this.client.hgetall(this.key(batchId)));
+  }
+
+  async update(batchId, updates, { ifStatusIn = null } = {}) {
+    const fields = encodeFields(updates);
+    const allowed = (ifStatusIn || []).map(status => JSON.stringify(status));
+
+    if (fields.length > 0) {
+      const outcome = await this.client.batchUpdate(this.key(batchId), allowed.length, ...allowed, ...fields);
+      if (outcome !== 1) {
+        return null;
+      }
+    }
+
+    return this.get(batchId);
+  }
+
+  async appendEntry(batchId, entry) {
+    const applied = await this.client.batchAppendEntry(this.key(batchId), JSON.stringify(entry));
+    return applied ? this.get(batchId) : null;
+  }
+
+  async delete(batchId) {
+    await this.client.multi()
+      .del(this.key(batchId))
+      .srem(BATCH_INDEX_KEY, batchId)
+      .exec();
+  }
+
+  async list() {
+    const batchIds = await this.client.smembers(BATCH_INDEX_KEY);
+    if (batchIds.length === 0) {
+      return [];
+    }
+
+    const pipeline = this.client.pipeline();
+    for (const batchId of batchIds) {
+      pipeline.hgetall(this.key(batchId));
+    }
+    const replies = await pipeline.exec();
+
+    return replies
+      .map(([error, hash]) => (error ? null : decodeHash(hash)))
+      .filter(Boolean);
+  }
+}
+
+module.exports = RedisBatchRepository;
@@ -0,0 +1,39 @@
+// src/repositories/redisHash.js
+
+/**
+ * Objects are stored as Redis hashes with one JSON-encoded value per field,
+ * so single fields can be read, compared and updated inside Lua scripts.
+ */
+
+/**
+ * Flatten an object into [field, json, field, json, ...] for HSET
+ */
+function encodeFields(object) {
+  const args = [];
+  for (const [field, value] of Object.entries(object)) {
+    if (value !== undefined) {
+      args.push(field, JSON.stringify(value));
+    }
+  }
+  return args;
+}
+
+/**
+ * Turn an HGETALL reply back into an object, or null for a missing key
+ */
+function decodeHash(hash) {
+  if (!hash || Object.keys(hash).length === 0) {
+    return null;
+  }
+
+  const object = {};
+  for (const [field, value] of Object.entries(hash)) {
+    object[field] = JSON.parse(value);
+  }
+  return object;
+}
+
+module.exports = {
+  encodeFields,
+  decodeHash,
+};
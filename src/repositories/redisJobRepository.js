@@ -0,0 +1,101 @@
+// src/repositories/redisJobRepository.js
+const JobRepository = require('./jobRepository');
+const { encodeFields, decodeHash } = require('./redisHash');
+
+const JOB_INDEX_KEY = 'jobs';
+
+const SCRIPTS = {
+  // KEYS: job | ARGV: allowedCount, allowedStatuses..., field, value, ...
+  jobUpdate: {
+    numberOfKeys: 1,
+    lua: `
+      if redis.call('EXISTS', KEYS[1]) == 0 then return 0 end
+      local allowedCount = tonumber(ARGV[1])
+      if allowedCount > 0 then
+        local status = redis.call('HGET', KEYS[1], 'status')
+        local allowed = false
+        for i = 1, allowedCount do
+          if ARGV[1 + i] == status then allowed = true end
+        end
+        if not allowed then return -1 end
+      end
+      redis.call('HSET', KEYS[1], unpack(ARGV, 2 + allowedCount))
+      return 1
+    `,
+  },
+};
+
+/**
+ * Job statuses in Redis: one hash per job (job:<id>) and a jobs set
+ * indexing them
+ */
+class RedisJobRepository extends JobRepository {
+  constructor(client) {
+    super();
+    this.client = client;
+
+    for (const [name, definition] of Object.entries(SCRIPTS)) {
+      if (!this.client[name]) {
+        this.client.defineCommand(name, definition);
+      }
+    }
+  }
+
+  key(jobId) {
+    return `job:${jobId}`;
+  }
+
+  async create(job) {
+    await this.client.multi()
+      .del(this.key(job.jobId))
+      .hset(this.key(job.jobId), ...encodeFields(job))
+      .sadd(JOB_INDEX_KEY, job.jobId)
+      .exec();
+
+    return structuredClone(job);
+  }
+
+  async get(jobId) {
+    return decodeHash(await this.client.hgetall(this.key(jobId)));
+  }
+
+  async update(jobId, updates, { ifStatusIn = null } = {}) {
+    const fields = encodeFields(updates);
+    const allowed = (ifStatusIn || []).map(status => JSON.stringify(status));
+
+    if (fields.length > 0) {
+      const outcome = await this.client.jobUpdate(this.key(jobId), allowed.length, ...allowed, ...fields);
+      if (outcome !== 1) {
+        return null;
+      }
+    }
+
+    return this.get(jobId);
+  }
+
+  async delete(jobId) {
+    await this.client.multi()
+      .del(this.key(jobId))
+      .srem(JOB_INDEX_KEY, jobId)
+      .exec();
+  }
+
+  async list() {
+    const jobIds = await this.client.smembers(JOB_INDEX_KEY);
+    if (jobIds.length === 0) {
+      return [];
+    }
+
+    const pipeline = this.client.pipeline();
+    for (const jobId of jobIds) {
+      pipeline.hgetall(this.key(jobId));
+    }
+    const replies = await pipeline.exec();
+
+    return replies
+      .map(([error, hash]) => (error ? null : decodeHash(hash)))
+      .filter(Boolean);
+  }
+}
+
+module.exports = RedisJobRepository;
@@ -0,0 +1,62 @@
+// src/repositories/redisReceiptRepository.js
+const ReceiptRepository = require('./receiptRepository');
+
+const RECEIPTS_KEY = 'receipts';
+const RECEIPT_ORDER_KEY = 'receipts:recorded';
+
+/**
+ * Receipt index in Redis: one hash (receipts) of JSON receipts by jobId,
+ * ordered by the receipts:recorded sorted set, scored by recording time
+ */
+class RedisReceiptRepository extends ReceiptRepository {
+  constructor(client) {
+    super();
+    this.client = client;
+  }
+
+  async record(receipt) {
+    await this.client.multi()
+      .hset(RECEIPTS_KEY, receipt.jobId, JSON.stringify(receipt))
+      .zadd(RECEIPT_ORDER_KEY, new Date(receipt.recordedAt).getTime(), receipt.jobId)
+      .exec();
+
+    return structuredClone(receipt);
+  }
+
+  async list() {
+    const [[, jobIds], [, stored]] = await this.client.multi()
+      .zrange(RECEIPT_ORDER_KEY, 0, -1)
+      .hgetall(RECEIPTS_KEY)
+      .exec();
+
+    return jobIds
+      .filter(jobId => stored[jobId])
+      .map(jobId => JSON.parse(stored[jobId]));
+  }
+
+  async prune({ recordedBefore, maxEntries }) {
+    const expired = await this.client.zrangebyscore(RECEIPT_ORDER_KEY, '-inf', `(${recordedBefore}`);
+    const remaining = (await this.client.zcard(RECEIPT_ORDER_KEY)) - expired.length;
+    const overflow = remaining > maxEntries
+      ? await this.client.zrange(RECEIPT_ORDER_KEY, expired.length, expired.length + remaining - maxEntries - 1)
+      : [];
+
+    const jobIds = [...expired, ...overflow];
+    if (jobIds.length === 0) {
+      return 0;
+    }
+
+    await this.client.multi()
+      .hdel(RECEIPTS_KEY, ...jobIds)
+      .zrem(RECEIPT_ORDER_KEY, ...jobIds)
+      .exec();
+
+    return jobIds.length;
+  }
+
+  async count() {
+    return this.client.zcard(RECEIPT_ORDER_KEY);
+  }
+}
+
+module.exports = RedisReceiptRepository;
@@ -0,0 +1,306 @@
+// src/repositories/redisUploadSessionRepository.js
+const UploadSessionRepository = require('./uploadSessionRepository');
+const { encodeFields, decodeHash } = require('./redisHash');
+
+const SESSION_INDEX_KEY = 'uploads';
+
+/**
+ * Lua scripts for the check-and-set operations. Values are JSON-encoded, so
+ * statuses are compared as JSON strings and counters are written as plain
+ * integers (which are valid JSON).
+ */
+const SCRIPTS = {
+  // KEYS: session | ARGV: toState, fromCount, fromStates..., field, value, ...
+  uploadTransition: {
+    numberOfKeys: 1,
+    lua: `
+      if redis.call('EXISTS', KEYS[1]) == 0 then return 0 end
+      local status = redis.call('HGET', KEYS[1], 'status')
+      local fromCount = tonumber(ARGV[2])
+      for i = 1, fromCount do
+        if ARGV[2 + i] == status then
+          redis.call('HSET', KEYS[1], 'status', ARGV[1], unpack(ARGV, 3 + fromCount))
+          return 1
+        end
+      end
+      return -1
+    `,
+  },
+
+  // KEYS: session, chunks | ARGV: fromState, toState, field, value, ...
+  uploadClaimAssembly: {
+    numberOfKeys: 2,
+    lua: `
+      if redis.call('HGET', KEYS[1], 'status') ~= ARGV[1] then return 0 end
+      local maxChunks = tonumber(redis.call('HGET', KEYS[1], 'maxChunks') or '')
+      if not maxChunks or redis.call('HLEN', KEYS[2]) ~= maxChunks then return 0 end
+      redis.call('HSET', KEYS[1], 'status', ARGV[2], unpack(ARGV, 3))
+      return 1
+    `,
+  },
+
+  // KEYS: session | ARGV: field, value, ...
+  uploadUpdate: {
+    numberOfKeys: 1,
+    lua: `
+      if redis.call('EXISTS', KEYS[1]) == 0 then return 0 end
+      redis.call('HSET', KEYS[1], unpack(ARGV))
+      return 1
+    `,
+  },
+
+  // KEYS: session | ARGV: field, items (JSON values joined by commas),
+  // requiredState (empty for any). The stored array is extended in place
+  // as text, so nothing appended by a concurrent caller is lost
+  uploadAppend: {
+    numberOfKeys: 1,
+    lua: `
+      if redis.call('EXISTS', KEYS[1]) == 0 then return 0 end
+      if ARGV[3] ~= '' and redis.call('HGET', KEYS[1], 'status') ~= ARGV[3] then return 0 end
+      local current = redis.call('HGET', KEYS[1], ARGV[1])
+      if not current or current == 'null' or current == '[]' then
+        redis.call('HSET', KEYS[1], ARGV[1], '[' .. ARGV[2] .. ']')
+      else
+        redis.call('HSET', KEYS[1], ARGV[1], string.sub(current, 1, -2) .. ',' .. ARGV[2] .. ']')
+      end
+      return 1
+    `,
+  },
+
+  // KEYS: session, chunks, checksums
+  // ARGV: requiredState, index, chunk, checksum, receivedAt
+  uploadAddChunk: {
+    numberOfKeys: 3,
+    lua: `
+      if redis.call('EXISTS', KEYS[1]) == 0 then return {'missing'} end
+      if redis.call('HGET', KEYS[1], 'status') ~= ARGV[1] then return {'invalid_state'} end
+      local previous = redis.call('HGET', KEYS[2], ARGV[2])
+      if previous then
+        local previousChecksum = redis.call('HGET', KEYS[3], ARGV[2])
+        if previousChecksum ~= '' and previousChecksum == ARGV[4] then
+          return {'duplicate', previous}
+        end
+      end
+      redis.call('HSET', KEYS[2], ARGV[2], ARGV[3])
+      redis.call('HSET', KEYS[3], ARGV[2], ARGV[4])
+      redis.call('HSET', KEYS[1],
+        'receivedChunks', string.format('%d', redis.call('HLEN', KEYS[2])),
+        'lastChunkAt', ARGV[5])
+      if previous then return {'replaced', previous} end
+      return {'added'}
+    `,
+  },
+
+  // KEYS: session, chunks, checksums
+  // ARGV: requiredState, offset, size, chunk, checksum, receivedAt
+  uploadAppendChunk: {
+    numberOfKeys: 3,
+    lua: `
+      if redis.call('EXISTS', KEYS[1]) == 0 then return {'missing'} end
+      if redis.call('HGET', KEYS[1], 'status') ~= ARGV[1] then return {'invalid_state'} end
+      local current = tonumber(redis.call('HGET', KEYS[1], 'uploadOffset') or '') or 0
+      if current ~= tonumber(ARGV[2]) then return {'offset_mismatch'} end
+      local index = redis.call('HLEN', KEYS[2])
+      local newOffset = current + tonumber(ARGV[3])
+      redis.call('HSET', KEYS[2], string.format('%d', index), ARGV[4])
+      redis.call('HSET', KEYS[3], string.format('%d', index), ARGV[5])
+      redis.call('HSET', KEYS[1],
+        'uploadOffset', string.format('%d', newOffset),
+        'receivedChunks', string.format('%d', index + 1),
+        'lastChunkAt', ARGV[6])
+      if newOffset == tonumber(redis.call('HGET', KEYS[1], 'fileSize') or '') then
+        redis.call('HSET', KEYS[1], 'maxChunks', string.format('%d', index + 1))
+      end
+      return {'appended', string.format('%d', index)}
+    `,
+  },
+};
+
+/**
+ * Decode a stored chunk; the index lives in the hash field, not the value
+ */
+function decodeChunk(index, value) {
+  return { ...JSON.parse(value), index: Number(index) };
+}
+
+function encodeChunk({ index, ...chunk }) {
+  return JSON.stringify(chunk);
+}
+
+/**
+ * Upload sessions in Redis. Each session is a hash (upload:<id>) with its
+ * chunks in upload:<id>:chunks and their checksums in upload:<id>:checksums,
+ * both keyed by chunk index. The uploads set indexes every session.
+ */
+class RedisUploadSessionRepository extends UploadSessionRepository {
+  constructor(client) {
+    super();
+    this.client = client;
+
+    for (const [name, definition] of Object.entries(SCRIPTS)) {
+      if (!this.client[name]) {
+        this.client.defineCommand(name, definition);
+      }
+    }
+  }
+
+  keys(uploadId) {
+    return {
+      session: `upload:${uploadId}`,
+      chunks: `upload:${uploadId}:chunks`,
+      checksums: `upload:${uploadId}:checksums`,
+    };
+  }
+
+  async create(session) {
+    const keys = this.keys(session.uploadId);
+
+    await this.client.multi()
+      .del(keys.session, keys.chunks, keys.checksums)
+      .hset(keys.session, ...encodeFields(session))
+      .sadd(SESSION_INDEX_KEY, session.uploadId)
+      .exec();
+
+    return structuredClone(session);
+  }
+
+  async get(uploadId) {
+    return decodeHash(await this.client.hgetall(this.keys(uploadId).session));
+  }
+
+  async update(uploadId, updates) {
+    const fields = encodeFields(updates);
+    if (fields.length > 0) {
+      const applied = await this.client.uploadUpdate(this.keys(uploadId).session, ...fields);
+      if (!applied) {
+        return null;
+      }
+    }
+
+    return this.get(uploadId);
+  }
+
+  async append(uploadId, field, items, { requiredState = null } = {}) {
+    if (items.length > 0) {
+      const applied = await this.client.uploadAppend(
+        this.keys(uploadId).session,
+        field,
+        items.map(item => JSON.stringify(item)).join(','),
+        requiredState ? JSON.stringify(requiredState) : ''
+      );
+      if (!applied) {
+        return null;
+      }
+    }
+
+    const session = await this.get(uploadId);
+    return session && (!requiredState || session.status === requiredState) ? session : null;
+  }
+
+  async transition(uploadId, fromStates, toState, updates = {}) {
+    const outcome = await this.client.uploadTransition(
+      this.keys(uploadId).session,
+      JSON.stringify(toState),
+      fromStates.length,
+      ...fromStates.map(state => JSON.stringify(state)),
+      ...encodeFields(updates)
+    );
+
+    return { applied: outcome === 1, session: await this.get(uploadId) };
+  }
+
+  async claimAssembly(uploadId, fromState, toState, updates = {}) {
+    const keys = this.keys(uploadId);
+    const claimed = await this.client.uploadClaimAssembly(
+      keys.session,
+      keys.chunks,
+      JSON.stringify(fromState),
+      JSON.stringify(toState),
+      ...encodeFields(updates)
+    );
+
+    return claimed === 1;
+  }
+
+  async addChunk(uploadId, chunk, { requiredState, receivedAt }) {
+    const keys = this.keys(uploadId);
+    const [result, previous] = await this.client.uploadAddChunk(
+      keys.session,
+      keys.chunks,
+      keys.checksums,
+      JSON.stringify(requiredState),
+      String(chunk.index),
+      encodeChunk(chunk),
+      chunk.checksum || '',
+      JSON.stringify(receivedAt)
+    );
+
+    return {
+      result,
+      session: result === 'missing' ? null : await this.get(uploadId),
+      previous: previous ? decodeChunk(chunk.index, previous) : null,
+    };
+  }
+
+  async appendChunk(uploadId, chunk, { offset, requiredState, receivedAt }) {
+    const keys = this.keys(uploadId);
+    const [result, index] = await this.client.uploadAppendChunk(
+      keys.session,
+      keys.chunks,
+      keys.checksums,
+      JSON.stringify(requiredState),
+      String(offset),
+      String(chunk.size),
+      encodeChunk(chunk),
+      chunk.checksum || '',
+      JSON.stringify(receivedAt)
+    );
+
+    return {
+      result,
+      session: result === 'missing' ? null : await this.get(uploadId),
+      chunk: result === 'appended' ? { ...chunk, index: Number(index) } : null,
+    };
+  }
+
+  async getChunks(uploadId) {
+    const stored = await this.client.hgetall(this.keys(uploadId).chunks);
+
+    return Object.entries(stored)
+      .map(([index, value]) => decodeChunk(index, value))
+      .sort((a, b) => a.index - b.index);
+  }
+
+  async clearChunks(uploadId) {
+    const keys = this.keys(uploadId);
+    await this.client.del(keys.chunks, keys.checksums);
+  }
+
+  async delete(uploadId) {
+    const keys = this.keys(uploadId);
+
+    await this.client.multi()
+      .del(keys.session, keys.chunks, keys.checksums)
+      .srem(SESSION_INDEX_KEY, uploadId)
+      .exec();
+  }
+
+  async list() {
+    const uploadIds = await this.client.smembers(SESSION_INDEX_KEY);
+    if (uploadIds.length === 0) {
+      return [];
+    }
+
+    const pipeline = this.client.pipeline();
+    for (const uploadId of uploadIds) {
+      pipeline.hgetall(this.keys(uploadId).session);
+    }
+    const replies = await pipeline.exec();
+
+    return replies
+      .map(([error, hash]) => (error ? null : decodeHash(hash)))
+      .filter(Boolean);
+  }
+}
+
+module.exports = RedisUploadSessionRepository;
@@ -0,0 +1,112 @@
+// src/repositories/uploadSessionRepository.js
+
+/**
+ * Upload session repository interface.
+ *
+ * Sessions are plain objects keyed by uploadId; chunks are stored per
+ * session keyed by chunk index. Every method that checks a session's state
+ * before changing it does so atomically, so concurrent requests (in one
+ * process or across dynos) cannot both win. Returned objects are copies.
+ */
+class UploadSessionRepository {
+  /**
+   * Store a new session, replacing any previous session and chunks
+   */
+  async create(session) {
+    throw new Error('create() not implemented');
+  }
+
+  /**
+   * Get a session, or null
+   */
+  async get(uploadId) {
+    throw new Error('get() not implemented');
+  }
+
+  /**
+   * Merge fields into an existing session. Resolves with the updated
+   * session, or null when it does not exist.
+   */
+  async update(uploadId, updates) {
+    throw new Error('update() not implemented');
+  }
+
+  /**
+   * Append items to an array field of an existing session (created when
+   * missing) without rewriting what concurrent callers appended. With
+   * requiredState, nothing is appended unless the session is in that state
+   * (checked atomically). Resolves with the updated session, or null when
+   * it does not exist or the check failed.
+   */
+  async append(uploadId, field, items, { requiredState = null } = {}) {
+    throw new Error('append() not implemented');
+  }
+
+  /**
+   * Set status to toState (plus updates) only if the current status is one
+   * of fromStates. Resolves with { applied, session }; session is null when
+   * the upload does not exist.
+   */
+  async transition(uploadId, fromStates, toState, updates = {}) {
+    throw new Error('transition() not implemented');
+  }
+
+  /**
+   * Move an uploading session to assembling once it holds maxChunks chunks.
+   * Resolves with true for the single caller that wins the claim.
+   */
+  async claimAssembly(uploadId, fromState, toState, updates = {}) {
+    throw new Error('claimAssembly() not implemented');
+  }
+
+  /**
+   * Store a chunk by index while the session is in requiredState. A chunk
+   * with the same non-empty checksum as the stored one is a duplicate and
+   * is not stored. Resolves with { result, session, previous } where result
+   * is 'added', 'replaced', 'duplicate', 'missing' or 'invalid_state' and
+   * previous is the chunk already stored at that index.
+   */
+  async addChunk(uploadId, chunk, { requiredState, receivedAt }) {
+    throw new Error('addChunk() not implemented');
+  }
+
+  /**
+   * Append a chunk at the next index if the session is in requiredState and
+   * its uploadOffset equals offset. Fixes maxChunks once fileSize bytes have
+   * arrived. Resolves with { result, session, chunk } where result is
+   * 'appended', 'missing', 'invalid_state' or 'offset_mismatch'.
+   */
+  async appendChunk(uploadId, chunk, { offset, requiredState, receivedAt }) {
+    throw new Error('appendChunk() not implemented');
+  }
+
+  /**
+   * Get a session's chunks ordered by index
+   */
+  async getChunks(uploadId) {
+    throw new Error('getChunks() not implemented');
+  }
+
+  /**
+   * Forget a session's chunks (the files are deleted by the caller)
+   */
+  async clearChunks(uploadId) {
+    throw new Error('clearChunks() not implemented');
+  }
+
+  /**
+   * Delete a session and its chunks
+   */
+  async delete(uploadId) {
+    throw new Error('delete() not implemented');
+  }
+
+  /**
+   * List every session
+   */
+  async list() {
+    throw new Error('list() not implemented');
+  }
+}
+
+module.exports = UploadSessionRepository;
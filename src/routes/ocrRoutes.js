@@ -1,36 +1,38 @@
 // src/routes/ocrRoutes.js
 const express = require('express');
 const multer = require('multer');
-const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const adapterStorage = require('../storage/multerStorage');
 const { ocrValidation } = require('../middleware/requestValidation');
 const {
   createUploadSession,
   uploadChunk,
+  getUploadStatus,
+  abortUpload,
   startProcessing,
+  scanImage,
   getJobStatus,
+  getBatchStatus,
   cancelJob,
 } = require('../controllers/ocrController');
 
 const router = express.Router();
 
-// Configure multer for chunk uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'temp/');
-  },
-  filename: (req, file, cb) => {
-    const uniqueName = `${Date.now()}-${uuidv4()}-chunk`;
-    cb(null, uniqueName);
-  },
-});
-
+// Configure multer for chunk uploads (streamed into the storage backend)
 const upload = multer({
-  storage,
+  storage: adapterStorage(),
   limits: {
     fileSize: 2 * 1024 * 1024, // 2MB per chunk
   },
 });
 
+// Single-request scans are small enough to keep in memory
+const scanUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.ocr.scan.maxFileSize,
+  },
+});
 
 /**
  * OCR Upload and Processing Routes
@@ -49,12 +51,34 @@ router.post('/chunk',
   uploadChunk                          // Finally handle the request
 );
 
+// GET /api/ocr/upload/:uploadId - Get upload manifest (received/missing chunks) to resume
+router.get('/upload/:uploadId',
+  ...ocrValidation.getUploadStatus,
+  getUploadStatus
+);
+
+// DELETE /api/ocr/upload/:uploadId - Abort an upload and cancel its OCR job
+router.delete('/upload/:uploadId',
+  ...ocrValidation.abortUpload,
+  abortUpload
+);
+
 // POST /api/ocr/process - Start OCR processing on uploaded file
 router.post('/process', 
   ...ocrValidation.startProcessing,
   startProcessing
 );
 
+// /api/ocr/tus - tus 1.0 resumable uploads feeding the same upload sessions
+router.use('/tus', require('./tusRoutes'));
+
+// POST /api/ocr/scan - Upload and process a small image in one request
+router.post('/scan',
+  scanUpload.single('image'),
+  ...ocrValidation.scan,
+  scanImage
+);
+
 /**
  * OCR Status and Management Routes
  */
@@ -65,6 +89,12 @@ router.get('/status/:jobId',
   getJobStatus
 );
 
+// GET /api/ocr/batch/:batchId - Get the status of every job of a ZIP batch
+router.get('/batch/:batchId',
+  ...ocrValidation.getBatchStatus,
+  getBatchStatus
+);
+
 // DELETE /api/ocr/job/:jobId - Cancel OCR job (optional)
 router.delete('/job/:jobId', cancelJob);
 
@@ -81,9 +111,17 @@ router.get('/health', (req, res) => {
     correlationId: req.correlationId,
     endpoints: [
       'POST /api/ocr/upload',
+      'GET /api/ocr/upload/:uploadId',
+      'DELETE /api/ocr/upload/:uploadId',
       'POST /api/ocr/chunk', 
+      'POST /api/ocr/tus',
+      'HEAD /api/ocr/tus/:uploadId',
+      'PATCH /api/ocr/tus/:uploadId',
+      'DELETE /api/ocr/tus/:uploadId',
       'POST /api/ocr/process',
+      'POST /api/ocr/scan',
       'GET /api/ocr/status/:jobId',
+      'GET /api/ocr/batch/:batchId',
       'DELETE /api/ocr/job/:jobId',
     ],
   });
@@ -94,13 +132,15 @@ router.get('/stats', async (req, res) => {
   try {
     const OCRService = require('../services/ocrService');
     const FileService = require('../services/fileService');
+    const MaintenanceService = require('../services/maintenanceService');
     
     const ocrStats = await OCRService.getStats();
-    const fileStats = FileService.getStats();
+    const fileStats = await FileService.getStats();
     
     res.json({
       ocr: ocrStats,
       files: fileStats,
+      maintenance: MaintenanceService.getStatus(),
       timestamp: new Date().toISOString(),
       correlationId: req.correlationId,
     });
@@ -129,6 +169,7 @@ router.post('/base64', async (req, res) => {
         '3. POST /api/ocr/process (start processing)',
         '4. GET /api/ocr/status/:jobId (check status)',
       ],
+      singleRequest: 'POST /api/ocr/scan (multipart "image" or base64 JSON, optional ?wait=true)',
     },
     correlationId: req.correlationId,
   });
@@ -0,0 +1,45 @@
+// src/routes/tusRoutes.js
+const express = require('express');
+const { ocrValidation } = require('../middleware/requestValidation');
+const {
+  tusProtocol,
+  getCapabilities,
+  createUpload,
+  getUploadOffset,
+  patchUpload,
+  terminateUpload,
+} = require('../controllers/tusController');
+
+const router = express.Router();
+
+/**
+ * tus 1.0 Resumable Upload Routes
+ */
+
+router.use(tusProtocol);
+
+// OPTIONS /api/ocr/tus - Server capabilities (version, extensions, max size)
+router.options('/', getCapabilities);
+
+// POST /api/ocr/tus - Create upload (creation extension)
+router.post('/', createUpload);
+
+// HEAD /api/ocr/tus/:uploadId - Current upload offset
+router.head('/:uploadId',
+  ...ocrValidation.tusUpload,
+  getUploadOffset
+);
+
+// PATCH /api/ocr/tus/:uploadId - Append data at offset
+router.patch('/:uploadId',
+  ...ocrValidation.tusUpload,
+  patchUpload
+);
+
+// DELETE /api/ocr/tus/:uploadId - Terminate upload (termination extension)
+router.delete('/:uploadId',
+  ...ocrValidation.tusUpload,
+  terminateUpload
+);
+
+module.exports = router;
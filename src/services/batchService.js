@@ -0,0 +1,526 @@
+// src/services/batchService.js
+const path = require('path');
+const yauzl = require('yauzl');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { getStorage } = require('../storage');
+const { getRepositories } = require('../repositories');
+const { getJobQueue } = require('../queues');
+const { AppError, FileError } = require('../middleware/errorHandler');
+const fileService = require('./fileService');
+const ocrService = require('./ocrService');
+const imageValidationService = require('./imageValidationService');
+const { logger } = require('../utils/logger');
+
+// Local file header signature every ZIP archive starts with
+const ZIP_MAGIC = Buffer.from('PK\x03\x04', 'latin1');
+
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Whether an archive entry is something other than a scanned file:
+ * a directory, or metadata added by macOS (__MACOSX/, ._name) and other
+ * hidden files
+ */
+function isIgnoredEntry(name) {
+  const segments = name.split('/').filter(Boolean);
+  return name.endsWith('/')
+    || segments[0] === '__MACOSX'
+    || segments.some(segment => segment.startsWith('.'));
+}
+
+/**
+ * Storage-safe form of an entry's file name, without its directories
+ */
+function safeFilename(name) {
+  return path.posix.basename(name).replace(/[^a-zA-Z0-9\-_.]/g, '_') || 'entry';
+}
+
+/**
+ * Read the next entry of a yauzl archive opened with lazyEntries, or null
+ * at the end
+ */
+function readEntry(zipfile) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      zipfile.off('entry', onEntry);
+      zipfile.off('end', onEnd);
+      zipfile.off('error', onError);
+    };
+    const onEntry = (entry) => { cleanup(); resolve(entry); };
+    const onEnd = () => { cleanup(); resolve(null); };
+    const onError = (error) => { cleanup(); reject(error); };
+
+    zipfile.on('entry', onEntry);
+    zipfile.on('end', onEnd);
+    zipfile.on('error', onError);
+    zipfile.readEntry();
+  });
+}
+
+class BatchService {
+  /**
+   * Whether a completed upload is a ZIP archive (a batch of scans) rather
+   * than a single image or document
+   */
+  static async isArchiveUpload(session) {
+    if (!session?.combinedPath || session.parts) {
+      return false;
+    }
+
+    const stream = await getStorage().openReadStream(session.combinedPath);
+    try {
+      for await (const chunk of stream) {
+        return chunk.length >= ZIP_MAGIC.length && chunk.subarray(0, ZIP_MAGIC.length).equals(ZIP_MAGIC);
+      }
+      return false;
+    } finally {
+      stream.destroy();
+    }
+  }
+
+  /**
+   * Expand a ZIP upload into storage, one file per entry, within
+   * config.ocr.batch limits: entry count, size of each entry and of all
+   * entries together. The central directory is checked first, so unsafe
+   * paths (absolute, or climbing out with ..), limits and encryption
+   * reject the whole archive before anything is written; nothing is
+   * written outside uploads/ either way. Directories and hidden or macOS
+   * metadata files are skipped.
+   *
+   * Each file is handed to onEntry({ entry, filename, imageKey }) once
+   * written and belongs to it from then on; entry numbers in skip are not
+   * extracted. An entry whose data is corrupt (or inflates past its
+   * declared size) stops the expansion. Resolves with the entries handed
+   * over.
+   */
+  static async expandArchive(key, uploadId, correlationId, { onEntry = async () => {}, skip = new Set() } = {}) {
+    const storage = getStorage();
+    const localFile = await storage.getLocalPath(key);
+    const expanded = [];
+    let zipfile = null;
+
+    try {
+      try {
+        // File names are decoded and checked here rather than by yauzl, so
+        // an unsafe path can be reported as such
+        zipfile = await yauzl.openPromise(localFile.path, {
+          decodeStrings: false,
+          validateEntrySizes: true,
+          autoClose: false,
+        });
+      } catch (error) {
+        throw new FileError('ZIP archive could not be read', 'INVALID_ARCHIVE', { reason: error.message });
+      }
+
+      const files = await this.scanArchive(zipfile);
+
+      for (const [index, { entry, name }] of files.entries()) {
+        const number = index + 1;
+        if (skip.has(number)) {
+          continue;
+        }
+
+        const imageKey = `uploads/${uploadId}-${Date.now()}-entry-${number}-${safeFilename(name)}`;
+        const file = { entry: number, filename: path.posix.basename(name), imageKey };
+        try {
+          // yauzl fails the stream when an entry inflates past its declared size
+          await storage.write(imageKey, await zipfile.openReadStreamPromise(entry));
+        } catch (error) {
+          await storage.delete(imageKey).catch(() => {});
+          throw new FileError('ZIP archive could not be read', 'INVALID_ARCHIVE', { entry: name, reason: error.message });
+        }
+
+        try {
+          await onEntry(file);
+        } catch (error) {
+          await storage.delete(imageKey).catch(() => {});
+          throw error;
+        }
+        expanded.push(file);
+      }
+    } catch (error) {
+      logger.warn({
+        correlationId,
+        uploadId,
+        code: error.code,
+        error: error.message,
+        details: error.details,
+        expanded: expanded.length,
+        message: 'ZIP archive rejected',
+      });
+      throw error;
+    } finally {
+      zipfile?.close();
+      await localFile.release();
+    }
+
+    logger.info({
+      correlationId,
+      uploadId,
+      entries: expanded.length,
+      message: 'ZIP archive expanded',
+    });
+
+    return expanded;
+  }
+
+  /**
+   * Read a ZIP archive's central directory and check it against
+   * config.ocr.batch limits. Resolves with the { entry, name } of each file
+   * to expand, in archive order.
+   */
+  static async scanArchive(zipfile) {
+    const { maxEntries, maxEntrySize, maxTotalSize } = config.ocr.batch;
+
+    if (zipfile.entryCount > maxEntries) {
+      throw new FileError('ZIP archive has too many entries', 'FILE_TOO_LARGE', {
+        entryCount: zipfile.entryCount,
+        maxEntries,
+      });
+    }
+
+    const files = [];
+    let totalSize = 0;
+    for (;;) {
+      let entry;
+      try {
+        entry = await readEntry(zipfile);
+      } catch (error) {
+        throw new FileError('ZIP archive could not be read', 'INVALID_ARCHIVE', { reason: error.message });
+      }
+      if (!entry) {
+        return files;
+      }
+
+      const name = yauzl.getFileNameLowLevel(entry.generalPurposeBitFlag, entry.fileNameRaw, entry.extraFields, false);
+      const unsafe = yauzl.validateFileName(name);
+      if (unsafe) {
+        throw new FileError('ZIP archive contains an unsafe path', 'INVALID_ARCHIVE', { entry: name, reason: unsafe });
+      }
+      if (isIgnoredEntry(name)) {
+        continue;
+      }
+
+      totalSize += entry.uncompressedSize;
+      if (entry.uncompressedSize > maxEntrySize || totalSize > maxTotalSize) {
+        throw new FileError('ZIP archive expands beyond the size limit', 'FILE_TOO_LARGE', {
+          entry: name,
+          size: entry.uncompressedSize,
+          maxEntrySize,
+          maxTotalSize,
+        });
+      }
+      if (entry.isEncrypted()) {
+        throw new FileError('ZIP archive is encrypted', 'INVALID_ARCHIVE', { entry: name });
+      }
+
+      files.push({ entry, name });
+    }
+  }
+
+  /**
+   * Start a batch for a completed ZIP upload. The batch is recorded as
+   * expanding and the archive is expanded by a queued job, so the request
+   * returns before any entry is read. Resolves with the batch.
+   */
+  static async startBatch(uploadId, correlationId, options = {}) {
+    const session = await fileService.getUploadSession(uploadId);
+    if (!session) {
+      throw new Error('Upload session not found');
+    }
+    if (!session.combinedPath) {
+      throw new Error('No combined file found for upload session');
+    }
+
+    const { language, engines, includeLayout } = ocrService.resolveOptions(session, options);
+    const batchId = uuidv4();
+
+    const batch = await getRepositories().batches.create({
+      batchId,
+      uploadId,
+      correlationId,
+      filename: session.filename,
+      status: 'expanding',
+      entries: [],
+      error: null,
+      createdAt: new Date().toISOString(),
+    });
+
+    await getJobQueue().add(batchId, {
+      type: 'batch',
+      batchId,
+      uploadId,
+      correlationId,
+      archiveKey: session.combinedPath,
+      language,
+      engines,
+      includeLayout,
+    });
+
+    logger.info({
+      correlationId,
+      uploadId,
+      batchId,
+      message: 'OCR batch queued',
+    });
+
+    return batch;
+  }
+
+  /**
+   * Queue handler for a batch: expand its archive and queue one OCR job
+   * per image inside, appending each entry to the batch as it goes.
+   * Entries that are not valid images are kept with their error instead
+   * of a job. A rejected archive fails the batch rather than the queue
+   * job, as another attempt would fail the same way; jobs queued before
+   * the failure keep running. A rerun (after a stall) skips the entries
+   * already recorded. Expansion stops, deleting the file it just wrote,
+   * once the batch is cancelled or its upload no longer takes jobs.
+   */
+  static async runBatchJob({ batchId, uploadId, correlationId, archiveKey, language, engines, includeLayout }) {
+    const batches = getRepositories().batches;
+    const batch = await batches.get(batchId);
+    if (!batch || batch.status !== 'expanding') {
+      logger.info({ batchId, message: 'Skipping OCR batch that is gone or already expanded' });
+      return;
+    }
+
+    try {
+      const expanded = await this.expandArchive(archiveKey, uploadId, correlationId, {
+        skip: new Set(batch.entries.map(item => item.entry)),
+        onEntry: async ({ entry, filename, imageKey }) => {
+          // expandArchive deletes the file when this throws
+          const current = await batches.get(batchId);
+          if (!current || current.status !== 'expanding') {
+            throw new AppError('OCR batch was cancelled', 409, 'CANCELLED', true, { batchId });
+          }
+
+          // Expanded files belong to the upload until their jobs delete
+          // them, so they are cleaned up with it and not swept as orphans.
+          // An aborted upload refuses the entry.
+          await fileService.appendToUploadSession(uploadId, 'entries', [{ batchId, entry, filename, combinedPath: imageKey }]);
+
+          let image;
+          try {
+            image = await imageValidationService.validateStoredImage(imageKey, correlationId);
+          } catch (error) {
+            await getStorage().delete(imageKey).catch(() => {});
+            await batches.appendEntry(batchId, {
+              entry,
+              filename,
+              jobId: null,
+              error: { code: error.code || 'INVALID_FILE_TYPE', message: error.message },
+            });
+            return;
+          }
+
+          const jobId = await ocrService.queueJob({
+            uploadId,
+            correlationId,
+            batchId,
+            imageKey,
+            filename,
+            image,
+            language,
+            engines,
+            includeLayout,
+          });
+          await batches.appendEntry(batchId, { entry, filename, jobId, error: null });
+        },
+      });
+      if (expanded.length === 0 && batch.entries.length === 0) {
+        throw new FileError('ZIP archive contains no files', 'INVALID_ARCHIVE');
+      }
+
+      const updated = await batches.update(batchId, { status: 'expanded' }, { ifStatusIn: ['expanding'] });
+      if (!updated) {
+        logger.info({ correlationId, uploadId, batchId, message: 'OCR batch cancelled while expanding' });
+        return;
+      }
+      logger.info({
+        correlationId,
+        uploadId,
+        batchId,
+        jobs: updated.entries.filter(item => item.jobId).length,
+        rejected: updated.entries.filter(item => !item.jobId).length,
+        message: 'OCR batch expanded',
+      });
+    } catch (error) {
+      const failed = await batches.update(batchId, {
+        status: 'failed',
+        error: { code: error.code || 'PROCESSING_ERROR', message: error.message, details: error.details },
+      }, { ifStatusIn: ['expanding'] });
+      if (!failed) {
+        logger.info({ correlationId, uploadId, batchId, message: 'OCR batch cancelled while expanding' });
+        return;
+      }
+      logger.warn({
+        correlationId,
+        uploadId,
+        batchId,
+        code: error.code,
+        error: error.message,
+        message: 'OCR batch failed',
+      });
+    }
+  }
+
+  /**
+   * Cancel the batches of an upload whose archive is still being expanded,
+   * so no more of its entries are queued. Resolves with the IDs cancelled.
+   */
+  static async cancelBatches(uploadId, correlationId) {
+    const batches = getRepositories().batches;
+    const cancelled = [];
+
+    for (const batch of await batches.list()) {
+      if (batch.uploadId !== uploadId || batch.status !== 'expanding') {
+        continue;
+      }
+
+      const updated = await batches.update(batch.batchId, {
+        status: 'cancelled',
+        cancelledAt: new Date().toISOString(),
+      }, { ifStatusIn: ['expanding'] });
+      if (updated) {
+        // A batch job that has not started yet never needs to run
+        await getJobQueue().remove(batch.batchId);
+        cancelled.push(batch.batchId);
+      }
+    }
+
+    if (cancelled.length > 0) {
+      logger.info({ correlationId, uploadId, batchIds: cancelled, message: 'OCR batches cancelled' });
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * Upload IDs of batches whose archive is still being expanded
+   */
+  static async getExpandingUploadIds() {
+    const batches = await getRepositories().batches.list();
+    return new Set(batches.filter(batch => batch.status === 'expanding').map(batch => batch.uploadId));
+  }
+
+  /**
+   * Status of a batch gathered from its jobs, or null for an unknown
+   * batch. The batch is expanding until every entry of its archive is
+   * queued, active while any job is pending or active, then completed when
+   * at least one job completed and failed otherwise. A batch whose archive
+   * was rejected is failed, with the error; one stopped by aborting its
+   * upload is cancelled. Progress counts rejected
+   * entries and finished jobs as done.
+   */
+  static async getBatchStatus(batchId) {
+    const batch = await getRepositories().batches.get(batchId);
+    if (!batch) {
+      return null;
+    }
+
+    const jobs = await Promise.all(batch.entries.map(async ({ entry, filename, jobId, error }) => {
+      if (!jobId) {
+        return { entry, filename, jobId, status: 'rejected', progress: 1, completedAt: null, result: null, error };
+      }
+
+      // Jobs removed by maintenance are reported as expired
+      const job = await ocrService.getJobStatus(jobId);
+      if (!job) {
+        return { entry, filename, jobId, status: 'expired', progress: 1, completedAt: null, result: null, error: null };
+      }
+
+      return {
+        entry,
+        filename,
+        jobId,
+        status: job.status,
+        progress: FINAL_STATUSES.includes(job.status) ? 1 : job.progress,
+        stage: job.stage,
+        completedAt: job.completedAt,
+        result: job.result,
+        error: job.error,
+      };
+    }));
+
+    const counts = { total: jobs.length };
+    for (const status of ['pending', 'active', 'completed', 'failed', 'cancelled', 'rejected', 'expired']) {
+      counts[status] = jobs.filter(job => job.status === status).length;
+    }
+
+    const expanding = batch.status === 'expanding';
+    const running = expanding || counts.pending + counts.active > 0;
+    let status;
+    if (expanding) {
+      status = 'expanding';
+    } else if (batch.status === 'failed' || batch.status === 'cancelled') {
+      status = batch.status;
+    } else if (running) {
+      status = counts.active > 0 || jobs.some(job => job.progress > 0) ? 'active' : 'pending';
+    } else {
+      status = counts.completed > 0 ? 'completed' : 'failed';
+    }
+
+    const completedAt = running
+      ? null
+      : jobs.map(job => job.completedAt).filter(Boolean).sort().pop() || batch.createdAt;
+
+    // The number of entries is only known once the archive is expanded
+    let progress = expanding ? 0 : 1;
+    if (!expanding && jobs.length > 0) {
+      progress = Math.round(jobs.reduce((sum, job) => sum + job.progress, 0) / jobs.length * 100) / 100;
+    }
+
+    return {
+      batchId,
+      uploadId: batch.uploadId,
+      filename: batch.filename,
+      status,
+      progress,
+      counts,
+      createdAt: batch.createdAt,
+      completedAt,
+      error: batch.error || null,
+      jobs,
+    };
+  }
+
+  /**
+   * Delete batches older than maxAge that are not being expanded and none
+   * of whose jobs are still pending or active. Resolves with the number
+   * removed.
+   */
+  static async pruneBatches(maxAge, now = Date.now()) {
+    const batches = getRepositories().batches;
+    let removed = 0;
+
+    for (const batch of await batches.list()) {
+      if (now - new Date(batch.createdAt).getTime() <= maxAge) {
+        continue;
+      }
+
+      // A batch left expanding by a job the queue no longer holds is dropped
+      if (batch.status === 'expanding') {
+        const queued = await getJobQueue().getState(batch.batchId);
+        if (queued && ['waiting', 'delayed', 'active'].includes(queued.state)) {
+          continue;
+        }
+      }
+
+      const jobs = await Promise.all(batch.entries
+        .filter(entry => entry.jobId)
+        .map(entry => getRepositories().jobs.get(entry.jobId)));
+      if (jobs.some(job => job && !FINAL_STATUSES.includes(job.status))) {
+        continue;
+      }
+
+      await batches.delete(batch.batchId);
+      removed += 1;
+    }
+
+    return removed;
+  }
+}
+
+module.exports = BatchService;
@@ -0,0 +1,196 @@
+// src/services/duplicateDetectionService.js
+const sharp = require('sharp');
+const config = require('../config');
+const { getRepositories } = require('../repositories');
+const { logger } = require('../utils/logger');
+
+const HASH_BITS = 64;
+
+class DuplicateDetectionService {
+  /**
+   * Compute a 64-bit difference hash (dHash) of an image as 16 hex chars.
+   * Robust to re-encoding, scaling and small lighting changes.
+   */
+  static async computePerceptualHash(imagePath) {
+    const pixels = await sharp(imagePath)
+      .grayscale()
+      .resize(9, 8, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    let hash = 0n;
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        const left = pixels[row * 9 + col];
+        const right = pixels[row * 9 + col + 1];
+        hash = (hash << 1n) | (left < right ? 1n : 0n);
+      }
+    }
+
+    return hash.toString(16).padStart(HASH_BITS / 4, '0');
+  }
+
+  /**
+   * Number of differing bits between two hex hashes
+   */
+  static hammingDistance(hashA, hashB) {
+    let diff = BigInt(`0x${hashA}`) ^ BigInt(`0x${hashB}`);
+    let distance = 0;
+
+    while (diff) {
+      distance += Number(diff & 1n);
+      diff >>= 1n;
+    }
+
+    return distance;
+  }
+
+  /**
+   * Normalize the classified vendor, date and amount so the same receipt
+   * read twice produces the same fingerprint
+   */
+  static computeFieldFingerprint(classification) {
+    if (!classification) {
+      return null;
+    }
+
+    const vendor = (classification.vendorName || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, '');
+    const amount = classification.amount
+      ? Math.round(parseFloat(String(classification.amount).replace(/[$,\s]/g, '')) * 100)
+      : NaN;
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(classification.date || '') ? classification.date : null;
+
+    const fingerprint = {
+      vendor: vendor && vendor !== 'unknownvendor' ? vendor : null,
+      date,
+      amount: Number.isFinite(amount) && amount > 0 ? amount : null,
+    };
+
+    // An amount plus one other field is the least that identifies a receipt
+    if (!fingerprint.amount || (!fingerprint.vendor && !fingerprint.date)) {
+      return null;
+    }
+
+    return fingerprint;
+  }
+
+  /**
+   * Share of fingerprint fields (vendor, date, amount) that match
+   */
+  static fieldSimilarity(fingerprintA, fingerprintB) {
+    if (!fingerprintA || !fingerprintB) {
+      return 0;
+    }
+
+    const fields = ['vendor', 'date', 'amount'];
+    const matches = fields.filter(field =>
+      fingerprintA[field] !== null && fingerprintA[field] === fingerprintB[field]
+    ).length;
+
+    return matches / fields.length;
+  }
+
+  /**
+   * Find earlier receipts that look like the same document. Matches on the
+   * image hash (within the configured similarity) or on every classified field.
+   */
+  static async findDuplicates({ jobId, perceptualHash, fingerprint }) {
+    const { imageSimilarityThreshold, maxMatches } = config.duplicates;
+    const matches = [];
+
+    for (const entry of await getRepositories().receipts.list()) {
+      if (entry.jobId === jobId) {
+        continue;
+      }
+
+      const imageSimilarity = perceptualHash && entry.perceptualHash
+        ? 1 - this.hammingDistance(perceptualHash, entry.perceptualHash) / HASH_BITS
+        : 0;
+      const fieldSimilarity = this.fieldSimilarity(fingerprint, entry.fingerprint);
+
+      const matchedOn = [];
+      if (imageSimilarity >= imageSimilarityThreshold) {
+        matchedOn.push('image');
+      }
+      if (fieldSimilarity === 1) {
+        matchedOn.push('fields');
+      }
+
+      if (matchedOn.length > 0) {
+        matches.push({
+          jobId: entry.jobId,
+          similarity: Number(Math.max(imageSimilarity, fieldSimilarity).toFixed(3)),
+          imageSimilarity: Number(imageSimilarity.toFixed(3)),
+          fieldSimilarity: Number(fieldSimilarity.toFixed(3)),
+          matchedOn,
+          recordedAt: entry.recordedAt,
+        });
+      }
+    }
+
+    return matches
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, maxMatches);
+  }
+
+  /**
+   * Remember a processed receipt so later jobs can be compared against it
+   */
+  static async recordReceipt({ jobId, uploadId, perceptualHash, fingerprint }) {
+    await getRepositories().receipts.record({
+      jobId,
+      uploadId,
+      perceptualHash,
+      fingerprint,
+      recordedAt: new Date().toISOString(),
+    });
+
+    await this.pruneIndex();
+  }
+
+  /**
+   * Drop entries past the retention window or over the size cap
+   */
+  static async pruneIndex() {
+    const { retentionDays, maxEntries } = config.duplicates;
+
+    return getRepositories().receipts.prune({
+      recordedBefore: Date.now() - retentionDays * 24 * 60 * 60 * 1000,
+      maxEntries,
+    });
+  }
+
+  /**
+   * Check a finished job against earlier receipts and record it
+   */
+  static async checkAndRecord({ jobId, uploadId, correlationId, perceptualHash, classification }) {
+    const fingerprint = this.computeFieldFingerprint(classification);
+    const possibleDuplicates = await this.findDuplicates({ jobId, perceptualHash, fingerprint });
+
+    await this.recordReceipt({ jobId, uploadId, perceptualHash, fingerprint });
+
+    if (possibleDuplicates.length > 0) {
+      logger.warn({
+        correlationId,
+        jobId,
+        matches: possibleDuplicates.map(match => match.jobId),
+        message: 'Possible duplicate receipt detected',
+      });
+    }
+
+    return possibleDuplicates;
+  }
+
+  /**
+   * Get duplicate index statistics
+   */
+  static async getStats() {
+    return {
+      indexedReceipts: await getRepositories().receipts.count(),
+    };
+  }
+}
+
+module.exports = DuplicateDetectionService;
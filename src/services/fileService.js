@@ -1,12 +1,56 @@
 // src/services/fileService.js
-const fs = require('fs').promises;
-const path = require('path');
+const { Readable, Transform, pipeline } = require('stream');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const { getStorage } = require('../storage');
+const { getRepositories } = require('../repositories');
+const { AppError, FileError } = require('../middleware/errorHandler');
+const { UPLOAD_STATES, sourceStates, assertTransition } = require('./uploadStateMachine');
 const {logger} = require('../utils/logger');
 
-// In-memory session storage (use Redis in production)
-const uploadSessions = new Map();
-const sessionChunks = new Map();
+// Incremental assembly state per upload: partial object, running digest and
+// the path of each appended chunk. Work on it is serialized per upload.
+// Chunk paths, the partial object and combined files are storage keys.
+// This is a per-process optimization; sessions and chunks themselves live
+// in the session repository.
+const assemblies = new Map();
+const assemblyLocks = new Map();
+
+// Partial files are named per process so processes sharing a disk never
+// append to each other's partial file
+const INSTANCE_ID = uuidv4();
+
+/**
+ * Storage keys of an upload's combined file, or of each of its parts', and
+ * of the files expanded from it when it is a ZIP archive
+ */
+function combinedKeys(session) {
+  return [
+    session.combinedPath,
+    ...(session.parts || []).map(part => part.combinedPath),
+    ...(session.entries || []).map(entry => entry.combinedPath),
+  ].filter(Boolean);
+}
+
+/**
+ * Throw a 404 for a session that does not exist
+ */
+function sessionNotFound() {
+  return new AppError('Upload session not found', 404, 'RESOURCE_NOT_FOUND');
+}
+
+/**
+ * Throw a 409 for a session that no longer accepts data
+ */
+function sessionClosed(uploadId, session, what) {
+  return new AppError(
+    `Upload session is ${session.status} and no longer accepts ${what}`,
+    409,
+    'INVALID_SESSION_STATE',
+    true,
+    { uploadId, status: session.status }
+  );
+}
 
 class FileService {
   /**
@@ -14,19 +58,14 @@ class FileService {
    */
   static async createUploadSession(uploadId, sessionData) {
     try {
-      // Ensure temp directory exists
-      await this.ensureDirectoryExists('temp');
-      await this.ensureDirectoryExists('uploads');
+      await getStorage().ensureReady();
 
-      const session = {
+      const session = await getRepositories().sessions.create({
         uploadId,
         ...sessionData,
-        chunks: [],
+        status: UPLOAD_STATES.UPLOADING,
         createdAt: new Date().toISOString(),
-      };
-
-      uploadSessions.set(uploadId, session);
-      sessionChunks.set(uploadId, []);
+      });
 
       logger.info({ 
         uploadId, 
@@ -45,29 +84,59 @@ class FileService {
     }
   }
 
+  /**
+   * Create a single-chunk upload session from an in-memory file and
+   * assemble it right away. Used by endpoints that receive the whole image
+   * in one request.
+   */
+  static async ingestBuffer(uploadId, buffer, sessionData) {
+    await this.createUploadSession(uploadId, {
+      ...sessionData,
+      fileSize: buffer.length,
+      chunkSize: buffer.length,
+      maxChunks: 1,
+      receivedChunks: 0,
+    });
+
+    const chunkPath = `temp/${uploadId}-chunk-0-${uuidv4()}`;
+    await getStorage().write(chunkPath, buffer);
+
+    await this.addChunk(uploadId, {
+      index: 0,
+      path: chunkPath,
+      size: buffer.length,
+      checksum: crypto.createHash('sha256').update(buffer).digest('hex'),
+    });
+
+    return this.finalizeUpload(uploadId);
+  }
+
   /**
    * Get upload session data
    */
   static async getUploadSession(uploadId) {
-    return uploadSessions.get(uploadId) || null;
+    return getRepositories().sessions.get(uploadId);
   }
 
   /**
-   * Update upload session
+   * Update upload session (status changes go through transitionSession)
    */
   static async updateUploadSession(uploadId, updates) {
-    const session = uploadSessions.get(uploadId);
-    if (!session) {
-      throw new Error('Upload session not found');
+    const { status, ...fields } = updates;
+    const sessions = getRepositories().sessions;
+
+    if (status !== undefined && status !== (await sessions.get(uploadId))?.status) {
+      throw new Error('Upload session status must be changed with transitionSession');
     }
 
-    const updatedSession = {
-      ...session,
-      ...updates,
+    const updatedSession = await sessions.update(uploadId, {
+      ...fields,
       updatedAt: new Date().toISOString(),
-    };
+    });
 
-    uploadSessions.set(uploadId, updatedSession);
+    if (!updatedSession) {
+      throw new Error('Upload session not found');
+    }
     
     logger.info({ 
       uploadId, 
@@ -79,43 +148,302 @@ class FileService {
   }
 
   /**
-   * Add a chunk to the upload session
+   * Append items to an array field of an upload session (job IDs, batch
+   * entries) atomically, so concurrent appends are all kept. Only completed
+   * sessions take new work: an aborted upload is refused with a 409.
+   */
+  static async appendToUploadSession(uploadId, field, items) {
+    const sessions = getRepositories().sessions;
+
+    const updatedSession = await sessions.append(uploadId, field, items, { requiredState: UPLOAD_STATES.COMPLETED });
+    if (!updatedSession) {
+      const session = await sessions.get(uploadId);
+      throw session ? sessionClosed(uploadId, session, 'OCR jobs') : sessionNotFound();
+    }
+    await sessions.update(uploadId, { updatedAt: new Date().toISOString() });
+
+    logger.info({
+      uploadId,
+      field,
+      count: items.length,
+      message: 'Upload session appended to'
+    });
+
+    return updatedSession;
+  }
+
+  /**
+   * Move an upload session to a new state. The repository checks the
+   * current state and writes the new one atomically, so concurrent callers
+   * cannot both win a transition.
+   */
+  static async transitionSession(uploadId, toState, updates = {}) {
+    const { applied, session } = await getRepositories().sessions.transition(
+      uploadId,
+      sourceStates(toState),
+      toState,
+      { ...updates, updatedAt: new Date().toISOString() }
+    );
+
+    if (!session) {
+      throw sessionNotFound();
+    }
+
+    if (!applied) {
+      assertTransition(uploadId, session.status, toState);
+    }
+
+    logger.info({
+      uploadId,
+      to: toState,
+      message: 'Upload session state changed',
+    });
+
+    return session;
+  }
+
+  /**
+   * Add a chunk to the upload session. Chunks are keyed by index: resending
+   * identical data is a no-op and resending different data replaces the
+   * earlier copy.
    */
   static async addChunk(uploadId, chunkData) {
-    const chunks = sessionChunks.get(uploadId) || [];
-    
+    const sessions = getRepositories().sessions;
+    const session = await sessions.get(uploadId);
+    if (!session) {
+      throw sessionNotFound();
+    }
+
+    if (session.status !== UPLOAD_STATES.UPLOADING) {
+      throw sessionClosed(uploadId, session, 'chunks');
+    }
+
+    const { totalChunks, ...chunkFields } = chunkData;
+
+    if (totalChunks !== undefined && totalChunks !== session.maxChunks) {
+      throw new FileError('Total chunk count does not match upload session', 'CHUNK_COUNT_MISMATCH', {
+        expected: session.maxChunks,
+        received: totalChunks,
+      });
+    }
+
+    if (chunkFields.index < 0 || chunkFields.index >= session.maxChunks) {
+      throw new FileError('Chunk index is out of range', 'INVALID_CHUNK_INDEX', {
+        chunkIndex: chunkFields.index,
+        maxChunks: session.maxChunks,
+      });
+    }
+
     // Add chunk with metadata
+    const receivedAt = new Date().toISOString();
     const chunk = {
-      ...chunkData,
-      receivedAt: new Date().toISOString(),
+      ...chunkFields,
+      receivedAt,
     };
 
-    chunks.push(chunk);
-    sessionChunks.set(uploadId, chunks);
+    // The session may have been closed since it was read; the repository
+    // re-checks the state while storing the chunk
+    const { result, session: updatedSession, previous } = await sessions.addChunk(uploadId, chunk, {
+      requiredState: UPLOAD_STATES.UPLOADING,
+      receivedAt,
+    });
+
+    if (result === 'missing') {
+      throw sessionNotFound();
+    }
+    if (result === 'invalid_state') {
+      throw sessionClosed(uploadId, updatedSession, 'chunks');
+    }
+
+    const duplicate = result === 'duplicate';
+
+    // Drop whichever copy of the chunk lost, unless both copies share a path
+    const supersededPath = duplicate ? chunk.path : previous?.path;
+    if (supersededPath && previous.path !== chunk.path) {
+      await getStorage().delete(supersededPath).catch(err => {
+        logger.warn({
+          uploadId,
+          chunkPath: supersededPath,
+          error: err.message,
+          message: 'Failed to delete superseded chunk file',
+        });
+      });
+    }
 
-    // Update session
-    const session = uploadSessions.get(uploadId);
-    if (session) {
-      session.receivedChunks = chunks.length;
-      session.lastChunkAt = new Date().toISOString();
-      uploadSessions.set(uploadId, session);
+    // Parts are assembled into files of their own once all have arrived
+    if (!duplicate && !session.parts) {
+      this.scheduleIncrementalAssembly(uploadId);
     }
 
     logger.info({ 
       uploadId, 
-      chunkIndex: chunkData.index,
-      totalReceived: chunks.length,
+      chunkIndex: chunk.index,
+      totalReceived: updatedSession.receivedChunks,
+      duplicate,
+      replaced: result === 'replaced',
       message: 'Chunk added' 
     });
 
+    return { ...(duplicate ? previous : chunk), duplicate };
+  }
+
+  /**
+   * Append a chunk at a byte offset, for protocols (tus) that stream data
+   * sequentially instead of sending numbered chunks. The chunk count is
+   * only fixed once the declared length has been received.
+   */
+  static async appendChunk(uploadId, { offset, ...chunkData }) {
+    const sessions = getRepositories().sessions;
+    const session = await sessions.get(uploadId);
+    if (!session) {
+      throw sessionNotFound();
+    }
+
+    if (session.status !== UPLOAD_STATES.UPLOADING) {
+      throw sessionClosed(uploadId, session, 'data');
+    }
+
+    const currentOffset = session.uploadOffset || 0;
+    if (offset !== currentOffset) {
+      throw new AppError('Upload offset does not match', 409, 'UPLOAD_OFFSET_MISMATCH', true, {
+        expected: currentOffset,
+        received: offset,
+      });
+    }
+
+    if (currentOffset + chunkData.size > session.fileSize) {
+      throw new FileError('Data exceeds declared upload length', 'FILE_TOO_LARGE', {
+        uploadLength: session.fileSize,
+      });
+    }
+
+    const receivedAt = new Date().toISOString();
+    const { result, session: updatedSession, chunk } = await sessions.appendChunk(
+      uploadId,
+      { ...chunkData, offset, receivedAt },
+      { offset, requiredState: UPLOAD_STATES.UPLOADING, receivedAt }
+    );
+
+    if (result === 'missing') {
+      throw sessionNotFound();
+    }
+    if (result === 'invalid_state') {
+      throw sessionClosed(uploadId, updatedSession, 'data');
+    }
+    if (result === 'offset_mismatch') {
+      throw new AppError('Upload offset does not match', 409, 'UPLOAD_OFFSET_MISMATCH', true, {
+        expected: updatedSession.uploadOffset || 0,
+        received: offset,
+      });
+    }
+
+    this.scheduleIncrementalAssembly(uploadId);
+
+    logger.info({
+      uploadId,
+      chunkIndex: chunk.index,
+      offset,
+      uploadOffset: updatedSession.uploadOffset,
+      message: 'Chunk appended',
+    });
+
     return chunk;
   }
 
+  /**
+   * Claim the session for assembly once every chunk has arrived. Returns
+   * false when chunks are still missing or another request already started
+   * assembling, so exactly one caller combines the chunks.
+   */
+  static async beginAssembly(uploadId) {
+    const claimed = await getRepositories().sessions.claimAssembly(
+      uploadId,
+      UPLOAD_STATES.UPLOADING,
+      UPLOAD_STATES.ASSEMBLING,
+      { updatedAt: new Date().toISOString() }
+    );
+
+    if (claimed) {
+      logger.info({
+        uploadId,
+        to: UPLOAD_STATES.ASSEMBLING,
+        message: 'Upload session state changed',
+      });
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Assemble a fully received upload and move it to completed (or failed).
+   * Returns the session when this call performed the assembly, null otherwise.
+   */
+  static async finalizeUpload(uploadId) {
+    if (!(await this.beginAssembly(uploadId))) {
+      return null;
+    }
+
+    let assembled = {};
+    try {
+      const session = await this.getUploadSession(uploadId);
+      assembled = session?.parts
+        ? { parts: await this.combineParts(uploadId) }
+        : { combinedPath: await this.combineChunks(uploadId) };
+
+      return await this.transitionSession(uploadId, UPLOAD_STATES.COMPLETED, {
+        ...assembled,
+        completedAt: new Date().toISOString(),
+      });
+    } catch (error) {
+      const session = await this.getUploadSession(uploadId);
+      if (session?.status === UPLOAD_STATES.ASSEMBLING) {
+        await this.transitionSession(uploadId, UPLOAD_STATES.FAILED, {
+          error: {
+            code: error.code || 'FILE_ERROR',
+            message: error.message,
+          },
+        });
+      } else {
+        // Aborted while assembling - nobody will ever read the combined files
+        for (const key of combinedKeys(assembled)) {
+          await getStorage().delete(key).catch(() => {});
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Abort an upload session: no further chunks are accepted and its files
+   * are deleted. The session itself stays behind as a tombstone so late
+   * chunks get a clear rejection; maintenance removes it later. Aborting an
+   * already aborted session is a no-op.
+   */
+  static async abortUpload(uploadId, { reason = 'Aborted by client' } = {}) {
+    const session = await this.getUploadSession(uploadId);
+    if (!session) {
+      throw sessionNotFound();
+    }
+
+    if (session.status === UPLOAD_STATES.ABORTED) {
+      return session;
+    }
+
+    const aborted = await this.transitionSession(uploadId, UPLOAD_STATES.ABORTED, {
+      abortedAt: new Date().toISOString(),
+      abortReason: reason,
+    });
+
+    await this.cleanup(uploadId, { keepSession: true });
+
+    return (await this.getUploadSession(uploadId)) || aborted;
+  }
+
   /**
    * Get number of received chunks
    */
   static async getChunkCount(uploadId) {
-    const chunks = sessionChunks.get(uploadId) || [];
+    const chunks = await getRepositories().sessions.getChunks(uploadId);
     return chunks.length;
   }
 
@@ -123,7 +451,57 @@ class FileService {
    * Get all chunks for an upload
    */
   static async getChunks(uploadId) {
-    return sessionChunks.get(uploadId) || [];
+    return getRepositories().sessions.getChunks(uploadId);
+  }
+
+  /**
+   * Build the resume manifest for an upload session: which chunk indices
+   * have landed, which are still missing and how many bytes were received.
+   */
+  static async getUploadManifest(uploadId) {
+    const session = await this.getUploadSession(uploadId);
+    if (!session) {
+      return null;
+    }
+
+    const chunks = await this.getChunks(uploadId);
+
+    // A chunk index counts once no matter how many times it was sent
+    const chunksByIndex = new Map();
+    for (const chunk of chunks) {
+      chunksByIndex.set(chunk.index, chunk);
+    }
+
+    const receivedIndices = Array.from(chunksByIndex.keys()).sort((a, b) => a - b);
+    const missingIndices = [];
+    for (let index = 0; index < session.maxChunks; index++) {
+      if (!chunksByIndex.has(index)) {
+        missingIndices.push(index);
+      }
+    }
+
+    const bytesReceived = Array.from(chunksByIndex.values())
+      .reduce((total, chunk) => total + chunk.size, 0);
+
+    return {
+      uploadId,
+      status: session.status,
+      filename: session.filename,
+      fileSize: session.fileSize,
+      chunkSize: session.chunkSize,
+      totalChunks: session.maxChunks,
+      // Chunk index range of each photo in a multi-part upload
+      parts: session.parts
+        ? session.parts.map(({ part, filename, fileSize, firstChunk, chunkCount }) => ({ part, filename, fileSize, firstChunk, chunkCount }))
+        : null,
+      receivedIndices,
+      missingIndices,
+      bytesReceived,
+      complete: session.status === UPLOAD_STATES.COMPLETED,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt || null,
+      lastChunkAt: session.lastChunkAt || null,
+    };
   }
 
   /**
@@ -131,102 +509,362 @@ class FileService {
    */
   static async combineChunks(uploadId) {
     try {
-      const chunks = sessionChunks.get(uploadId) || [];
-      const session = uploadSessions.get(uploadId);
+      const session = await this.getUploadSession(uploadId);
 
       if (!session) {
         throw new Error('Upload session not found');
       }
 
-      if (chunks.length === 0) {
-        throw new Error('No chunks found to combine');
-      }
+      return await this.withAssemblyLock(uploadId, async () => {
+        const chunks = await this.getChunks(uploadId);
 
-      // Sort chunks by index to ensure correct order
-      chunks.sort((a, b) => a.index - b.index);
+        if (chunks.length === 0) {
+          throw new Error('No chunks found to combine');
+        }
 
-      // Validate we have all chunks
-      const expectedChunks = session.maxChunks || chunks.length;
-      if (chunks.length !== expectedChunks) {
-        throw new Error(`Missing chunks. Expected: ${expectedChunks}, Received: ${chunks.length}`);
-      }
+        // Validate we have all chunks
+        const expectedChunks = session.maxChunks || chunks.length;
+        if (chunks.length !== expectedChunks) {
+          throw new Error(`Missing chunks. Expected: ${expectedChunks}, Received: ${chunks.length}`);
+        }
 
-      // Generate output filename
-      const outputFilename = `${uploadId}-${Date.now()}-${session.filename || 'upload.jpg'}`;
-      const outputPath = path.join('uploads', outputFilename);
+        // Generate output key
+        const outputPath = `uploads/${uploadId}-${Date.now()}-${session.filename || 'upload.jpg'}`;
+        const storage = getStorage();
 
-      logger.info({ 
+        logger.info({ 
+          uploadId, 
+          chunks: chunks.length,
+          alreadyAssembled: assemblies.get(uploadId)?.nextIndex || 0,
+          outputPath,
+          message: 'Combining chunks' 
+        });
+
+        // With append support most chunks were appended as they arrived and
+        // only the tail is left; otherwise stream every chunk in one pass
+        let checksum;
+        if (storage.supportsAppend) {
+          let assembly;
+          try {
+            await this.appendContiguousChunks(uploadId);
+            assembly = assemblies.get(uploadId);
+
+            if (!assembly || assembly.nextIndex !== expectedChunks) {
+              throw new Error(`Missing chunks. Expected: ${expectedChunks}, Assembled: ${assembly?.nextIndex || 0}`);
+            }
+
+            await storage.move(assembly.partialPath, outputPath);
+          } catch (error) {
+            await this.resetAssembly(uploadId);
+            throw error;
+          }
+          assemblies.delete(uploadId);
+          checksum = assembly.hash.digest('hex');
+        } else {
+          const hash = crypto.createHash('sha256');
+          await storage.write(outputPath, this.hashingStream(Readable.from(this.readChunks(chunks)), hash));
+          checksum = hash.digest('hex');
+        }
+
+        // Verify the combined file before anything downstream reads it
+        const stats = await storage.stat(outputPath);
+
+        try {
+          this.verifyCombinedFile(session, chunks, stats ? stats.size : 0, checksum);
+        } catch (error) {
+          await storage.delete(outputPath).catch(() => {});
+          throw error;
+        }
+
+        // Clean up chunk files once the combined file is known to be good
+        await this.deleteChunkFiles(uploadId, chunks);
+
+        logger.info({ 
+          uploadId, 
+          outputPath,
+          fileSize: stats?.size,
+          message: 'Chunks combined successfully' 
+        });
+
+        return outputPath;
+      });
+    } catch (error) {
+      logger.error({ 
         uploadId, 
-        chunks: chunks.length,
-        outputPath,
-        message: 'Combining chunks' 
+        error: error.message, 
+        message: 'Failed to combine chunks' 
       });
+      throw error;
+    }
+  }
+
+  /**
+   * Combine the chunks of a multi-part upload into one file per part. Each
+   * part owns a range of chunk indices and is checked against its own
+   * declared size and checksum. Resolves with the session's parts, each
+   * with the storage key of its file as combinedPath.
+   */
+  static async combineParts(uploadId) {
+    const session = await this.getUploadSession(uploadId);
+    if (!session) {
+      throw new Error('Upload session not found');
+    }
 
-      // Combine chunks by reading and writing in order
-      const writeStream = await fs.open(outputPath, 'w');
+    return this.withAssemblyLock(uploadId, async () => {
+      const storage = getStorage();
+      const chunks = await this.getChunks(uploadId);
+      if (chunks.length !== session.maxChunks) {
+        throw new Error(`Missing chunks. Expected: ${session.maxChunks}, Received: ${chunks.length}`);
+      }
 
+      const parts = [];
       try {
-        for (const chunk of chunks) {
-          const chunkData = await fs.readFile(chunk.path);
-          await writeStream.write(chunkData);
-          
-          // Clean up chunk file
-          await fs.unlink(chunk.path).catch(err => {
-            logger.warn({ 
-              uploadId, 
-              chunkPath: chunk.path, 
-              error: err.message,
-              message: 'Failed to delete chunk file' 
-            });
-          });
+        for (const part of session.parts) {
+          const partChunks = chunks.filter(chunk =>
+            chunk.index >= part.firstChunk && chunk.index < part.firstChunk + part.chunkCount
+          );
+          const outputPath = `uploads/${uploadId}-${Date.now()}-part-${part.part}-${part.filename}`;
+          const hash = crypto.createHash('sha256');
+
+          await storage.write(outputPath, this.hashingStream(Readable.from(this.readChunks(partChunks)), hash));
+          parts.push({ ...part, combinedPath: outputPath });
+
+          const stats = await storage.stat(outputPath);
+          this.verifyCombinedFile(part, partChunks, stats ? stats.size : 0, hash.digest('hex'));
         }
-      } finally {
-        await writeStream.close();
+      } catch (error) {
+        for (const { combinedPath } of parts) {
+          await storage.delete(combinedPath).catch(() => {});
+        }
+        logger.error({
+          uploadId,
+          part: parts.length,
+          error: error.message,
+          message: 'Failed to combine upload parts',
+        });
+        throw error;
+      }
+
+      await this.deleteChunkFiles(uploadId, chunks);
+
+      logger.info({
+        uploadId,
+        parts: parts.length,
+        message: 'Upload parts combined successfully',
+      });
+
+      return parts;
+    });
+  }
+
+  /**
+   * Delete the files of chunks that have been combined
+   */
+  static async deleteChunkFiles(uploadId, chunks) {
+    for (const chunk of chunks) {
+      await getStorage().delete(chunk.path).catch(err => {
+        logger.warn({ 
+          uploadId, 
+          chunkPath: chunk.path, 
+          error: err.message,
+          message: 'Failed to delete chunk file' 
+        });
+      });
+    }
+  }
+
+  /**
+   * Serialize assembly work for one upload. Background appends and the
+   * final combine share this queue so they never write the partial file
+   * at the same time.
+   */
+  static withAssemblyLock(uploadId, task) {
+    const previous = assemblyLocks.get(uploadId) || Promise.resolve();
+    const run = previous.then(task);
+    const tail = run.catch(() => {});
+
+    assemblyLocks.set(uploadId, tail);
+    tail.then(() => {
+      if (assemblyLocks.get(uploadId) === tail) {
+        assemblyLocks.delete(uploadId);
       }
+    });
 
-      // Verify the combined file
-      const stats = await fs.stat(outputPath);
-      const expectedSize = chunks.reduce((total, chunk) => total + chunk.size, 0);
+    return run;
+  }
 
-      if (Math.abs(stats.size - expectedSize) > 1024) { // Allow 1KB difference
+  /**
+   * Append newly arrived contiguous chunks to the partial file in the
+   * background, so the final combine only has the tail left to copy.
+   * Skipped for storage that cannot append.
+   */
+  static scheduleIncrementalAssembly(uploadId) {
+    if (!getStorage().supportsAppend) {
+      return;
+    }
+
+    this.withAssemblyLock(uploadId, () => this.appendContiguousChunks(uploadId))
+      .catch(async (error) => {
         logger.warn({
           uploadId,
-          expectedSize,
-          actualSize: stats.size,
-          message: 'File size mismatch after combining chunks'
+          error: error.message,
+          message: 'Incremental assembly failed, will retry on combine',
         });
+        await this.withAssemblyLock(uploadId, () => this.resetAssembly(uploadId));
+      });
+  }
+
+  /**
+   * Stream every chunk that extends the contiguous prefix onto the partial
+   * file. Must run inside withAssemblyLock.
+   */
+  static async appendContiguousChunks(uploadId) {
+    let assembly = assemblies.get(uploadId);
+
+    // A chunk that was already appended has since been replaced - start over
+    if (assembly && (await this.isAssemblyStale(uploadId, assembly))) {
+      await this.resetAssembly(uploadId);
+      assembly = null;
+    }
+
+    for (;;) {
+      const chunks = await this.getChunks(uploadId);
+      const nextIndex = assembly ? assembly.nextIndex : 0;
+      const chunk = chunks.find(candidate => candidate.index === nextIndex);
+      if (!chunk) {
+        return;
       }
 
-      logger.info({ 
-        uploadId, 
-        outputPath,
-        fileSize: stats.size,
-        message: 'Chunks combined successfully' 
+      if (!assembly) {
+        assembly = {
+          partialPath: `uploads/${uploadId}-${INSTANCE_ID}.part`,
+          nextIndex: 0,
+          hash: crypto.createHash('sha256'),
+          appended: new Map(),
+        };
+        assemblies.set(uploadId, assembly);
+      }
+
+      const storage = getStorage();
+      await storage.write(
+        assembly.partialPath,
+        this.hashingStream(await storage.openReadStream(chunk.path), assembly.hash),
+        { append: assembly.nextIndex > 0 }
+      );
+
+      assembly.appended.set(chunk.index, chunk.path);
+      assembly.nextIndex += 1;
+    }
+  }
+
+  /**
+   * Pass a stream through unchanged while feeding it to a hash. Errors on
+   * the source are forwarded so the consumer fails instead of hanging.
+   */
+  static hashingStream(source, hash) {
+    return pipeline(
+      source,
+      new Transform({
+        transform(data, encoding, callback) {
+          hash.update(data);
+          callback(null, data);
+        },
+      }),
+      () => {}
+    );
+  }
+
+  /**
+   * Yield the contents of each chunk in order
+   */
+  static async *readChunks(chunks) {
+    const storage = getStorage();
+
+    for (const chunk of chunks) {
+      yield* await storage.openReadStream(chunk.path);
+    }
+  }
+
+  /**
+   * Check whether any appended chunk was replaced after it was written
+   */
+  static async isAssemblyStale(uploadId, assembly) {
+    const chunks = await this.getChunks(uploadId);
+
+    for (const [index, appendedPath] of assembly.appended) {
+      if (chunks.find(chunk => chunk.index === index)?.path !== appendedPath) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Discard the partial file and running digest for an upload
+   */
+  static async resetAssembly(uploadId) {
+    const assembly = assemblies.get(uploadId);
+    if (!assembly) {
+      return;
+    }
+
+    assemblies.delete(uploadId);
+    await getStorage().delete(assembly.partialPath).catch(() => {});
+  }
+
+  /**
+   * Check the combined file against the size and SHA-256 digest declared
+   * when the session was created. Per-chunk digests are included in the
+   * error so the client can work out which chunk to resend.
+   */
+  static verifyCombinedFile(session, chunks, actualSize, actualChecksum) {
+    if (session.fileSize && actualSize !== session.fileSize) {
+      throw new FileError('Combined file size does not match declared size', 'FILE_SIZE_MISMATCH', {
+        expectedSize: session.fileSize,
+        actualSize,
       });
+    }
 
-      return outputPath;
-    } catch (error) {
-      logger.error({ 
-        uploadId, 
-        error: error.message, 
-        message: 'Failed to combine chunks' 
+    if (session.checksum && actualChecksum !== session.checksum) {
+      throw new FileError('Combined file checksum does not match declared checksum', 'FILE_CHECKSUM_MISMATCH', {
+        expected: session.checksum,
+        actual: actualChecksum,
+        chunks: chunks.map(chunk => ({ index: chunk.index, checksum: chunk.checksum || null })),
       });
-      throw error;
     }
   }
 
   /**
-   * Clean up upload session and associated files
+   * Compute the hex encoded SHA-256 digest of a stored file
    */
-  static async cleanup(uploadId) {
+  static async computeChecksum(key) {
+    const hash = crypto.createHash('sha256');
+
+    for await (const data of await getStorage().openReadStream(key)) {
+      hash.update(data);
+    }
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * Clean up upload session and associated files. With keepSession the
+   * files are removed but the session record is kept (without its chunks).
+   */
+  static async cleanup(uploadId, { keepSession = false } = {}) {
     try {
-      const session = uploadSessions.get(uploadId);
-      const chunks = sessionChunks.get(uploadId) || [];
+      const sessions = getRepositories().sessions;
+      const session = await sessions.get(uploadId);
+      const chunks = await sessions.getChunks(uploadId);
+
+      // Drop any partial assembly once in-flight appends have settled
+      await this.withAssemblyLock(uploadId, () => this.resetAssembly(uploadId));
 
       // Clean up chunk files
       for (const chunk of chunks) {
         try {
-          await fs.unlink(chunk.path);
+          await getStorage().delete(chunk.path);
         } catch (err) {
           logger.warn({ 
             uploadId, 
@@ -237,14 +875,14 @@ class FileService {
         }
       }
 
-      // Clean up combined file if it exists
-      if (session?.combinedPath) {
+      // Clean up combined files if they exist
+      for (const combinedPath of session ? combinedKeys(session) : []) {
         try {
-          await fs.unlink(session.combinedPath);
+          await getStorage().delete(combinedPath);
         } catch (err) {
           logger.warn({ 
             uploadId, 
-            combinedPath: session.combinedPath,
+            combinedPath,
             error: err.message,
             message: 'Failed to delete combined file during cleanup' 
           });
@@ -252,11 +890,21 @@ class FileService {
       }
 
       // Remove from memory
-      uploadSessions.delete(uploadId);
-      sessionChunks.delete(uploadId);
+      if (keepSession) {
+        await sessions.clearChunks(uploadId);
+        await sessions.update(uploadId, {
+          combinedPath: null,
+          receivedChunks: 0,
+          ...(session?.parts && { parts: session.parts.map(({ combinedPath, ...part }) => part) }),
+          ...(session?.entries && { entries: [] }),
+        });
+      } else {
+        await sessions.delete(uploadId);
+      }
 
       logger.info({ 
         uploadId, 
+        keepSession,
         message: 'Upload session cleaned up' 
       });
 
@@ -272,66 +920,99 @@ class FileService {
   }
 
   /**
-   * Clean up old sessions (call periodically)
+   * Clean up sessions past their time-to-live. TTLs are in milliseconds per
+   * state and measured from the last activity on the session; sessions that
+   * are assembling, or listed in skip (still being processed), are left alone.
    */
-  static async cleanupOldSessions(maxAgeHours = 24) {
-    const cutoffTime = new Date(Date.now() - (maxAgeHours * 60 * 60 * 1000));
+  static async cleanupExpiredSessions(ttls, { now = Date.now(), skip = new Set() } = {}) {
+    const ttlByState = {
+      [UPLOAD_STATES.UPLOADING]: ttls.uploadingSession,
+      [UPLOAD_STATES.COMPLETED]: ttls.completedSession,
+      [UPLOAD_STATES.FAILED]: ttls.failedSession,
+      [UPLOAD_STATES.ABORTED]: ttls.failedSession,
+    };
     const sessionsToCleanup = [];
 
-    for (const [uploadId, session] of uploadSessions.entries()) {
-      const createdAt = new Date(session.createdAt);
-      if (createdAt < cutoffTime) {
+    for (const session of await getRepositories().sessions.list()) {
+      const { uploadId } = session;
+      const ttl = ttlByState[session.status];
+      if (ttl === undefined || skip.has(uploadId)) {
+        continue;
+      }
+
+      const lastActivity = Math.max(
+        ...[session.createdAt, session.lastChunkAt, session.updatedAt]
+          .filter(Boolean)
+          .map(timestamp => new Date(timestamp).getTime())
+      );
+      if (now - lastActivity > ttl) {
         sessionsToCleanup.push(uploadId);
       }
     }
 
-    logger.info({ 
-      count: sessionsToCleanup.length,
-      maxAgeHours,
-      message: 'Cleaning up old sessions' 
-    });
-
+    let cleaned = 0;
     for (const uploadId of sessionsToCleanup) {
       try {
         await this.cleanup(uploadId);
+        cleaned += 1;
       } catch (error) {
         logger.error({ 
           uploadId, 
           error: error.message,
-          message: 'Failed to cleanup old session' 
+          message: 'Failed to cleanup expired session' 
         });
       }
     }
 
-    return sessionsToCleanup.length;
+    if (cleaned > 0) {
+      logger.info({ 
+        count: cleaned,
+        message: 'Cleaned up expired sessions' 
+      });
+    }
+
+    return cleaned;
+  }
+
+  /**
+   * Storage keys that belong to a live session (chunks, partial assemblies
+   * and combined files). Anything else in storage is an orphan.
+   */
+  static async getReferencedKeys() {
+    const sessions = getRepositories().sessions;
+    const keys = new Set();
+
+    for (const session of await sessions.list()) {
+      for (const chunk of await sessions.getChunks(session.uploadId)) {
+        keys.add(chunk.path);
+      }
+      for (const key of combinedKeys(session)) {
+        keys.add(key);
+      }
+    }
+    for (const assembly of assemblies.values()) {
+      keys.add(assembly.partialPath);
+    }
+
+    return keys;
   }
 
   /**
    * Get session statistics
    */
-  static getStats() {
+  static async getStats() {
+    const sessions = await getRepositories().sessions.list();
+
     return {
-      activeSessions: uploadSessions.size,
-      totalChunks: Array.from(sessionChunks.values()).reduce((total, chunks) => total + chunks.length, 0),
-      oldestSession: Array.from(uploadSessions.values())
+      activeSessions: sessions.length,
+      totalChunks: sessions.reduce((total, session) => total + (session.receivedChunks || 0), 0),
+      oldestSession: sessions
         .reduce((oldest, session) => {
           const sessionTime = new Date(session.createdAt);
           return !oldest || sessionTime < oldest ? sessionTime : oldest;
         }, null),
     };
   }
-
-  /**
-   * Ensure directory exists
-   */
-  static async ensureDirectoryExists(dirPath) {
-    try {
-      await fs.access(dirPath);
-    } catch {
-      await fs.mkdir(dirPath, { recursive: true });
-      logger.info({ dirPath, message: 'Directory created' });
-    }
-  }
 }
 
 module.exports = FileService;
\ No newline at end of file
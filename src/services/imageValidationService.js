@@ -0,0 +1,504 @@
+// src/services/imageValidationService.js
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const config = require('../config');
+const { getStorage } = require('../storage');
+const { FileError } = require('../middleware/errorHandler');
+const PdfService = require('./pdfService');
+const { canDecode } = require('../utils/imageDecoding');
+const { logger } = require('../utils/logger');
+
+// Bytes read from each end of the file for signature and trailer checks
+const HEAD_BYTES = 64;
+const TAIL_BYTES = 64 * 1024;
+
+const JPEG_EOI = Buffer.from([0xFF, 0xD9]);
+const PNG_IEND = Buffer.from([0x00, 0x00, 0x00, 0x00, 0x49, 0x45, 0x4E, 0x44, 0xAE, 0x42, 0x60, 0x82]);
+const PDF_EOF = Buffer.from('%%EOF');
+const ZIP_END_OF_DIRECTORY = Buffer.from([0x50, 0x4B, 0x05, 0x06]);
+
+// Markup and scripts a polyglot file carries after its image data
+const SCRIPT_MARKERS = ['<?php', '<script', '<html'];
+
+// JPEG markers without a length: TEM and the restart markers
+const STANDALONE_JPEG_MARKERS = [0x01, 0xD0, 0xD1, 0xD2, 0xD3, 0xD4, 0xD5, 0xD6, 0xD7];
+const JPEG_SOS = 0xDA;
+
+// Major brands of HEIF files: HEVC stills and sequences, the generic
+// image brands, and AVIF
+const HEIF_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'hevm', 'hevs', 'mif1', 'msf1', 'avif', 'avis'];
+
+// Box types found at the top level of HEIF files; anything else ends them
+const HEIF_TOP_LEVEL_BOXES = ['ftyp', 'meta', 'mdat', 'moov', 'free', 'skip', 'uuid', 'wide', 'pdin', 'idat'];
+
+/**
+ * Supported formats, identified by their magic bytes (at magicOffset) and,
+ * for container formats, the brand that follows at byte 8. endMarker is
+ * what a complete file must end with; anything after it is rejected,
+ * except for JPEGs (see checkTrailer). Containers without an end marker declare their length instead: the
+ * RIFF header of WebP, the top-level boxes of HEIF.
+ */
+const FORMAT_SIGNATURES = [
+  {
+    format: 'jpeg',
+    mimeType: 'image/jpeg',
+    magic: Buffer.from([0xFF, 0xD8, 0xFF]),
+    endMarker: JPEG_EOI,
+  },
+  {
+    format: 'png',
+    mimeType: 'image/png',
+    magic: Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    endMarker: PNG_IEND,
+  },
+  {
+    format: 'pdf',
+    mimeType: 'application/pdf',
+    magic: Buffer.from('%PDF-'),
+    endMarker: PDF_EOF,
+  },
+  {
+    format: 'webp',
+    mimeType: 'image/webp',
+    magic: Buffer.from('RIFF'),
+    brands: ['WEBP'],
+    container: 'riff',
+  },
+  {
+    format: 'heif',
+    mimeType: 'image/heif',
+    magic: Buffer.from('ftyp'),
+    magicOffset: 4,
+    brands: HEIF_BRANDS,
+    container: 'isobmff',
+  },
+  // TIFF has neither an end marker nor a declared length: its pages can
+  // sit anywhere in the file
+  {
+    format: 'tiff',
+    mimeType: 'image/tiff',
+    magic: Buffer.from('II*\0', 'latin1'),
+  },
+  {
+    format: 'tiff',
+    mimeType: 'image/tiff',
+    magic: Buffer.from('MM\0*', 'latin1'),
+  },
+];
+
+// Offset of the WebP form type and the HEIF major brand
+const BRAND_OFFSET = 8;
+
+// Bytes allowed after the end marker: zero padding after JPEGs, line
+// breaks and spaces after a PDF's %%EOF
+const TRAILING_PADDING = {
+  jpeg: [0x00],
+  pdf: [0x00, 0x09, 0x0A, 0x0D, 0x20],
+};
+
+class ImageValidationService {
+  /**
+   * Identify the file format from its leading bytes, or null
+   */
+  static detectFormat(head) {
+    return FORMAT_SIGNATURES.find(({ magic, magicOffset = 0, brands }) => {
+      if (head.length < magicOffset + magic.length || !head.subarray(magicOffset, magicOffset + magic.length).equals(magic)) {
+        return false;
+      }
+      return !brands || brands.includes(head.toString('latin1', BRAND_OFFSET, BRAND_OFFSET + 4));
+    }) || null;
+  }
+
+  /**
+   * Check that the file ends exactly at the format's end marker. Data after
+   * it is how polyglot files (e.g. an image with a ZIP archive appended)
+   * are built; a missing marker means the file was cut short.
+   *
+   * Phones append data of their own to JPEGs: the video of a Pixel or
+   * Samsung motion photo, Samsung's metadata trailer. A JPEG is therefore
+   * only rejected for an appended archive or script, or when its image
+   * data does not reach an end marker.
+   */
+  static async checkTrailer(signature, filePath, tail, size) {
+    const padding = TRAILING_PADDING[signature.format] || [];
+    let end = tail.length;
+    while (end > 0 && padding.includes(tail[end - 1])) {
+      end -= 1;
+    }
+    const trimmed = tail.subarray(0, end);
+
+    if (trimmed.subarray(-signature.endMarker.length).equals(signature.endMarker)) {
+      return null;
+    }
+
+    if (this.hasAppendedPayload(tail)) {
+      return 'File contains data after the end of the image';
+    }
+
+    if (signature.format === 'jpeg') {
+      return (await this.findJpegEnd(filePath, size)) === null ? 'Image file is truncated' : null;
+    }
+
+    if (tail.includes(signature.endMarker)) {
+      return 'File contains data after the end of the image';
+    }
+
+    return 'Image file is truncated';
+  }
+
+  /**
+   * Whether the end of a file holds a ZIP archive or a script
+   */
+  static hasAppendedPayload(tail) {
+    if (tail.includes(ZIP_END_OF_DIRECTORY)) {
+      return true;
+    }
+
+    const text = tail.toString('latin1').toLowerCase();
+    return SCRIPT_MARKERS.some(marker => text.includes(marker));
+  }
+
+  /**
+   * Offset just past the end marker of a JPEG's primary image, found by
+   * walking its segments and entropy-coded scans, or null when the file
+   * ends first. Reads the file in blocks rather than loading it whole.
+   */
+  static async findJpegEnd(filePath, size) {
+    const handle = await fs.open(filePath, 'r');
+    const block = Buffer.alloc(TAIL_BYTES);
+    let blockStart = 0;
+    let blockLength = 0;
+
+    // Make bytes [offset, offset + count) available in block, if the file has them
+    const load = async (offset, count) => {
+      if (offset < blockStart || offset + count > blockStart + blockLength) {
+        blockStart = offset;
+        ({ bytesRead: blockLength } = await handle.read(block, 0, block.length, offset));
+      }
+      return offset + count <= blockStart + blockLength;
+    };
+
+    try {
+      // After the start of image marker
+      let offset = 2;
+      let inScan = false;
+
+      while (offset < size) {
+        if (!(await load(offset, 2))) {
+          return null;
+        }
+
+        if (inScan && block[offset - blockStart] !== 0xFF) {
+          // Skip entropy-coded data up to the next 0xFF in this block
+          const next = block.indexOf(0xFF, offset - blockStart);
+          offset = next === -1 || next >= blockLength ? blockStart + blockLength : blockStart + next;
+          continue;
+        }
+        if (block[offset - blockStart] !== 0xFF) {
+          return null;
+        }
+
+        const marker = block[offset - blockStart + 1];
+        if (marker === 0xFF) {
+          // Fill byte before a marker
+          offset += 1;
+        } else if (marker === 0xD9) {
+          return offset + 2;
+        } else if ((inScan && marker === 0x00) || STANDALONE_JPEG_MARKERS.includes(marker)) {
+          // A stuffed 0xFF data byte, or a marker without a segment
+          offset += 2;
+        } else {
+          if (!(await load(offset, 4))) {
+            return null;
+          }
+          offset += 2 + block.readUInt16BE(offset - blockStart + 2);
+          inScan = marker === JPEG_SOS;
+        }
+      }
+
+      return null;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Check that a container file is exactly as long as it declares, the
+   * counterpart of checkTrailer for formats without an end marker
+   */
+  static async checkDeclaredLength(signature, filePath, head, size) {
+    const length = signature.container === 'riff'
+      ? head.readUInt32LE(4) + 8
+      : await this.readBoxChainLength(filePath, size);
+
+    if (length === size) {
+      return null;
+    }
+
+    return length < size ? 'File contains data after the end of the image' : 'Image file is truncated';
+  }
+
+  /**
+   * Walk the top-level boxes of an ISO BMFF file (HEIF) and return the
+   * offset where they end: where the last one does, or where something
+   * that is not a HEIF box starts
+   */
+  static async readBoxChainLength(filePath, size) {
+    const handle = await fs.open(filePath, 'r');
+
+    try {
+      const header = Buffer.alloc(16);
+      let offset = 0;
+
+      while (offset + 8 <= size) {
+        const { bytesRead } = await handle.read(header, 0, header.length, offset);
+        if (!HEIF_TOP_LEVEL_BOXES.includes(header.toString('latin1', 4, 8))) {
+          return offset;
+        }
+
+        let boxSize = header.readUInt32BE(0);
+        if (boxSize === 0) {
+          // The last box may run to the end of the file
+          return size;
+        }
+        if (boxSize === 1) {
+          if (bytesRead < 16) {
+            return offset + 16;
+          }
+          boxSize = Number(header.readBigUInt64BE(8));
+        }
+        if (boxSize < 8) {
+          return offset;
+        }
+
+        offset += boxSize;
+      }
+
+      return offset;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Read the first and last bytes of a local file
+   */
+  static async readEdges(filePath) {
+    const handle = await fs.open(filePath, 'r');
+
+    try {
+      const { size } = await handle.stat();
+      const head = Buffer.alloc(Math.min(HEAD_BYTES, size));
+      const tail = Buffer.alloc(Math.min(TAIL_BYTES, size));
+
+      await handle.read(head, 0, head.length, 0);
+      await handle.read(tail, 0, tail.length, size - tail.length);
+
+      return { head, tail, size };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Validate an image file on local disk without decoding its pixels.
+   * Resolves with { format, mimeType, width, height, size }; PDFs and TIFFs
+   * add pageCount, and their size is that of the first (rendered) page.
+   */
+  static async validateFile(filePath) {
+    const { maxPixels, maxDimension } = config.ocr.validation;
+    const { head, tail, size } = await this.readEdges(filePath);
+
+    if (size === 0) {
+      throw new FileError('Uploaded file is empty', 'INVALID_FILE_TYPE');
+    }
+
+    const signature = this.detectFormat(head);
+    if (!signature) {
+      throw new FileError('File content is not a supported image format', 'INVALID_FILE_TYPE', {
+        supportedFormats: FORMAT_SIGNATURES.map(candidate => candidate.mimeType),
+      });
+    }
+
+    let trailerProblem = null;
+    if (signature.endMarker) {
+      trailerProblem = await this.checkTrailer(signature, filePath, tail, size);
+    } else if (signature.container) {
+      trailerProblem = await this.checkDeclaredLength(signature, filePath, head, size);
+    } else if (tail.includes(ZIP_END_OF_DIRECTORY)) {
+      trailerProblem = 'File contains data after the end of the image';
+    }
+    if (trailerProblem) {
+      throw new FileError(trailerProblem, 'INVALID_FILE_TYPE', { format: signature.format });
+    }
+
+    if (signature.format === 'pdf') {
+      return this.validatePdf(filePath, size);
+    }
+
+    // Reads the header only; pixel data is not decoded here
+    let metadata;
+    try {
+      metadata = await sharp(filePath, { limitInputPixels: false }).metadata();
+    } catch (error) {
+      throw new FileError('Image could not be read', 'INVALID_FILE_TYPE', {
+        format: signature.format,
+        reason: error.message,
+      });
+    }
+
+    if (metadata.format !== signature.format) {
+      throw new FileError('Image content does not match its file signature', 'INVALID_FILE_TYPE', {
+        signature: signature.format,
+        decodedAs: metadata.format,
+      });
+    }
+
+    if (!canDecode(metadata)) {
+      throw new FileError('No decoder is available for this image', 'UNSUPPORTED_IMAGE_CODEC', {
+        format: signature.format,
+        compression: metadata.compression,
+      });
+    }
+
+    const { width, height } = metadata;
+    if (!width || !height) {
+      throw new FileError('Image has no dimensions', 'INVALID_FILE_TYPE', { format: signature.format });
+    }
+
+    if (width > maxDimension || height > maxDimension || width * height > maxPixels) {
+      throw new FileError('Image dimensions exceed the allowed limit', 'FILE_TOO_LARGE', {
+        width,
+        height,
+        maxDimension,
+        maxPixels,
+      });
+    }
+
+    if (signature.format === 'tiff') {
+      return this.validateTiffPages(filePath, { mimeType: signature.mimeType, width, height, size }, metadata.pages || 1);
+    }
+
+    return {
+      format: signature.format,
+      mimeType: signature.mimeType,
+      width,
+      height,
+      size,
+    };
+  }
+
+  /**
+   * Check the page count of a TIFF and the size of every page after the
+   * first (already checked). Resolves with the first page's details plus
+   * pageCount.
+   */
+  static async validateTiffPages(filePath, firstPage, pageCount) {
+    const { maxPixels, maxDimension, maxPages } = config.ocr.validation;
+
+    if (pageCount > maxPages) {
+      throw new FileError('TIFF has too many pages', 'FILE_TOO_LARGE', { pageCount, maxPages });
+    }
+
+    for (let page = 1; page < pageCount; page++) {
+      const { width, height } = await sharp(filePath, { page, limitInputPixels: false }).metadata();
+      if (width > maxDimension || height > maxDimension || width * height > maxPixels) {
+        throw new FileError('TIFF page dimensions exceed the allowed limit', 'FILE_TOO_LARGE', {
+          page: page + 1,
+          width,
+          height,
+          maxDimension,
+          maxPixels,
+        });
+      }
+    }
+
+    return { format: 'tiff', ...firstPage, pageCount };
+  }
+
+  /**
+   * Check that a PDF parses and that its pages, rendered for OCR, stay
+   * within the page and image size limits
+   */
+  static async validatePdf(filePath, size) {
+    const { maxPixels, maxDimension, maxPages } = config.ocr.validation;
+    const { renderDpi } = config.ocr.pdf;
+
+    let doc;
+    try {
+      doc = await PdfService.open(filePath);
+    } catch (error) {
+      throw new FileError('PDF could not be read', 'INVALID_FILE_TYPE', {
+        format: 'pdf',
+        reason: error.message,
+      });
+    }
+
+    try {
+      if (doc.numPages > maxPages) {
+        throw new FileError('PDF has too many pages', 'FILE_TOO_LARGE', {
+          pageCount: doc.numPages,
+          maxPages,
+        });
+      }
+
+      const pages = await PdfService.getPageSizes(doc, renderDpi);
+      const oversized = pages.findIndex(({ width, height }) =>
+        width > maxDimension || height > maxDimension || width * height > maxPixels
+      );
+      if (oversized !== -1) {
+        throw new FileError('PDF page dimensions exceed the allowed limit', 'FILE_TOO_LARGE', {
+          page: oversized + 1,
+          ...pages[oversized],
+          maxDimension,
+          maxPixels,
+        });
+      }
+
+      return {
+        format: 'pdf',
+        mimeType: 'application/pdf',
+        width: pages[0].width,
+        height: pages[0].height,
+        pageCount: doc.numPages,
+        size,
+      };
+    } finally {
+      await PdfService.close(doc);
+    }
+  }
+
+  /**
+   * Validate a stored upload (combined file) before any OCR work starts
+   */
+  static async validateStoredImage(key, correlationId) {
+    const localFile = await getStorage().getLocalPath(key);
+
+    try {
+      const image = await this.validateFile(localFile.path);
+
+      logger.info({
+        correlationId,
+        key,
+        ...image,
+        message: 'Upload content validated',
+      });
+
+      return image;
+    } catch (error) {
+      logger.warn({
+        correlationId,
+        key,
+        code: error.code,
+        error: error.message,
+        details: error.details,
+        message: 'Upload content rejected',
+      });
+      throw error;
+    } finally {
+      await localFile.release();
+    }
+  }
+}
+
+module.exports = ImageValidationService;
@@ -0,0 +1,204 @@
+// src/services/maintenanceService.js
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const fileService = require('./fileService');
+const ocrService = require('./ocrService');
+const batchService = require('./batchService');
+const { getStorage } = require('../storage');
+const { logger } = require('../utils/logger');
+
+let timer = null;
+let currentRun = null;
+let lastRun = null;
+// Whether this process also prunes the state shared by every process
+let sharedState = true;
+
+// The one task that cleans up after this process rather than shared state
+const LOCAL_TASKS = ['scratchFiles'];
+
+class MaintenanceService {
+  /**
+   * Start running maintenance on the configured interval. Every process
+   * sweeps its own scratch directory; the jobs, batches, sessions and
+   * stored files every process shares are only pruned with sharedState,
+   * so one role takes care of them.
+   */
+  static start({ sharedState: includeSharedState = true } = {}) {
+    if (timer || !config.maintenance.enabled) {
+      return;
+    }
+    sharedState = includeSharedState;
+
+    timer = setInterval(() => {
+      this.runOnce().catch(() => {});
+    }, config.maintenance.intervalMs);
+    timer.unref();
+
+    logger.info({
+      intervalMs: config.maintenance.intervalMs,
+      message: 'Maintenance scheduler started',
+    });
+  }
+
+  /**
+   * Stop the scheduler and wait for a run in progress to finish
+   */
+  static async stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+      logger.info({ message: 'Maintenance scheduler stopped' });
+    }
+
+    if (currentRun) {
+      await currentRun.catch(() => {});
+    }
+  }
+
+  /**
+   * Run every maintenance task once. Overlapping calls share the run that
+   * is already in progress.
+   */
+  static runOnce() {
+    if (!currentRun) {
+      currentRun = this.performRun().finally(() => {
+        currentRun = null;
+      });
+    }
+    return currentRun;
+  }
+
+  static async performRun() {
+    const { ttl } = config.maintenance;
+    const startedAt = new Date();
+    const now = startedAt.getTime();
+    const removed = { sessions: 0, jobs: 0, staleJobs: 0, batches: 0, orphanedFiles: 0, scratchFiles: 0 };
+    const errors = [];
+
+    const tasks = [
+      ['jobs', async () => {
+        const { removed: jobs, timedOut } = await ocrService.pruneJobs(ttl, now);
+        removed.jobs = jobs;
+        removed.staleJobs = timedOut;
+      }],
+      ['batches', async () => {
+        removed.batches = await batchService.pruneBatches(ttl.finishedJob, now);
+      }],
+      ['sessions', async () => {
+        removed.sessions = await fileService.cleanupExpiredSessions(ttl, {
+          now,
+          skip: new Set([
+            ...await ocrService.getActiveUploadIds(),
+            ...await batchService.getExpandingUploadIds(),
+          ]),
+        });
+      }],
+      ['orphanedFiles', async () => {
+        removed.orphanedFiles = await this.sweepOrphanedFiles(ttl.orphanedFile, now);
+      }],
+      ['scratchFiles', async () => {
+        removed.scratchFiles = await this.sweepScratchDir(ttl.orphanedFile, now);
+      }],
+    ];
+
+    // One failing task should not keep the others from running
+    for (const [task, run] of tasks.filter(([task]) => sharedState || LOCAL_TASKS.includes(task))) {
+      try {
+        await run();
+      } catch (error) {
+        errors.push({ task, message: error.message });
+        logger.error({ task, error: error.message, message: 'Maintenance task failed' });
+      }
+    }
+
+    const finishedAt = new Date();
+    lastRun = {
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      removed,
+      errors,
+    };
+
+    logger.info({ ...lastRun, message: 'Maintenance run completed' });
+
+    return lastRun;
+  }
+
+  /**
+   * Delete stored chunks and uploads that no session references and that
+   * are older than maxAge. The age check keeps files that are still being
+   * written (e.g. a chunk multer has not handed over yet).
+   */
+  static async sweepOrphanedFiles(maxAge, now = Date.now()) {
+    const storage = getStorage();
+    let swept = 0;
+
+    for (const prefix of ['temp/', 'uploads/']) {
+      const objects = await storage.list(prefix);
+      // Read references after listing so files registered meanwhile are kept
+      const referenced = await fileService.getReferencedKeys();
+
+      for (const object of objects) {
+        if (referenced.has(object.key) || now - new Date(object.modifiedAt).getTime() <= maxAge) {
+          continue;
+        }
+
+        await storage.delete(object.key);
+        swept += 1;
+
+        logger.info({ key: object.key, size: object.size, message: 'Removed orphaned file' });
+      }
+    }
+
+    return swept;
+  }
+
+  /**
+   * Delete leftover local working copies (optimized images, downloaded
+   * uploads) older than maxAge
+   */
+  static async sweepScratchDir(maxAge, now = Date.now()) {
+    const { scratchDir } = config.storage;
+    let entries;
+
+    try {
+      entries = await fs.readdir(scratchDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+
+    let swept = 0;
+    for (const entry of entries.filter(candidate => candidate.isFile())) {
+      const filePath = path.join(scratchDir, entry.name);
+      const stats = await fs.stat(filePath).catch(() => null);
+
+      if (stats && now - stats.mtimeMs > maxAge) {
+        await fs.unlink(filePath).catch(() => {});
+        swept += 1;
+      }
+    }
+
+    return swept;
+  }
+
+  /**
+   * Scheduler state and the outcome of the last run
+   */
+  static getStatus() {
+    return {
+      enabled: config.maintenance.enabled,
+      scheduled: Boolean(timer),
+      running: Boolean(currentRun),
+      intervalMs: config.maintenance.intervalMs,
+      sharedState,
+      lastRun,
+    };
+  }
+}
+
+module.exports = MaintenanceService;
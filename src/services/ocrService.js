@@ -1,35 +1,98 @@
-// src/services/ocrService.js (No Redis Version - Fixed)
-const { createWorker } = require('tesseract.js');
+// src/services/ocrService.js
 const sharp = require('sharp');
 const fs = require('fs').promises;
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { getStorage } = require('../storage');
+const { getRepositories } = require('../repositories');
+const { getJobQueue } = require('../queues');
+const { AppError, ValidationError, OCRError } = require('../middleware/errorHandler');
+const { getEngine, getEngineStats, shutdownEngines, setEngine, isEngineAvailable, normalizeEngineOrder, ENGINE_NAMES, TesseractEngine } = require('../engines');
+const { normalizeLanguage } = require('../utils/ocrLanguages');
+const { openImage } = require('../utils/imageDecoding');
+const { stitchTexts } = require('../utils/textStitcher');
+const { toScore, buildLayout } = require('../utils/ocrLayout');
+const {
+  RECOGNITION_STRATEGIES,
+  DEFAULT_STRATEGY,
+  countKeyFields,
+  scoreCandidate,
+  needsAlternatives,
+} = require('../utils/ocrStrategies');
 const fileService = require('./fileService');
 const classificationService = require('./classificationService');
+const duplicateDetectionService = require('./duplicateDetectionService');
+const imageValidationService = require('./imageValidationService');
+const PdfService = require('./pdfService');
 const { logger } = require('../utils/logger');
 
-// In-memory job storage (replace with Redis later)
-const jobStatuses = new Map();
-let tesseractWorker = null;
+// Abort controllers of the jobs running in this process, by job ID
+const runningJobs = new Map();
+
+// Failures worth another attempt; anything else fails the job straight away
+const RETRYABLE_ERROR_CODES = new Set(['PROCESSING_ERROR', 'TIMEOUT']);
+
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Job status reported for each queue state
+const QUEUE_STATUSES = {
+  waiting: 'pending',
+  delayed: 'pending',
+  active: 'active',
+  completed: 'completed',
+  failed: 'failed',
+};
+
+// Convert to grayscale and normalize contrast for better OCR. 1-bit
+// (faxed) images are already black and white and only lose detail.
+const toGrayscale = (image, bilevel) => (bilevel ? image : image.grayscale().normalize());
+
+// Image preparations for OCR (see utils/ocrStrategies); standard is the
+// one every job starts with
+const PREPROCESSING = {
+  standard: (image, bilevel) => toGrayscale(image
+    .resize(2048, 2048, { fit: 'inside', withoutEnlargement: true }), bilevel)
+    .sharpen({ sigma: 1 }), // Slight sharpening
+  // Black and white only, for faded thermal paper
+  threshold: (image, bilevel) => toGrayscale(image
+    .resize(2048, 2048, { fit: 'inside', withoutEnlargement: true }), bilevel)
+    .threshold(160),
+  // Small print on narrow receipts gets more pixels per character
+  'high-resolution': (image, bilevel) => toGrayscale(image
+    .resize(4096, 4096, { fit: 'inside' }), bilevel)
+    .sharpen({ sigma: 1 }),
+};
+
+// Formats whose uploads can have several pages, each recognized on its own
+const MULTI_PAGE_FORMATS = ['pdf', 'tiff'];
+
+const jobCancelledError = () => new OCRError('Job cancelled by user', 'CANCELLED');
 
 class OCRService {
   /**
-   * Initialize the service (no Redis required)
+   * Initialize the service. Web-only processes just enqueue jobs; the OCR
+   * engines in config.ocr.engines and the queue worker only start when
+   * processJobs is set. createWorker replaces tesseract.js's (tests).
    */
-  static async initialize() {
+  static async initialize({ processJobs = true, createWorker } = {}) {
     try {
-      // Initialize Tesseract worker
-      tesseractWorker = await createWorker('eng', 1, {
-        logger: m => {
-          if (m.status === 'recognizing text') {
-            logger.debug({ 
-              progress: m.progress,
-              message: 'Tesseract progress' 
-            });
-          }
-        }
-      });
+      await getJobQueue().ensureReady();
 
-      logger.info({ message: 'OCR service initialized (in-memory mode)' });
+      if (!processJobs) {
+        logger.info({ message: 'OCR service initialized (enqueue only)', queue: config.queue.driver });
+        return;
+      }
+
+      // Engines a request asks for beyond these start on first use
+      if (createWorker) {
+        setEngine('tesseract', new TesseractEngine({ createWorker }));
+      }
+      await Promise.all(config.ocr.engines.map(name => getEngine(name)));
+
+      this.startWorker();
+
+      logger.info({ message: 'OCR service initialized', queue: config.queue.driver });
     } catch (error) {
       logger.error({ 
         error: error.message, 
@@ -40,57 +103,71 @@ class OCRService {
   }
 
   /**
-   * Start OCR processing (immediate processing, no queue)
+   * Take jobs off the queue. Final failures that happen outside the handler
+   * (a job that stalled too often) are recorded from the queue's events.
+   */
+  static startWorker() {
+    const queue = getJobQueue();
+
+    queue.on('stalled', (jobId) => {
+      logger.warn({ jobId, message: 'OCR job stalled and will be picked up again' });
+    });
+
+    queue.on('failed', async (jobId, error, { final }) => {
+      if (!final) {
+        return;
+      }
+
+      await getRepositories().jobs.update(jobId, {
+        status: 'failed',
+        completedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        error: {
+          code: this.getErrorCode(error),
+          message: error.message,
+        },
+      }, { ifStatusIn: ['pending', 'active'] }).catch((err) => {
+        logger.error({ jobId, error: err.message, message: 'Failed to record OCR job failure' });
+      });
+    });
+
+    queue.process(job => this.runQueuedJob(job), { concurrency: config.queue.concurrency });
+  }
+
+  /**
+   * Queue OCR processing for a completed upload
    */
-  static async startProcessing(uploadId, correlationId) {
+  static async startProcessing(uploadId, correlationId, options = {}) {
     try {
       const session = await fileService.getUploadSession(uploadId);
       if (!session) {
         throw new Error('Upload session not found');
       }
 
-      if (!session.combinedPath) {
+      const { language, engines, includeLayout } = this.resolveOptions(session, options);
+
+      if (!session.combinedPath && !session.parts?.every(part => part.combinedPath)) {
         throw new Error('No combined file found for upload session');
       }
 
-      const jobId = uuidv4();
-      
-      // Create initial job status
-      const jobStatus = {
-        jobId,
-        uploadId,
-        correlationId,
-        status: 'pending',
-        progress: 0,
-        stage: 'queued',
-        createdAt: new Date().toISOString(),
-        startedAt: null,
-        completedAt: null,
-        result: null,
-        error: null,
-      };
-
-      jobStatuses.set(jobId, jobStatus);
-
-      // Start processing immediately (no queue)
-      setImmediate(() => {
-        this.processImageJob({
-          jobId,
-          uploadId,
-          correlationId,
-          imagePath: session.combinedPath,
-          filename: session.filename,
-        });
-      });
+      // Reject files that are not really images, or too big to decode,
+      // before a job exists
+      const parts = session.parts ? await this.validateParts(session.parts, correlationId) : null;
+      const image = parts
+        ? parts[0].image
+        : await imageValidationService.validateStoredImage(session.combinedPath, correlationId);
 
-      logger.info({ 
-        jobId, 
-        uploadId, 
+      return await this.queueJob({
+        uploadId,
         correlationId,
-        message: 'OCR job started' 
+        imageKey: session.combinedPath || null,
+        filename: session.filename,
+        image,
+        language,
+        engines,
+        includeLayout,
+        parts,
       });
-
-      return jobId;
     } catch (error) {
       logger.error({ 
         uploadId, 
@@ -103,80 +180,307 @@ class OCRService {
   }
 
   /**
-   * Process image job (direct processing)
+   * Language, engine order and layout option of a job for an upload. A
+   * language passed here overrides the session's.
    */
-  static async processImageJob({ jobId, uploadId, correlationId, imagePath, filename }) {
+  static resolveOptions(session, {
+    language: requestedLanguage,
+    engine: requestedEngine,
+    includeLayout = false,
+  } = {}) {
+    const languageSpec = requestedLanguage || session.language || config.ocr.tesseract.language;
+    const language = normalizeLanguage(languageSpec);
+    if (!language) {
+      throw new ValidationError('Unsupported OCR language', {
+        language: languageSpec,
+        supported: config.ocr.tesseract.languages,
+      });
+    }
+
+    // Without an engine order of its own the job follows config.ocr.engines
+    let engines;
+    if (requestedEngine) {
+      engines = normalizeEngineOrder(requestedEngine);
+      if (!engines) {
+        throw new ValidationError('Unsupported OCR engine', {
+          engine: requestedEngine,
+          supported: ENGINE_NAMES,
+        });
+      }
+
+      // An engine without its configuration would only fail once the job runs
+      const unavailable = engines.filter(name => !isEngineAvailable(name));
+      if (unavailable.length > 0) {
+        throw new ValidationError('OCR engine is not configured', {
+          engine: unavailable,
+          available: ENGINE_NAMES.filter(isEngineAvailable),
+        });
+      }
+    }
+
+    return { language, engines, includeLayout };
+  }
+
+  /**
+   * Create and queue a job for a validated image (or the validated parts
+   * of a multi-part upload). Jobs of a batch carry its batchId. Resolves
+   * with the jobId; rejects, queueing nothing, once the upload is no longer
+   * completed (aborted, or gone).
+   */
+  static async queueJob({
+    uploadId,
+    correlationId,
+    batchId = null,
+    imageKey,
+    filename,
+    image,
+    language,
+    engines,
+    includeLayout,
+    parts = null,
+  }) {
+    const jobId = uuidv4();
+
+    // Create initial job status
+    const jobStatus = {
+      jobId,
+      uploadId,
+      ...(batchId && { batchId }),
+      correlationId,
+      image,
+      status: 'pending',
+      progress: 0,
+      stage: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+      result: null,
+      error: null,
+    };
+
+    await getRepositories().jobs.create(jobStatus);
+
+    // Remember the job on the session so aborting the upload can cancel it
+    try {
+      await fileService.appendToUploadSession(uploadId, 'jobIds', [jobId]);
+    } catch (error) {
+      await getRepositories().jobs.delete(jobId);
+      throw error;
+    }
+
+    await getJobQueue().add(jobId, {
+      jobId,
+      uploadId,
+      correlationId,
+      imageKey,
+      filename,
+      language,
+      engines,
+      includeLayout,
+      format: image.format,
+      // Parts are read like the pages of a document, with a deadline each
+      pageCount: parts ? parts.length : image.pageCount,
+      parts: parts
+        ? parts.map(({ part, imageKey: partKey, filename: partFilename, image: { width, height } }) => ({
+          part,
+          imageKey: partKey,
+          filename: partFilename,
+          width,
+          height,
+        }))
+        : undefined,
+    });
+
     logger.info({ 
       jobId, 
       uploadId, 
+      batchId: batchId || undefined,
       correlationId,
+      message: 'OCR job queued' 
+    });
+
+    return jobId;
+  }
+
+  /**
+   * Validate each part of a multi-part upload. Parts are photos: documents
+   * with pages of their own (PDF, TIFF) are rejected.
+   */
+  static async validateParts(sessionParts, correlationId) {
+    const parts = [];
+
+    for (const { part, combinedPath, filename } of sessionParts) {
+      const image = await imageValidationService.validateStoredImage(combinedPath, correlationId);
+      if (MULTI_PAGE_FORMATS.includes(image.format)) {
+        throw new ValidationError('Parts of a multi-part upload must be single images', {
+          part,
+          format: image.format,
+        });
+      }
+      parts.push({ part, imageKey: combinedPath, filename, image });
+    }
+
+    return parts;
+  }
+
+  /**
+   * Queue handler: run one attempt of a job unless it was cancelled while
+   * it waited. Batch jobs expand a ZIP upload into jobs of their own.
+   */
+  static async runQueuedJob(job) {
+    if (job.data.type === 'batch') {
+      // Required here: batchService queues its jobs through this module
+      await require('./batchService').runBatchJob(job.data);
+      return;
+    }
+
+    const record = await getRepositories().jobs.get(job.id);
+    if (!record || record.status === 'cancelled') {
+      logger.info({ jobId: job.id, message: 'Skipping OCR job that is gone or cancelled' });
+      return;
+    }
+
+    await this.processImageJob(job.data, job);
+  }
+
+  /**
+   * Process one attempt of an image job. imageKey is the storage key of the
+   * combined upload (parts lists one per photo of a multi-part upload); a
+   * local copy is used while the job runs. Errors are
+   * rethrown so the queue can retry; errors that cannot succeed on retry
+   * discard the job first.
+   *
+   * An attempt gets config.ocr.processing.timeout to finish, per page for
+   * PDFs and TIFFs and per part. Cancellation and the deadline are checked between stages; either
+   * one also aborts a running Tesseract recognition, replacing its worker.
+   */
+  static async processImageJob({
+    jobId,
+    uploadId,
+    correlationId,
+    imageKey,
+    filename,
+    language = config.ocr.tesseract.language,
+    engines = config.ocr.engines,
+    includeLayout = false,
+    format,
+    pageCount = 1,
+    parts,
+  }, job) {
+    logger.info({ 
+      jobId, 
+      uploadId, 
+      correlationId,
+      attempt: job.attemptsMade + 1,
       message: 'Starting OCR job processing' 
     });
 
+    const timeout = config.ocr.processing.timeout * pageCount;
+    const controller = new AbortController();
+    const { signal } = controller;
+    const deadline = setTimeout(() => {
+      controller.abort(new OCRError(`OCR job timed out after ${timeout} ms`, 'TIMEOUT', { timeout }));
+    }, timeout);
+    runningJobs.set(jobId, controller);
+
+    // A job cancelled while it ran keeps its cancelled status
+    const unfinished = { ifStatusIn: ['pending', 'active'] };
+
+    // Record progress, stopping here if the job was cancelled (possibly by
+    // another process) or ran out of time
+    const advance = async (updates) => {
+      signal.throwIfAborted();
+      const updated = await this.updateJobStatus(jobId, updates, unfinished);
+      if (!updated) {
+        controller.abort(jobCancelledError());
+        signal.throwIfAborted();
+      }
+    };
+
+    let localImage = null;
     try {
-      // Update job status
-      await this.updateJobStatus(jobId, {
+      await advance({
         status: 'active',
         startedAt: new Date().toISOString(),
       });
 
-      // Step 1: Optimize image (0-20%)
-      await this.updateJobStatus(jobId, {
-        stage: 'optimizing',
-        progress: 0.1,
-      });
-
-      const optimizedPath = await this.optimizeImageForOCR(imagePath, correlationId);
-      
-      await this.updateJobStatus(jobId, {
-        progress: 0.2,
-      });
-
-      // Step 2: Extract text with OCR (20-70%)
-      await this.updateJobStatus(jobId, {
-        stage: 'extracting',
-        progress: 0.3,
-      });
+      const context = { language, engines, includeLayout, signal, correlationId };
 
-      const extractedText = await this.extractTextFromImage(optimizedPath, correlationId, (progress) => {
-        const ocrProgress = 0.3 + (progress * 0.4);
-        this.updateJobStatus(jobId, { progress: ocrProgress });
-      });
+      let result;
+      let perceptualHash;
+      if (parts) {
+        ({ result, perceptualHash } = await this.recognizeParts(parts, context, advance));
+      } else if (MULTI_PAGE_FORMATS.includes(format)) {
+        localImage = await getStorage().getLocalPath(imageKey);
+        ({ result, perceptualHash } = await this.recognizeDocument(localImage.path, format, context, advance));
+      } else {
+        // Steps 1-3: optimize, extract, classify (0-90%)
+        localImage = await getStorage().getLocalPath(imageKey);
+        const { optimized, best, candidates } = await this.recognizePage(localImage.path, context, advance);
+        perceptualHash = optimized.perceptualHash;
 
-      await this.updateJobStatus(jobId, {
-        progress: 0.7,
-      });
+        // confidence is kept for existing clients and equals
+        // classificationConfidence; ocrConfidence is the engine's own score
+        result = {
+          extractedText: best.ocr.text,
+          confidence: best.classificationConfidence,
+          ocrConfidence: best.ocrConfidence,
+          classificationConfidence: best.classificationConfidence,
+          classification: best.classification.data,
+          engine: best.ocr.engine,
+          strategy: this.describeStrategy(best, candidates),
+        };
 
-      // Step 3: Classify receipt (70-90%)
-      await this.updateJobStatus(jobId, {
-        stage: 'classifying',
-        progress: 0.75,
-      });
-
-      const classification = await classificationService.classifyReceipt(extractedText, correlationId);
+        if (includeLayout) {
+          // Boxes refer to the uploaded image, not the downscaled OCR copy
+          const { image } = (await getRepositories().jobs.get(jobId)) || {};
+          result.layout = this.buildPageLayout(best, {
+            width: image?.width || optimized.width,
+            height: image?.height || optimized.height,
+          });
+        }
+      }
 
-      await this.updateJobStatus(jobId, {
-        progress: 0.9,
+      // Step 4: Finalize (90-100%)
+      const possibleDuplicates = await duplicateDetectionService.checkAndRecord({
+        jobId,
+        uploadId,
+        correlationId,
+        perceptualHash,
+        classification: result.classification,
       });
 
-      // Step 4: Finalize (90-100%)
-      const result = {
-        extractedText,
-        confidence: classification.confidence || 0.8,
-        classification: classification.data,
+      result = {
+        ...result,
+        isPossibleDuplicate: possibleDuplicates.length > 0,
+        possibleDuplicates,
         processedAt: new Date().toISOString(),
         filename,
+        language,
       };
 
-      await this.updateJobStatus(jobId, {
+      await advance({
         status: 'completed',
         progress: 1.0,
         completedAt: new Date().toISOString(),
         result,
+        error: null,
       });
 
       // Cleanup temporary files
-      await this.cleanupFiles([imagePath, optimizedPath]);
+      if (localImage) {
+        await localImage.release();
+        localImage = null;
+      }
+      for (const storedKey of parts ? parts.map(part => part.imageKey) : [imageKey]) {
+        await getStorage().delete(storedKey).catch(err => {
+          logger.warn({
+            imageKey: storedKey,
+            error: err.message,
+            message: 'Failed to cleanup stored upload'
+          });
+        });
+      }
 
       logger.info({ 
         jobId, 
@@ -186,56 +490,532 @@ class OCRService {
         message: 'OCR job completed successfully' 
       });
 
-    } catch (error) {
+    } catch (caught) {
+      // Once aborted, the abort reason explains whatever a stage threw
+      const error = signal.aborted ? signal.reason : caught;
+      const code = this.getErrorCode(error);
+
+      if (code === 'CANCELLED') {
+        job.discard();
+        logger.info({ jobId, uploadId, correlationId, message: 'OCR job stopped after cancellation' });
+        return;
+      }
+
+      const willRetry = RETRYABLE_ERROR_CODES.has(code) && job.attemptsMade + 1 < job.maxAttempts;
+
       logger.error({ 
         jobId, 
         uploadId, 
         correlationId,
+        attempt: job.attemptsMade + 1,
+        willRetry,
         error: error.message,
         message: 'OCR job failed' 
       });
 
-      await this.updateJobStatus(jobId, {
-        status: 'failed',
-        completedAt: new Date().toISOString(),
-        error: {
-          code: this.getErrorCode(error),
-          message: error.message,
-        },
+      if (willRetry) {
+        await this.updateJobStatus(jobId, {
+          status: 'pending',
+          stage: 'retrying',
+          progress: 0,
+          error: { code, message: error.message },
+        }, unfinished);
+      } else {
+        job.discard();
+        await this.updateJobStatus(jobId, {
+          status: 'failed',
+          completedAt: new Date().toISOString(),
+          error: { code, message: error.message },
+        }, unfinished);
+      }
+
+      throw error;
+    } finally {
+      clearTimeout(deadline);
+      runningJobs.delete(jobId);
+
+      if (localImage) {
+        await localImage.release();
+      }
+    }
+  }
+
+  /**
+   * Optimize, extract and classify one image (a photo, a rendered PDF page
+   * or frame number frame of a multi-page TIFF), reporting stages and
+   * progress from 0.1 to 0.9 through report. Resolves with the optimized
+   * copy's { perceptualHash, width, height }, the best candidate and every
+   * candidate tried.
+   */
+  static async recognizePage(imagePath, { language, engines, includeLayout, signal, correlationId, frame }, report) {
+    let optimized = null;
+    try {
+      // Step 1: Optimize image (0-20%)
+      await report({
+        stage: 'optimizing',
+        progress: 0.1,
+      });
+
+      optimized = await this.optimizeImageForOCR(imagePath, correlationId, { frame });
+
+      await report({
+        progress: 0.2,
       });
+
+      // Step 2: Extract text with OCR (20-70%)
+      await report({
+        stage: 'extracting',
+        progress: 0.3,
+      });
+
+      const ocr = await this.extractTextFromImage(optimized.path, correlationId, (progress) => {
+        report({ progress: 0.3 + (progress * 0.4) }).catch(() => {});
+      }, { language, engines, includeLayout, signal });
+
+      await report({
+        progress: 0.7,
+      });
+
+      // Step 3: Classify receipt (70-90%). A poor Tesseract result gets
+      // other page segmentation modes and preprocessing; the best one wins.
+      await report({
+        stage: 'classifying',
+        progress: 0.75,
+      });
+
+      let best = await this.evaluateCandidate(DEFAULT_STRATEGY, optimized, ocr, correlationId);
+      let candidates = [best];
+      if (ocr.engine === 'tesseract' && needsAlternatives(best, config.ocr.strategies)) {
+        await report({
+          stage: 'refining',
+          progress: 0.8,
+        });
+
+        ({ best, candidates } = await this.refineRecognition(imagePath, optimized, best, {
+          language,
+          includeLayout,
+          signal,
+          correlationId,
+          frame,
+        }));
+      }
+
+      await report({
+        progress: 0.9,
+      });
+
+      const { perceptualHash, width, height } = optimized;
+      return { optimized: { perceptualHash, width, height }, best, candidates };
+    } finally {
+      if (optimized) {
+        await this.cleanupFiles([optimized.path]);
+      }
     }
   }
 
   /**
-   * Get job status
+   * Recognize each page of a PDF or multi-page TIFF on its own, then
+   * classify the merged text once. PDF pages are rendered to scratch PNGs
+   * first; TIFF pages are read from the file frame by frame. Resolves with
+   * the job result (less the fields every job gets) and the first page's
+   * perceptual hash for duplicate detection.
    */
-  static async getJobStatus(jobId) {
-    return jobStatuses.get(jobId) || null;
+  static async recognizeDocument(filePath, format, context, advance) {
+    const { pages, perceptualHash } = await this.recognizeDocumentPages(filePath, format, context, advance);
+    const extractedText = pages.filter(page => !page.error).map(page => page.extractedText).join('\n\n');
+
+    return {
+      perceptualHash,
+      result: {
+        ...(await this.classifyDocument(pages, extractedText, context.correlationId, advance)),
+        pageCount: pages.length,
+        pages,
+      },
+    };
   }
 
   /**
-   * Cancel job (in-memory version)
+   * Load and recognize the pages of a PDF or multi-page TIFF, as
+   * recognizePages
    */
-  static async cancelJob(jobId) {
+  static async recognizeDocumentPages(filePath, format, context, advance) {
+    if (format === 'tiff') {
+      const { pages: pageCount = 1 } = await sharp(filePath, { limitInputPixels: false }).metadata();
+
+      return this.recognizePages({
+        pageCount,
+        loadPage: async (page) => {
+          const { width, height } = await sharp(filePath, { page: page - 1, limitInputPixels: false }).metadata();
+          return { path: filePath, frame: page - 1, width, height, release: async () => {} };
+        },
+      }, context, advance);
+    }
+
+    const { renderDpi } = config.ocr.pdf;
+    await fs.mkdir(config.storage.scratchDir, { recursive: true });
+    const doc = await PdfService.open(filePath, { signal: context.signal });
+
     try {
-      const status = jobStatuses.get(jobId);
-      if (!status) {
-        throw new Error('Job not found');
+      return await this.recognizePages({
+        pageCount: doc.numPages,
+        stage: 'rendering',
+        loadPage: async (page) => {
+          const renderedPath = path.join(config.storage.scratchDir, `${uuidv4()}-pdf-page-${page}.png`);
+          const release = () => fs.unlink(renderedPath).catch(() => {});
+          try {
+            return { ...(await PdfService.renderPage(doc, page, renderedPath, renderDpi)), release };
+          } catch (error) {
+            await release();
+            throw error;
+          }
+        },
+      }, context, advance);
+    } finally {
+      await PdfService.close(doc);
+    }
+  }
+
+  /**
+   * Recognize pageCount pages one by one. loadPage(page) resolves with the
+   * page's image { path, frame, width, height, release }; stage, when set,
+   * is reported while it loads. Pages share the job's progress from 0.1 to
+   * 0.9; updates carry the page being worked on. A page without text is
+   * kept with empty text; a document without any fails with OCR_FAILED.
+   * Resolves with the result of each page and the first page's perceptual
+   * hash for duplicate detection.
+   */
+  static async recognizePages({ pageCount, stage, loadPage }, context, advance) {
+    const { includeLayout, correlationId } = context;
+    const pages = [];
+    let perceptualHash = null;
+
+    for (let index = 0; index < pageCount; index++) {
+      const page = index + 1;
+      const pageStart = 0.1 + index * 0.8 / pageCount;
+
+      if (stage) {
+        await advance({
+          stage,
+          progress: pageStart,
+          page,
+          pageCount,
+        });
+      }
+
+      let image = null;
+      try {
+        image = await loadPage(page);
+
+        // Page-local progress 0.1-0.9 maps onto this page's share
+        const { optimized, best, candidates } = await this.recognizePage(image.path, {
+          ...context,
+          frame: image.frame,
+        }, updates => advance({
+          ...updates,
+          ...(updates.progress !== undefined && { progress: pageStart + (updates.progress - 0.1) / pageCount }),
+          page,
+          pageCount,
+        }));
+        if (page === 1) {
+          perceptualHash = optimized.perceptualHash;
+        }
+
+        pages.push({
+          page,
+          extractedText: best.ocr.text,
+          ocrConfidence: best.ocrConfidence,
+          classificationConfidence: best.classificationConfidence,
+          classification: best.classification.data,
+          engine: best.ocr.engine,
+          strategy: this.describeStrategy(best, candidates),
+          ...(includeLayout && { layout: this.buildPageLayout(best, image) }),
+        });
+      } catch (error) {
+        if (context.signal.aborted || this.getErrorCode(error) !== 'OCR_FAILED') {
+          throw error;
+        }
+
+        logger.warn({ correlationId, page, error: error.message, message: 'No text found on document page' });
+        pages.push({
+          page,
+          extractedText: '',
+          ocrConfidence: null,
+          classificationConfidence: null,
+          classification: null,
+          engine: null,
+          strategy: null,
+          error: { code: 'OCR_FAILED', message: error.message },
+        });
+      } finally {
+        if (image) {
+          await image.release();
+        }
+      }
+    }
+
+    if (pages.every(page => page.error)) {
+      throw new OCRError('No text could be extracted from any page of the document', 'OCR_FAILED', { pageCount });
+    }
+
+    return { pages, perceptualHash };
+  }
+
+  /**
+   * Classify the text of a document read page by page (or part by part)
+   * once, as a whole: totals and vendors are often on different pages.
+   * Resolves with the result fields every job has; ocrConfidence is the
+   * mean of the pages'.
+   */
+  static async classifyDocument(pages, extractedText, correlationId, advance) {
+    await advance({
+      stage: 'classifying',
+      progress: 0.9,
+      page: null,
+    });
+
+    const readPages = pages.filter(page => !page.error);
+    const classification = await classificationService.classifyReceipt(extractedText, correlationId);
+    const classificationConfidence = classification.confidence || 0.8;
+    const scores = readPages.map(page => page.ocrConfidence).filter(score => score !== null);
+    const engines = [...new Set(readPages.map(page => page.engine))];
+
+    return {
+      extractedText,
+      confidence: classificationConfidence,
+      ocrConfidence: scores.length > 0
+        ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length * 100) / 100
+        : null,
+      classificationConfidence,
+      classification: classification.data,
+      // Null when pages were read by different engines
+      engine: engines.length === 1 ? engines[0] : null,
+      strategy: null,
+    };
+  }
+
+  /**
+   * Read each photo of a multi-part upload (one long receipt), then stitch
+   * their text together, dropping the lines consecutive photos share, and
+   * classify it once. Resolves with the job result (less the fields every
+   * job gets) and the first part's perceptual hash.
+   */
+  static async recognizeParts(parts, context, advance) {
+    const { pages, perceptualHash } = await this.recognizePages({
+      pageCount: parts.length,
+      loadPage: async (page) => {
+        const { imageKey, width, height } = parts[page - 1];
+        const localFile = await getStorage().getLocalPath(imageKey);
+        return { path: localFile.path, width, height, release: () => localFile.release() };
+      },
+    }, context, advance);
+
+    const { text, droppedLines } = stitchTexts(pages.filter(page => !page.error).map(page => page.extractedText));
+
+    logger.info({
+      correlationId: context.correlationId,
+      parts: parts.length,
+      droppedLines,
+      message: 'Upload parts stitched',
+    });
+
+    return {
+      perceptualHash,
+      result: {
+        ...(await this.classifyDocument(pages, text, context.correlationId, advance)),
+        partCount: parts.length,
+        parts: pages.map(({ page, ...entry }) => ({ part: page, filename: parts[page - 1].filename, ...entry })),
+        // Lines dropped where each part read joins the text before it
+        stitching: { droppedLines },
+      },
+    };
+  }
+
+  /**
+   * Which Tesseract strategy produced a candidate's text, and how each one
+   * tried scored; null for other engines
+   */
+  static describeStrategy(best, candidates) {
+    if (best.ocr.engine !== 'tesseract') {
+      return null;
+    }
+
+    return {
+      name: best.strategy,
+      ...RECOGNITION_STRATEGIES[best.strategy],
+      score: best.score,
+      candidates: candidates.map(({ strategy, score }) => ({ name: strategy, score })),
+    };
+  }
+
+  /**
+   * Layout of a candidate's text with boxes scaled to an image of
+   * { width, height }
+   */
+  static buildPageLayout(best, { width, height }) {
+    return buildLayout(best.ocr.blocks, {
+      width,
+      height,
+      ocrWidth: best.image.width,
+      ocrHeight: best.image.height,
+    });
+  }
+
+  /**
+   * Classify one recognition result and score it. image is the { width,
+   * height } of the image the engine read.
+   */
+  static async evaluateCandidate(strategy, image, ocr, correlationId) {
+    const classification = await classificationService.classifyReceipt(ocr.text, correlationId);
+    const ocrConfidence = ocr.confidence === null ? null : toScore(ocr.confidence);
+    const classificationConfidence = classification.confidence || 0.8;
+
+    return {
+      strategy,
+      image: { width: image.width, height: image.height },
+      ocr,
+      classification,
+      ocrConfidence,
+      classificationConfidence,
+      fields: countKeyFields(classification.data),
+      score: scoreCandidate({ ocrConfidence: ocrConfidence || 0, classificationConfidence }),
+    };
+  }
+
+  /**
+   * Run the alternative Tesseract strategies of config.ocr.strategies after
+   * a poor first result, until one is good enough. imagePath is the
+   * original image and optimized its standard OCR copy. Resolves with the
+   * best scoring candidate and every candidate tried; a strategy that
+   * fails is skipped.
+   */
+  static async refineRecognition(imagePath, optimized, first, { language, includeLayout, signal, correlationId, frame }) {
+    const settings = config.ocr.strategies;
+    const candidates = [first];
+    let best = first;
+
+    for (const name of settings.alternatives) {
+      if (!needsAlternatives(best, settings)) {
+        break;
+      }
+      const strategy = RECOGNITION_STRATEGIES[name];
+      if (!strategy) {
+        logger.warn({ correlationId, strategy: name, message: 'Skipping unknown OCR strategy' });
+        continue;
+      }
+      signal.throwIfAborted();
+
+      let variant = null;
+      try {
+        variant = strategy.preprocessing === 'standard'
+          ? optimized
+          : await this.optimizeImageForOCR(imagePath, correlationId, { preprocessing: strategy.preprocessing, frame });
+        const ocr = await this.extractTextFromImage(variant.path, correlationId, null, {
+          language,
+          engines: ['tesseract'],
+          includeLayout,
+          pageSegMode: strategy.pageSegMode,
+          signal,
+        });
+
+        const candidate = await this.evaluateCandidate(name, variant, ocr, correlationId);
+        candidates.push(candidate);
+        if (candidate.score > best.score) {
+          best = candidate;
+        }
+      } catch (error) {
+        if (signal.aborted) {
+          throw signal.reason;
+        }
+        logger.warn({ correlationId, strategy: name, error: error.message, message: 'OCR strategy failed' });
+      } finally {
+        if (variant && variant !== optimized) {
+          await this.cleanupFiles([variant.path]);
+        }
       }
+    }
+
+    logger.info({
+      correlationId,
+      strategy: best.strategy,
+      score: best.score,
+      tried: candidates.length,
+      message: 'OCR strategy selected',
+    });
+
+    return { best, candidates };
+  }
+
+  /**
+   * Get job status. Until the job record is final, its status follows the
+   * job's state in the queue.
+   */
+  static async getJobStatus(jobId) {
+    const job = await getRepositories().jobs.get(jobId);
+    if (!job || FINAL_STATUSES.includes(job.status)) {
+      return job;
+    }
 
-      if (status.status === 'completed' || status.status === 'failed') {
-        throw new Error(`Cannot cancel ${status.status} job`);
+    const queued = await getJobQueue().getState(jobId);
+    if (!queued || !QUEUE_STATUSES[queued.state]) {
+      return job;
+    }
+
+    return { ...job, status: QUEUE_STATUSES[queued.state] };
+  }
+
+  /**
+   * Wait for a job to reach a final state. Resolves with the latest status
+   * when the job finishes or the timeout expires, whichever comes first.
+   */
+  static async waitForJob(jobId, timeout, pollInterval = 250) {
+    const deadline = Date.now() + timeout;
+
+    for (;;) {
+      const status = await this.getJobStatus(jobId);
+      if (!status || FINAL_STATUSES.includes(status.status) || Date.now() >= deadline) {
+        return status;
       }
 
-      // Update status (no Bull queue to cancel from)
-      await this.updateJobStatus(jobId, {
+      await new Promise(resolve => setTimeout(resolve, Math.min(pollInterval, Math.max(0, deadline - Date.now()))));
+    }
+  }
+
+  /**
+   * Cancel a pending or running job
+   */
+  static async cancelJob(jobId) {
+    try {
+      const now = new Date().toISOString();
+
+      // Only a job that has not finished can be cancelled; the status check
+      // and the write happen together so a finishing job is never overwritten
+      const cancelled = await getRepositories().jobs.update(jobId, {
         status: 'cancelled',
-        completedAt: new Date().toISOString(),
+        completedAt: now,
+        updatedAt: now,
         error: {
           code: 'CANCELLED',
           message: 'Job cancelled by user',
         },
-      });
+      }, { ifStatusIn: ['pending', 'active'] });
+
+      if (!cancelled) {
+        const status = await this.getJobStatus(jobId);
+        if (!status) {
+          throw new Error('Job not found');
+        }
+        if (status.status !== 'cancelled') {
+          throw new Error(`Cannot cancel ${status.status} job`);
+        }
+      }
+
+      // Jobs that have not started never reach a worker; one running here
+      // stops now, one running in another process at its next stage
+      await getJobQueue().remove(jobId);
+      const running = runningJobs.get(jobId);
+      if (running) {
+        running.abort(jobCancelledError());
+      }
 
       logger.info({ jobId, message: 'Job cancelled' });
 
@@ -251,34 +1031,95 @@ class OCRService {
   }
 
   /**
-   * Optimize image for OCR processing
+   * Abort an upload session: stop the expansion of its ZIP batches, cancel
+   * the OCR jobs started from it, then abort the session and delete its
+   * files. Resolves with the aborted session plus the IDs of the cancelled
+   * jobs.
    */
-  static async optimizeImageForOCR(imagePath, correlationId) {
+  static async abortUpload(uploadId, correlationId) {
+    const session = await fileService.getUploadSession(uploadId);
+    if (!session) {
+      throw new AppError('Upload session not found', 404, 'RESOURCE_NOT_FOUND');
+    }
+
+    const cancelledJobs = [];
+    const cancelJobs = async (jobIds) => {
+      for (const jobId of jobIds.filter(id => !cancelledJobs.includes(id))) {
+        const job = await this.getJobStatus(jobId);
+        if (!job || !['pending', 'active'].includes(job.status)) {
+          continue;
+        }
+
+        try {
+          await this.cancelJob(jobId);
+          cancelledJobs.push(jobId);
+        } catch (error) {
+          // The job finished in the meantime; nothing left to cancel
+          logger.warn({
+            correlationId,
+            uploadId,
+            jobId,
+            error: error.message,
+            message: 'Could not cancel job for aborted upload',
+          });
+        }
+      }
+    };
+
+    // Required here: batchService queues its jobs through this module
+    await require('./batchService').cancelBatches(uploadId, correlationId);
+
+    // Cancel first so a running job is marked cancelled before its file goes
+    await cancelJobs(session.jobIds || []);
+    const aborted = await fileService.abortUpload(uploadId);
+
+    // An aborted session takes no new jobs, but one queued since it was
+    // read above is on it now
+    await cancelJobs(aborted.jobIds || []);
+
+    return { ...aborted, cancelledJobs };
+  }
+
+  /**
+   * Optimize image for OCR processing. The optimized copy is written to the
+   * local scratch directory. Returns its path and size, plus the perceptual
+   * hash (used for duplicate detection) for standard preprocessing. frame
+   * selects a page of a multi-page TIFF (from 0).
+   */
+  static async optimizeImageForOCR(imagePath, correlationId, { preprocessing = 'standard', frame } = {}) {
     try {
-      const outputPath = imagePath.replace(/\.[^.]+$/, '-ocr-optimized.jpg');
+      await fs.mkdir(config.storage.scratchDir, { recursive: true });
+      const outputPath = path.join(config.storage.scratchDir, `${uuidv4()}-ocr-optimized.jpg`);
 
-      await sharp(imagePath)
-        .resize(2048, 2048, {
-          fit: 'inside',
-          withoutEnlargement: true,
-        })
-        .grayscale() // Convert to grayscale for better OCR
-        .normalize() // Normalize contrast
-        .sharpen({ sigma: 1 }) // Slight sharpening
+      const image = await openImage(imagePath, {
+        limitInputPixels: config.ocr.validation.maxPixels,
+        ...(frame !== undefined && { page: frame }),
+      });
+      const { bitsPerSample } = await image.metadata();
+      const bilevel = bitsPerSample === 1;
+      const { width, height } = await PREPROCESSING[preprocessing](image, bilevel)
         .jpeg({ 
           quality: 90,
           progressive: false 
         })
         .toFile(outputPath);
 
+      const perceptualHash = preprocessing === 'standard'
+        ? await duplicateDetectionService.computePerceptualHash(outputPath)
+        : null;
+
       logger.info({ 
         correlationId,
         inputPath: imagePath,
         outputPath,
+        frame,
+        preprocessing,
+        bilevel,
+        perceptualHash,
         message: 'Image optimized for OCR' 
       });
 
-      return outputPath;
+      return { path: outputPath, perceptualHash, width, height };
     } catch (error) {
       logger.error({ 
         correlationId,
@@ -291,71 +1132,80 @@ class OCRService {
   }
 
   /**
-   * Extract text from image using Tesseract
+   * Extract text from image with the OCR engines in order, falling back to
+   * the next engine when one fails or finds no text. Resolves with
+   * { text, confidence, blocks, engine }: confidence is the engine's 0-100
+   * score (null when it has none) and blocks (Tesseract's layout tree) is
+   * only there with includeLayout. pageSegMode overrides Tesseract's page
+   * segmentation mode. Aborting signal stops the extraction.
    */
-  static async extractTextFromImage(imagePath, correlationId, onProgress) {
-    try {
-      if (!tesseractWorker) {
-        throw new Error('Tesseract worker not initialized');
-      }
-
-      logger.info({ 
-        correlationId,
-        imagePath,
-        message: 'Starting text extraction' 
-      });
+  static async extractTextFromImage(imagePath, correlationId, onProgress, {
+    language = config.ocr.tesseract.language,
+    engines = config.ocr.engines,
+    includeLayout = false,
+    pageSegMode,
+    signal,
+  } = {}) {
+    logger.info({ 
+      correlationId,
+      imagePath,
+      language,
+      engines,
+      message: 'Starting text extraction' 
+    });
 
-      // Configure Tesseract for receipt processing
-      await tesseractWorker.setParameters({
-        tessedit_char_whitelist: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz.,!@#$%^&*()-_=+[]{}|;:,.<>?/~` ',
-        tessedit_pageseg_mode: '6', // Assume uniform block of text
-      });
+    let lastError = null;
+    for (const name of engines) {
+      try {
+        const engine = await getEngine(name);
+        const extraction = await engine.recognize(imagePath, { language, includeLayout, pageSegMode, signal, correlationId });
 
-      // Remove the logger option - it can't be serialized for the worker
-      const { data: { text, confidence } } = await tesseractWorker.recognize(imagePath);
+        logger.info({ 
+          correlationId,
+          engine: name,
+          textLength: extraction.text.length,
+          confidence: extraction.confidence,
+          message: 'Text extraction completed' 
+        });
 
-      logger.info({ 
-        correlationId,
-        textLength: text.length,
-        confidence,
-        message: 'Text extraction completed' 
-      });
+        return { ...extraction, engine: name };
+      } catch (error) {
+        lastError = error;
+        logger.error({ 
+          correlationId,
+          imagePath,
+          engine: name,
+          error: error.message, 
+          message: 'Failed to extract text from image' 
+        });
 
-      if (!text || text.trim().length === 0) {
-        throw new Error('No text could be extracted from the image');
+        // A cancelled or timed-out job gets no further engines
+        if (signal && signal.aborted) {
+          throw signal.reason;
+        }
       }
-
-      return text.trim();
-    } catch (error) {
-      logger.error({ 
-        correlationId,
-        imagePath,
-        error: error.message, 
-        message: 'Failed to extract text from image' 
-      });
-      throw error;
     }
+
+    throw lastError;
   }
 
   /**
-   * Update job status
+   * Update job status (options as for the job repository's update)
    */
-  static async updateJobStatus(jobId, updates) {
-    const currentStatus = jobStatuses.get(jobId);
-    if (currentStatus) {
-      const updatedStatus = {
-        ...currentStatus,
-        ...updates,
-        updatedAt: new Date().toISOString(),
-      };
-      jobStatuses.set(jobId, updatedStatus);
-    }
+  static async updateJobStatus(jobId, updates, options = {}) {
+    return getRepositories().jobs.update(jobId, {
+      ...updates,
+      updatedAt: new Date().toISOString(),
+    }, options);
   }
 
   /**
    * Get error code from error
    */
   static getErrorCode(error) {
+    if (error instanceof OCRError) {
+      return error.code;
+    }
     if (error.message.includes('No text could be extracted')) {
       return 'OCR_FAILED';
     }
@@ -386,17 +1236,82 @@ class OCRService {
   }
 
   /**
-   * Get service statistics (in-memory version)
+   * Drop finished jobs past their time-to-live and fail jobs that have made
+   * no progress for too long. TTLs are in milliseconds.
+   */
+  static async pruneJobs({ finishedJob, staleJob }, now = Date.now()) {
+    let removed = 0;
+    let timedOut = 0;
+
+    const jobs = getRepositories().jobs;
+
+    for (const job of await jobs.list()) {
+      const { jobId } = job;
+      const lastUpdate = new Date(job.updatedAt || job.createdAt).getTime();
+
+      if (FINAL_STATUSES.includes(job.status)) {
+        if (now - new Date(job.completedAt || lastUpdate).getTime() > finishedJob) {
+          await jobs.delete(jobId);
+          removed += 1;
+        }
+      } else if (now - lastUpdate > staleJob && !(await this.isWaitingInQueue(jobId))) {
+        const failed = await jobs.update(jobId, {
+          status: 'failed',
+          completedAt: new Date(now).toISOString(),
+          updatedAt: new Date(now).toISOString(),
+          error: {
+            code: 'TIMEOUT',
+            message: 'Job made no progress and was abandoned',
+          },
+        }, { ifStatusIn: ['pending', 'active'] });
+        if (!failed) {
+          continue;
+        }
+        timedOut += 1;
+
+        logger.warn({ jobId, uploadId: job.uploadId, message: 'Stale OCR job marked as failed' });
+      }
+    }
+
+    return { removed, timedOut };
+  }
+
+  /**
+   * Whether a job is still waiting its turn (or its next retry) in the
+   * queue, which is not a lack of progress
+   */
+  static async isWaitingInQueue(jobId) {
+    const queued = await getJobQueue().getState(jobId);
+    return Boolean(queued && ['waiting', 'delayed'].includes(queued.state));
+  }
+
+  /**
+   * Upload IDs of jobs that are still pending or running
+   */
+  static async getActiveUploadIds() {
+    const jobs = await getRepositories().jobs.list();
+    return new Set(jobs
+      .filter(job => job.status === 'pending' || job.status === 'active')
+      .map(job => job.uploadId));
+  }
+
+  /**
+   * Get service statistics
    */
   static async getStats() {
+    const jobs = await getRepositories().jobs.list();
+
     return {
       jobs: {
-        total: jobStatuses.size,
-        active: Array.from(jobStatuses.values()).filter(j => j.status === 'active').length,
-        completed: Array.from(jobStatuses.values()).filter(j => j.status === 'completed').length,
-        failed: Array.from(jobStatuses.values()).filter(j => j.status === 'failed').length,
-        cancelled: Array.from(jobStatuses.values()).filter(j => j.status === 'cancelled').length,
+        total: jobs.length,
+        active: jobs.filter(j => j.status === 'active').length,
+        completed: jobs.filter(j => j.status === 'completed').length,
+        failed: jobs.filter(j => j.status === 'failed').length,
+        cancelled: jobs.filter(j => j.status === 'cancelled').length,
       },
+      queue: await getJobQueue().getCounts(),
+      engines: getEngineStats(),
+      duplicates: await duplicateDetectionService.getStats(),
     };
   }
 
@@ -405,10 +1320,11 @@ class OCRService {
    */
   static async shutdown() {
     logger.info({ message: 'Shutting down OCR service' });
+
+    // Let running jobs finish; waiting jobs stay queued for the next start
+    await getJobQueue().close();
     
-    if (tesseractWorker) {
-      await tesseractWorker.terminate();
-    }
+    await shutdownEngines();
   }
 }
 
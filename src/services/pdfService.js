@@ -0,0 +1,124 @@
+// src/services/pdfService.js
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_SCRIPT = path.join(__dirname, 'pdfWorker.js');
+
+/**
+ * Send one call to a document's worker and resolve with its answer
+ */
+function call(doc, method, ...args) {
+  return new Promise((resolve, reject) => {
+    if (doc.failure) {
+      reject(doc.failure);
+      return;
+    }
+    const id = (doc.nextId += 1);
+    doc.pending.set(id, { resolve, reject });
+    doc.worker.postMessage({ id, method, args });
+  });
+}
+
+/**
+ * Reject every call still waiting on a worker that died or was stopped
+ */
+function fail(doc, error) {
+  doc.failure = doc.failure || error;
+  for (const { reject } of doc.pending.values()) {
+    reject(doc.failure);
+  }
+  doc.pending.clear();
+}
+
+/**
+ * Rasterizes PDF pages so each page can go through the image OCR
+ * pipeline. Every document is parsed and rendered by pdf.js in a worker
+ * thread of its own (see pdfWorker.js), which keeps pdf.js and its canvas
+ * globals out of the main thread. Documents come from open() and must be
+ * closed with close(). A document opened with a signal stops its worker
+ * as soon as the signal aborts, so a page that never finishes rendering
+ * cannot hold the thread.
+ */
+class PdfService {
+  /**
+   * Load the PDF at filePath. Resolves with a document handle carrying
+   * numPages; rejects for files pdf.js cannot parse, including password
+   * protected ones. Once signal aborts, the worker is terminated and every
+   * call on the document rejects with the signal's reason.
+   */
+  static async open(filePath, { signal } = {}) {
+    signal?.throwIfAborted();
+
+    const doc = {
+      worker: new Worker(WORKER_SCRIPT),
+      pending: new Map(),
+      nextId: 0,
+      failure: null,
+      numPages: 0,
+      signal,
+      onAbort: null,
+    };
+
+    doc.worker.on('message', ({ id, result, error }) => {
+      const waiting = doc.pending.get(id);
+      doc.pending.delete(id);
+      if (error) {
+        waiting.reject(Object.assign(new Error(error.message), { name: error.name }));
+      } else {
+        waiting.resolve(result);
+      }
+    });
+    doc.worker.on('error', error => fail(doc, error));
+    doc.worker.on('exit', code => fail(doc, new Error(`PDF worker exited with code ${code}`)));
+    if (signal) {
+      doc.onAbort = () => {
+        fail(doc, signal.reason);
+        doc.worker.terminate();
+      };
+      signal.addEventListener('abort', doc.onAbort, { once: true });
+    }
+
+    try {
+      ({ numPages: doc.numPages } = await call(doc, 'open', filePath));
+    } catch (error) {
+      await this.close(doc);
+      throw error;
+    }
+
+    return doc;
+  }
+
+  /**
+   * Pixel { width, height } of every page when rendered at dpi
+   */
+  static async getPageSizes(doc, dpi) {
+    return call(doc, 'getPageSizes', dpi);
+  }
+
+  /**
+   * Render one page (numbered from 1) at dpi into a PNG at outputPath.
+   * Resolves with { path, width, height }.
+   */
+  static async renderPage(doc, pageNumber, outputPath, dpi) {
+    return call(doc, 'renderPage', pageNumber, outputPath, dpi);
+  }
+
+  /**
+   * Release a document opened with open() and stop its worker
+   */
+  static async close(doc) {
+    try {
+      // A worker that already died has nothing left to release
+      if (!doc.failure) {
+        await call(doc, 'close');
+      }
+    } finally {
+      if (doc.onAbort) {
+        doc.signal.removeEventListener('abort', doc.onAbort);
+      }
+      await doc.worker.terminate();
+    }
+  }
+}
+
+module.exports = PdfService;
@@ -0,0 +1,91 @@
+// src/services/pdfWorker.js
+// Worker thread holding one PDF document for PdfService. pdf.js and the
+// canvas classes it renders with are only ever loaded here.
+const fs = require('fs').promises;
+const path = require('path');
+const { parentPort } = require('worker_threads');
+const { createCanvas, DOMMatrix, ImageData, Path2D } = require('@napi-rs/canvas');
+
+// pdf.js renders with these browser classes, which Node lacks
+for (const [name, value] of Object.entries({ DOMMatrix, ImageData, Path2D })) {
+  if (!globalThis[name]) {
+    globalThis[name] = value;
+  }
+}
+
+// Metrics for the 14 standard PDF fonts, which documents may use without
+// embedding them
+const STANDARD_FONT_DATA_URL = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts', path.sep);
+
+// PDF sizes are in points
+const POINTS_PER_INCH = 72;
+
+let doc = null;
+
+const methods = {
+  async open(filePath) {
+    const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    const data = new Uint8Array(await fs.readFile(filePath));
+
+    doc = await pdfjs.getDocument({
+      data,
+      standardFontDataUrl: STANDARD_FONT_DATA_URL,
+      disableFontFace: true,
+      isEvalSupported: false,
+      verbosity: 0,
+    }).promise;
+
+    return { numPages: doc.numPages };
+  },
+
+  async getPageSizes(dpi) {
+    const sizes = [];
+
+    for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+      const page = await doc.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: dpi / POINTS_PER_INCH });
+      sizes.push({ width: Math.ceil(viewport.width), height: Math.ceil(viewport.height) });
+      page.cleanup();
+    }
+
+    return sizes;
+  },
+
+  async renderPage(pageNumber, outputPath, dpi) {
+    const page = await doc.getPage(pageNumber);
+
+    try {
+      const viewport = page.getViewport({ scale: dpi / POINTS_PER_INCH });
+      const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+      const context = canvas.getContext('2d');
+
+      // Pages are transparent where nothing is drawn; OCR wants white paper
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+
+      await page.render({ canvasContext: context, viewport }).promise;
+      await fs.writeFile(outputPath, await canvas.encode('png'));
+
+      return { path: outputPath, width: canvas.width, height: canvas.height };
+    } finally {
+      page.cleanup();
+    }
+  },
+
+  async close() {
+    if (doc) {
+      await doc.destroy();
+      doc = null;
+    }
+  },
+};
+
+// Calls arrive one at a time as { id, method, args } and are answered with
+// { id, result } or { id, error }
+parentPort.on('message', async ({ id, method, args }) => {
+  try {
+    parentPort.postMessage({ id, result: await methods[method](...args) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: { name: error.name, message: error.message } });
+  }
+});
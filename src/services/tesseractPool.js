@@ -0,0 +1,279 @@
+// src/services/tesseractPool.js
+const tesseract = require('tesseract.js');
+const { logger } = require('../utils/logger');
+
+/**
+ * Fixed-size pool of Tesseract workers. Each recognize() call runs on the
+ * next idle worker, or waits for one. A job that fails on its image (one
+ * Tesseract cannot read) leaves the worker in service; a worker whose
+ * thread exits is replaced, failing the job it was running.
+ *
+ * tesseract.js has its own scheduler (createScheduler/addWorker), but it
+ * has no way to remove a worker, so a crashed or terminated one would keep
+ * being handed jobs. It also cannot drop a queued job or say which worker
+ * runs one, and it queues setParameters and recognize as separate jobs
+ * that may land on different workers. Scheduling is therefore done here.
+ * language may combine several
+ * languages ("eng+spa"); workerOptions go to createWorker (langPath, ...).
+ *
+ * A job can be given an AbortSignal. Aborting a waiting job just drops it;
+ * aborting a running one terminates its worker, as Tesseract cannot be
+ * interrupted, and starts a replacement.
+ */
+class TesseractWorkerPool {
+  constructor({ size = 1, language = 'eng', createWorker = tesseract.createWorker, workerOptions = {} } = {}) {
+    this.size = Math.max(1, size);
+    this.language = language;
+    this.createWorker = createWorker;
+    this.workerOptions = workerOptions;
+    this.slots = [];
+    this.waiting = [];
+    this.closed = false;
+    this.counters = { processed: 0, failed: 0, aborted: 0, restarts: 0 };
+  }
+
+  /**
+   * Start every worker. Resolves once all of them are ready.
+   */
+  async start() {
+    this.slots = Array.from({ length: this.size }, (unused, id) => ({ id, worker: null, busy: false, task: null }));
+    await Promise.all(this.slots.map(slot => this.spawn(slot)));
+
+    logger.info({ size: this.size, language: this.language, message: 'Tesseract worker pool started' });
+  }
+
+  /**
+   * Create the worker for a slot. A slot whose worker fails to start is
+   * left empty and tried again by its next job.
+   */
+  spawn(slot) {
+    const starting = Promise.resolve().then(() => this.createWorker(this.language, 1, {
+      ...this.workerOptions,
+      // Failed jobs reject their own promise; without a handler tesseract.js
+      // would also throw them from its message listener
+      errorHandler: (error) => {
+        logger.debug({ language: this.language, worker: slot.id, error: String(error), message: 'Tesseract job failed' });
+      },
+      logger: m => {
+        if (m.status === 'recognizing text') {
+          logger.debug({
+            language: this.language,
+            worker: slot.id,
+            progress: m.progress,
+            message: 'Tesseract progress'
+          });
+        }
+      },
+    }));
+
+    slot.worker = starting;
+    starting.then((worker) => {
+      // tesseract.js exposes the worker thread, whose exit is a crash
+      // unless the pool terminated it
+      worker.worker?.once?.('exit', code => this.onWorkerExit(slot, starting, code));
+    }, (error) => {
+      if (slot.worker === starting) {
+        slot.worker = null;
+      }
+      logger.error({ worker: slot.id, error: error.message, message: 'Failed to start Tesseract worker' });
+    });
+
+    return starting;
+  }
+
+  /**
+   * Replace a worker whose thread exited on its own, failing its job
+   */
+  onWorkerExit(slot, exited, code) {
+    if (this.closed || slot.worker !== exited) {
+      return;
+    }
+
+    logger.error({ language: this.language, worker: slot.id, code, message: 'Tesseract worker exited' });
+
+    const task = slot.task;
+    slot.task = null;
+    slot.busy = false;
+    this.retire(slot);
+
+    if (task) {
+      this.counters.failed += 1;
+      this.settle(task, new Error('Tesseract worker exited unexpectedly'));
+    }
+    this.dispatch();
+  }
+
+  /**
+   * Terminate a slot's worker and start a replacement
+   */
+  retire(slot) {
+    const previous = slot.worker;
+    this.counters.restarts += 1;
+
+    previous
+      .then(worker => worker.terminate())
+      .catch(() => {});
+
+    logger.warn({ worker: slot.id, message: 'Restarting Tesseract worker' });
+
+    if (!this.closed) {
+      this.spawn(slot).catch(() => {});
+    } else {
+      slot.worker = null;
+    }
+  }
+
+  /**
+   * Recognize an image on the next free worker, with optional Tesseract
+   * parameters applied first. output picks extra tesseract.js output
+   * formats (e.g. { blocks: true }). Resolves with tesseract.js's result
+   * data, or rejects with the signal's reason once signal aborts.
+   */
+  recognize(image, { parameters = {}, output, signal } = {}) {
+    if (this.closed) {
+      return Promise.reject(new Error('Tesseract worker pool is shut down'));
+    }
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    return new Promise((resolve, reject) => {
+      const task = { image, parameters, output, signal, resolve, reject, settled: false };
+      if (signal) {
+        task.onAbort = () => this.abort(task);
+        signal.addEventListener('abort', task.onAbort, { once: true });
+      }
+
+      this.waiting.push(task);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Resolve or reject a job once; later outcomes (a terminated worker
+   * finishing anyway) are ignored
+   */
+  settle(task, error, data) {
+    if (task.settled) {
+      return;
+    }
+    task.settled = true;
+    if (task.signal) {
+      task.signal.removeEventListener('abort', task.onAbort);
+    }
+
+    if (error) {
+      task.reject(error);
+    } else {
+      task.resolve(data);
+    }
+  }
+
+  /**
+   * Drop an aborted job, replacing the worker if it was already running
+   */
+  abort(task) {
+    const index = this.waiting.indexOf(task);
+    if (index !== -1) {
+      this.waiting.splice(index, 1);
+    }
+
+    const slot = this.slots.find(candidate => candidate.task === task);
+    if (slot) {
+      this.counters.aborted += 1;
+      slot.task = null;
+      slot.busy = false;
+      if (slot.worker) {
+        this.retire(slot);
+      }
+    }
+
+    this.settle(task, task.signal.reason);
+    this.dispatch();
+  }
+
+  /**
+   * Hand waiting jobs to idle workers
+   */
+  dispatch() {
+    for (const slot of this.slots) {
+      if (this.waiting.length === 0) {
+        return;
+      }
+      if (!slot.busy) {
+        this.run(slot, this.waiting.shift());
+      }
+    }
+  }
+
+  /**
+   * Run a job on a slot. Once the job is aborted the slot no longer
+   * belongs to it, so whatever its old worker does next is ignored.
+   */
+  async run(slot, task) {
+    slot.busy = true;
+    slot.task = task;
+
+    try {
+      const worker = await (slot.worker || this.spawn(slot));
+      await worker.setParameters(task.parameters);
+      const { data } = await worker.recognize(task.image, {}, task.output);
+
+      if (slot.task === task) {
+        this.counters.processed += 1;
+      }
+      this.settle(task, null, data);
+    } catch (error) {
+      // The image failed, not the worker: it stays in service
+      if (slot.task === task) {
+        this.counters.failed += 1;
+      }
+      this.settle(task, error);
+    } finally {
+      if (slot.task === task) {
+        slot.task = null;
+        slot.busy = false;
+        this.dispatch();
+      }
+    }
+  }
+
+  /**
+   * Pool utilization for /api/ocr/stats
+   */
+  getStats() {
+    const busy = this.slots.filter(slot => slot.busy).length;
+
+    return {
+      size: this.size,
+      busy,
+      idle: this.slots.length - busy,
+      waiting: this.waiting.length,
+      utilization: this.slots.length > 0 ? busy / this.slots.length : 0,
+      ...this.counters,
+    };
+  }
+
+  /**
+   * Reject jobs that have not started and terminate every worker
+   */
+  async shutdown() {
+    this.closed = true;
+
+    for (const task of this.waiting.splice(0)) {
+      this.settle(task, new Error('Tesseract worker pool is shut down'));
+    }
+
+    await Promise.allSettled(this.slots.map(async (slot) => {
+      const worker = await slot.worker;
+      slot.worker = null;
+      if (worker) {
+        await worker.terminate();
+      }
+    }));
+
+    logger.info({ message: 'Tesseract worker pool shut down' });
+  }
+}
+
+module.exports = TesseractWorkerPool;
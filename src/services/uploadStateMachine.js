@@ -0,0 +1,61 @@
+// src/services/uploadStateMachine.js
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Upload session states
+ */
+const UPLOAD_STATES = Object.freeze({
+  UPLOADING: 'uploading',
+  ASSEMBLING: 'assembling',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  ABORTED: 'aborted',
+});
+
+/**
+ * Allowed transitions out of each state
+ */
+const TRANSITIONS = Object.freeze({
+  [UPLOAD_STATES.UPLOADING]: [UPLOAD_STATES.ASSEMBLING, UPLOAD_STATES.FAILED, UPLOAD_STATES.ABORTED],
+  [UPLOAD_STATES.ASSEMBLING]: [UPLOAD_STATES.COMPLETED, UPLOAD_STATES.FAILED, UPLOAD_STATES.ABORTED],
+  [UPLOAD_STATES.COMPLETED]: [UPLOAD_STATES.ABORTED],
+  [UPLOAD_STATES.FAILED]: [UPLOAD_STATES.ABORTED],
+  [UPLOAD_STATES.ABORTED]: [],
+});
+
+/**
+ * Check whether a session may move from one state to another
+ */
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * States a session may move to the given state from
+ */
+function sourceStates(to) {
+  return Object.keys(TRANSITIONS).filter(from => TRANSITIONS[from].includes(to));
+}
+
+/**
+ * Throw if a session may not move from one state to another
+ */
+function assertTransition(uploadId, from, to) {
+  if (!canTransition(from, to)) {
+    throw new AppError(
+      `Cannot move upload session from ${from} to ${to}`,
+      409,
+      'INVALID_SESSION_STATE',
+      true,
+      { uploadId, from, to }
+    );
+  }
+}
+
+module.exports = {
+  UPLOAD_STATES,
+  TRANSITIONS,
+  canTransition,
+  sourceStates,
+  assertTransition,
+};
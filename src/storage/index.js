@@ -0,0 +1,51 @@
+// src/storage/index.js
+const config = require('../config');
+const LocalStorageAdapter = require('./localStorageAdapter');
+const S3StorageAdapter = require('./s3StorageAdapter');
+
+let storage = null;
+
+/**
+ * Build the adapter selected by config.storage.driver
+ */
+function createStorage(storageConfig = config.storage) {
+  switch (storageConfig.driver) {
+    case 'local':
+      return new LocalStorageAdapter({
+        tempDir: storageConfig.tempDir,
+        uploadsDir: storageConfig.uploadsDir,
+      });
+    case 's3':
+      return new S3StorageAdapter({
+        ...storageConfig.s3,
+        scratchDir: storageConfig.scratchDir,
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${storageConfig.driver}`);
+  }
+}
+
+/**
+ * Get the shared storage adapter
+ */
+function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+}
+
+/**
+ * Replace the shared storage adapter (tests, custom backends)
+ */
+function setStorage(adapter) {
+  storage = adapter;
+}
+
+module.exports = {
+  createStorage,
+  getStorage,
+  setStorage,
+  LocalStorageAdapter,
+  S3StorageAdapter,
+};
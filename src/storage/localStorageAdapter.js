@@ -0,0 +1,125 @@
+// src/storage/localStorageAdapter.js
+const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const path = require('path');
+const StorageAdapter = require('./storageAdapter');
+
+/**
+ * Local disk storage: temp/ keys live in tempDir, uploads/ keys in uploadsDir
+ */
+class LocalStorageAdapter extends StorageAdapter {
+  constructor({ tempDir, uploadsDir }) {
+    super();
+    this.areas = {
+      temp: path.resolve(tempDir),
+      uploads: path.resolve(uploadsDir),
+    };
+  }
+
+  get supportsAppend() {
+    return true;
+  }
+
+  /**
+   * Map a storage key to an absolute path inside its area directory
+   */
+  resolve(key) {
+    const [area, ...rest] = key.split('/');
+    const baseDir = this.areas[area];
+    const name = rest.join('/');
+
+    if (!baseDir || !name) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    const filePath = path.resolve(baseDir, name);
+    if (!filePath.startsWith(baseDir + path.sep)) {
+      throw new Error(`Storage key escapes its area: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  async ensureReady() {
+    for (const dir of Object.values(this.areas)) {
+      await fs.mkdir(dir, { recursive: true });
+    }
+  }
+
+  async write(key, source, { append = false } = {}) {
+    const filePath = this.resolve(key);
+
+    if (Buffer.isBuffer(source)) {
+      await (append ? fs.appendFile(filePath, source) : fs.writeFile(filePath, source));
+      return;
+    }
+
+    await pipeline(source, createWriteStream(filePath, { flags: append ? 'a' : 'w' }));
+  }
+
+  async openReadStream(key) {
+    return createReadStream(this.resolve(key));
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.stat(this.resolve(key));
+      return { size: stats.size, modifiedAt: stats.mtime };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async move(fromKey, toKey) {
+    await fs.rename(this.resolve(fromKey), this.resolve(toKey));
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  async list(prefix) {
+    const area = prefix.replace(/\/$/, '');
+    const baseDir = this.areas[area];
+    if (!baseDir) {
+      throw new Error(`Invalid storage prefix: ${prefix}`);
+    }
+
+    let entries;
+    try {
+      entries = await fs.readdir(baseDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const objects = [];
+    for (const entry of entries.filter(candidate => candidate.isFile())) {
+      const key = `${area}/${entry.name}`;
+      const stats = await this.stat(key);
+      if (stats) {
+        objects.push({ key, ...stats });
+      }
+    }
+
+    return objects;
+  }
+
+  async getLocalPath(key) {
+    return { path: this.resolve(key), release: async () => {} };
+  }
+}
+
+module.exports = LocalStorageAdapter;
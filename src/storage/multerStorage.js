@@ -0,0 +1,28 @@
+// src/storage/multerStorage.js
+const { v4: uuidv4 } = require('uuid');
+const { getStorage } = require('./index');
+
+/**
+ * Multer storage engine that streams uploaded files into the storage
+ * adapter under temp/. req.file.path is set to the storage key.
+ */
+class AdapterStorageEngine {
+  _handleFile(req, file, cb) {
+    const storage = getStorage();
+    const key = `temp/${Date.now()}-${uuidv4()}-chunk`;
+
+    storage.write(key, file.stream)
+      .then(() => storage.stat(key))
+      .then(stats => cb(null, { path: key, key, size: stats ? stats.size : 0 }))
+      .catch(error => {
+        storage.delete(key).catch(() => {});
+        cb(error);
+      });
+  }
+
+  _removeFile(req, file, cb) {
+    getStorage().delete(file.path).then(() => cb(null), cb);
+  }
+}
+
+module.exports = () => new AdapterStorageEngine();
@@ -0,0 +1,180 @@
+// src/storage/s3StorageAdapter.js
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  HeadBucketCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const StorageAdapter = require('./storageAdapter');
+
+// Smallest part size S3 accepts; also bounds memory used per streamed upload
+const MULTIPART_PART_SIZE = 5 * 1024 * 1024;
+
+/**
+ * S3-compatible object storage (AWS S3, MinIO, R2, ...). Keys are stored
+ * under an optional prefix in a single bucket.
+ */
+class S3StorageAdapter extends StorageAdapter {
+  constructor({ bucket, prefix = '', scratchDir = os.tmpdir(), client = null, ...clientOptions }) {
+    super();
+
+    if (!bucket) {
+      throw new Error('S3 storage requires a bucket');
+    }
+
+    this.bucket = bucket;
+    this.prefix = prefix;
+    this.ready = null;
+    this.scratchDir = scratchDir;
+    this.client = client || new S3Client({
+      region: clientOptions.region || 'us-east-1',
+      endpoint: clientOptions.endpoint || undefined,
+      forcePathStyle: Boolean(clientOptions.forcePathStyle),
+      credentials: clientOptions.accessKeyId
+        ? { accessKeyId: clientOptions.accessKeyId, secretAccessKey: clientOptions.secretAccessKey }
+        : undefined,
+      // Only send checksums the service demands; keeps bodies plain for
+      // S3-compatible servers that don't support aws-chunked trailers
+      requestChecksumCalculation: 'WHEN_REQUIRED',
+      responseChecksumValidation: 'WHEN_REQUIRED',
+    });
+  }
+
+  objectKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  /**
+   * Check the bucket is reachable once; a failed check is retried next call
+   */
+  async ensureReady() {
+    if (!this.ready) {
+      this.ready = this.client.send(new HeadBucketCommand({ Bucket: this.bucket }))
+        .catch((error) => {
+          this.ready = null;
+          throw error;
+        });
+    }
+    await this.ready;
+  }
+
+  async write(key, source, { append = false } = {}) {
+    if (append) {
+      throw new Error('S3 storage does not support appending');
+    }
+
+    if (Buffer.isBuffer(source)) {
+      await this.client.send(new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+        Body: source,
+      }));
+      return;
+    }
+
+    const upload = new Upload({
+      client: this.client,
+      params: { Bucket: this.bucket, Key: this.objectKey(key), Body: source },
+      partSize: MULTIPART_PART_SIZE,
+      queueSize: 1,
+    });
+
+    // A failing source stream does not always reject the upload itself
+    await new Promise((resolve, reject) => {
+      source.once('error', (error) => {
+        upload.abort().catch(() => {});
+        reject(error);
+      });
+      upload.done().then(resolve, reject);
+    });
+  }
+
+  async openReadStream(key) {
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+    }));
+    return response.Body;
+  }
+
+  async stat(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+      }));
+      return { size: response.ContentLength, modifiedAt: response.LastModified };
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async move(fromKey, toKey) {
+    await this.client.send(new CopyObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(toKey),
+      CopySource: `${this.bucket}/${encodeURIComponent(this.objectKey(fromKey))}`,
+    }));
+    await this.delete(fromKey);
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+    }));
+  }
+
+  async list(prefix) {
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.objectKey(prefix),
+        ContinuationToken: continuationToken,
+      }));
+
+      for (const object of response.Contents || []) {
+        objects.push({
+          key: object.Key.slice(this.prefix.length),
+          size: object.Size,
+          modifiedAt: object.LastModified,
+        });
+      }
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  async getLocalPath(key) {
+    await fs.mkdir(this.scratchDir, { recursive: true });
+
+    const localPath = path.join(this.scratchDir, `${uuidv4()}-${path.posix.basename(key)}`);
+    await pipeline(await this.openReadStream(key), createWriteStream(localPath));
+
+    return {
+      path: localPath,
+      release: () => fs.unlink(localPath).catch(() => {}),
+    };
+  }
+}
+
+module.exports = S3StorageAdapter;
@@ -0,0 +1,83 @@
+// src/storage/storageAdapter.js
+
+/**
+ * Storage adapter interface for upload chunks and combined uploads.
+ *
+ * Keys are POSIX-style paths in one of two areas:
+ *   temp/<name>     chunk files while an upload is in progress
+ *   uploads/<name>  combined (and partially assembled) uploads
+ *
+ * Implementations must make every method safe to call for keys that do
+ * not exist (stat returns null, delete is a no-op).
+ */
+class StorageAdapter {
+  /**
+   * Whether write(key, source, { append: true }) is supported. Without it,
+   * uploads are assembled in a single pass once every chunk has arrived.
+   */
+  get supportsAppend() {
+    return false;
+  }
+
+  /**
+   * Prepare the backend (create directories, check the bucket, ...)
+   */
+  async ensureReady() {
+    throw new Error('ensureReady() not implemented');
+  }
+
+  /**
+   * Store a Buffer or consume a Readable into key. Resolves once the data
+   * is durably stored.
+   */
+  async write(key, source, options = {}) {
+    throw new Error('write() not implemented');
+  }
+
+  /**
+   * Open a Readable stream over the object at key
+   */
+  async openReadStream(key) {
+    throw new Error('openReadStream() not implemented');
+  }
+
+  /**
+   * Get { size, modifiedAt } for key, or null when it does not exist
+   */
+  async stat(key) {
+    throw new Error('stat() not implemented');
+  }
+
+  /**
+   * Move an object to a new key, replacing anything already there
+   */
+  async move(fromKey, toKey) {
+    throw new Error('move() not implemented');
+  }
+
+  /**
+   * Delete an object; missing objects are ignored
+   */
+  async delete(key) {
+    throw new Error('delete() not implemented');
+  }
+
+  /**
+   * List objects under an area prefix ('temp/' or 'uploads/') as
+   * [{ key, size, modifiedAt }]
+   */
+  async list(prefix) {
+    throw new Error('list() not implemented');
+  }
+
+  /**
+   * Make the object available as a local file for tools that need a path
+   * (sharp, Tesseract). Resolves with { path, release }; call release()
+   * when done so downloaded copies are removed.
+   */
+  async getLocalPath(key) {
+    throw new Error('getLocalPath() not implemented');
+  }
+}
+
+module.exports = StorageAdapter;
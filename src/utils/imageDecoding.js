@@ -0,0 +1,60 @@
+// src/utils/imageDecoding.js
+const fs = require('fs').promises;
+const sharp = require('sharp');
+
+/**
+ * Sharp's libvips reads JPEG, PNG, WebP and AV1-compressed HEIF (AVIF),
+ * but not the HEVC-compressed HEIC photos iPhones take. Those go through
+ * heic-decode (libheif compiled to WebAssembly), when it is installed.
+ */
+function loadHeicDecoder() {
+  try {
+    return require('heic-decode');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether sharp needs heic-decode's help with an image, given its sharp
+ * metadata
+ */
+function needsHeicDecoder(metadata) {
+  return metadata.format === 'heif' && metadata.compression === 'hevc';
+}
+
+/**
+ * Whether an image, given its sharp metadata, can be decoded here
+ */
+function canDecode(metadata) {
+  return !needsHeicDecoder(metadata) || loadHeicDecoder() !== null;
+}
+
+/**
+ * Open an image for processing with sharp. HEVC-compressed HEIF is decoded
+ * to raw pixels first; options are sharp's input options.
+ */
+async function openImage(imagePath, options = {}) {
+  const metadata = await sharp(imagePath, { limitInputPixels: false }).metadata();
+  if (!needsHeicDecoder(metadata)) {
+    return sharp(imagePath, options);
+  }
+
+  const decode = loadHeicDecoder();
+  if (!decode) {
+    throw new Error('No decoder available for HEVC-compressed HEIF images');
+  }
+
+  const { width, height, data } = await decode({ buffer: await fs.readFile(imagePath) });
+  return sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), {
+    ...options,
+    raw: { width, height, channels: 4 },
+  });
+}
+
+module.exports = {
+  loadHeicDecoder,
+  needsHeicDecoder,
+  canDecode,
+  openImage,
+};
@@ -0,0 +1,51 @@
+// src/utils/ocrLanguages.js
+const config = require('../config');
+
+/**
+ * Characters Tesseract may return for receipts: ASCII letters, digits and
+ * punctuation plus the accented letters and marks used in Spanish and
+ * (Canadian) French.
+ */
+const CHARACTER_WHITELIST = [
+  '0123456789',
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz',
+  '.,!@#$%^&*()-_=+[]{}|;:,.<>?/~` ',
+  'ÁÉÍÓÚÜÑáéíóúüñ¿¡',
+  'ÀÂÆÇÈÊËÎÏÔŒÙÛŸàâæçèêëîïôœùûÿ',
+  '«»°€',
+].join('');
+
+/**
+ * Split a language spec such as "eng+spa" into its codes, dropping repeats
+ */
+function parseLanguages(spec) {
+  return [...new Set(String(spec).split('+').map(lang => lang.trim()).filter(Boolean))];
+}
+
+/**
+ * Canonical "a+b" form of a language spec: codes deduplicated in the order
+ * given. Tesseract treats the first language as the primary one, so
+ * "spa+eng" and "eng+spa" are different combinations.
+ */
+function canonicalLanguage(spec) {
+  return parseLanguages(spec).join('+');
+}
+
+/**
+ * Resolve a requested language spec to its canonical form. Returns null
+ * when any language is not in config.ocr.tesseract.languages.
+ */
+function normalizeLanguage(spec, supported = config.ocr.tesseract.languages) {
+  const languages = parseLanguages(spec);
+  if (languages.length === 0 || languages.some(lang => !supported.includes(lang))) {
+    return null;
+  }
+  return canonicalLanguage(spec);
+}
+
+module.exports = {
+  CHARACTER_WHITELIST,
+  parseLanguages,
+  canonicalLanguage,
+  normalizeLanguage,
+};
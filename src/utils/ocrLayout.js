@@ -0,0 +1,60 @@
+// src/utils/ocrLayout.js
+
+/**
+ * Tesseract confidence (0-100) as a 0-1 score like the rest of the result
+ */
+function toScore(confidence) {
+  return Math.round(Math.max(0, Math.min(100, confidence || 0)) * 10) / 1000;
+}
+
+/**
+ * Scale a Tesseract bbox from the OCR image back to the original image
+ */
+function scaleBox({ x0, y0, x1, y1 }, scaleX, scaleY) {
+  return {
+    x0: Math.round(x0 * scaleX),
+    y0: Math.round(y0 * scaleY),
+    x1: Math.round(x1 * scaleX),
+    y1: Math.round(y1 * scaleY),
+  };
+}
+
+/**
+ * Turn Tesseract's blocks > paragraphs > lines > words tree into the
+ * blocks > lines > words layout returned to clients. OCR runs on a
+ * downscaled copy, so boxes are mapped back to the original image size
+ * given by { width, height } (the OCR image is { ocrWidth, ocrHeight }).
+ */
+function buildLayout(blocks, { width, height, ocrWidth, ocrHeight }) {
+  const scaleX = ocrWidth ? width / ocrWidth : 1;
+  const scaleY = ocrHeight ? height / ocrHeight : 1;
+
+  const word = ({ text, confidence, bbox }) => ({
+    text,
+    confidence: toScore(confidence),
+    bbox: scaleBox(bbox, scaleX, scaleY),
+  });
+
+  const line = ({ text, confidence, bbox, words }) => ({
+    text: text.trim(),
+    confidence: toScore(confidence),
+    bbox: scaleBox(bbox, scaleX, scaleY),
+    words: (words || []).map(word),
+  });
+
+  return {
+    width,
+    height,
+    blocks: (blocks || []).map(({ text, confidence, bbox, paragraphs }) => ({
+      text: text.trim(),
+      confidence: toScore(confidence),
+      bbox: scaleBox(bbox, scaleX, scaleY),
+      lines: (paragraphs || []).flatMap(paragraph => (paragraph.lines || []).map(line)),
+    })),
+  };
+}
+
+module.exports = {
+  toScore,
+  buildLayout,
+};
@@ -0,0 +1,58 @@
+// src/utils/ocrStrategies.js
+
+/**
+ * Ways of running Tesseract over a receipt: a page segmentation mode and
+ * how the image is prepared (see OCRService.optimizeImageForOCR). Every
+ * job starts with uniform-block; the others are tried when its result is
+ * poor. Single-column and auto-layout cope with narrow two-column fuel
+ * receipts, sparse-text with scattered text, binarized with faded thermal
+ * paper and high-resolution with small print.
+ */
+const RECOGNITION_STRATEGIES = {
+  'uniform-block': { pageSegMode: '6', preprocessing: 'standard' },
+  'single-column': { pageSegMode: '4', preprocessing: 'standard' },
+  'auto-layout': { pageSegMode: '3', preprocessing: 'standard' },
+  'sparse-text': { pageSegMode: '11', preprocessing: 'standard' },
+  binarized: { pageSegMode: '4', preprocessing: 'threshold' },
+  'high-resolution': { pageSegMode: '4', preprocessing: 'high-resolution' },
+};
+
+const DEFAULT_STRATEGY = 'uniform-block';
+
+// Receipt fields a usable result should have, and the classifier's
+// placeholders for fields it did not find. The date is left out as the
+// classifier falls back to today's.
+const KEY_FIELDS = ['amount', 'vendorName', 'type'];
+const PLACEHOLDERS = ['$0.00', 'Unknown Vendor', 'Other'];
+
+/**
+ * Number of key fields the classification found
+ */
+function countKeyFields(data) {
+  return KEY_FIELDS.filter(field => data[field] && !PLACEHOLDERS.includes(data[field])).length;
+}
+
+/**
+ * Rank a candidate by OCR confidence and classification completeness,
+ * both 0-1, weighted equally
+ */
+function scoreCandidate({ ocrConfidence, classificationConfidence }) {
+  return Math.round((ocrConfidence + classificationConfidence) * 500) / 1000;
+}
+
+/**
+ * Whether a candidate is poor enough to try other strategies:
+ * ocrConfidence below minConfidence or fewer than minFields key fields
+ */
+function needsAlternatives({ ocrConfidence, fields }, { minConfidence, minFields }) {
+  return ocrConfidence < minConfidence || fields < minFields;
+}
+
+module.exports = {
+  RECOGNITION_STRATEGIES,
+  DEFAULT_STRATEGY,
+  KEY_FIELDS,
+  countKeyFields,
+  scoreCandidate,
+  needsAlternatives,
+};
@@ -0,0 +1,38 @@
+// src/utils/processRole.js
+const config = require('../config');
+
+const PROCESS_ROLES = ['web', 'worker', 'all'];
+
+/**
+ * Work out what this process runs from config.processRole. A web process
+ * serves HTTP and enqueues jobs; a worker process runs OCR jobs. When the
+ * two are split, sessions, jobs and the queue must live in Redis and
+ * uploads in S3, or the worker would never see what the web process
+ * enqueued and stored.
+ */
+function resolveProcessRole(appConfig = config) {
+  const role = appConfig.processRole;
+
+  if (!PROCESS_ROLES.includes(role)) {
+    throw new Error(`Unknown PROCESS_ROLE "${role}" (expected one of ${PROCESS_ROLES.join(', ')})`);
+  }
+
+  if (role !== 'all' && (appConfig.persistence.driver !== 'redis' || appConfig.queue.driver !== 'bull')) {
+    throw new Error(`PROCESS_ROLE "${role}" needs shared state: set REDIS_URL (redis persistence and bull queue)`);
+  }
+
+  if (role !== 'all' && appConfig.storage.driver !== 's3') {
+    throw new Error(`PROCESS_ROLE "${role}" needs shared storage: set STORAGE_DRIVER=s3`);
+  }
+
+  return {
+    role,
+    runsWeb: role !== 'worker',
+    runsWorker: role !== 'web',
+  };
+}
+
+module.exports = {
+  PROCESS_ROLES,
+  resolveProcessRole,
+};
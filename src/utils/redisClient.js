@@ -0,0 +1,56 @@
+// src/utils/redisClient.js
+const Redis = require('ioredis');
+const config = require('../config');
+const { logger } = require('./logger');
+
+let client = null;
+
+/**
+ * Create a Redis connection from config. Heroku Redis uses TLS with a
+ * self-signed certificate, so rediss:// URLs skip certificate checks.
+ */
+function createRedisClient(options = {}) {
+  const { url, keyPrefix } = config.redis;
+  if (!url) {
+    throw new Error('REDIS_URL is not configured');
+  }
+
+  const redis = new Redis(url, {
+    keyPrefix,
+    tls: url.startsWith('rediss://') ? { rejectUnauthorized: false } : undefined,
+    ...options,
+  });
+
+  redis.on('error', (error) => {
+    logger.error({ error: error.message, message: 'Redis connection error' });
+  });
+
+  return redis;
+}
+
+/**
+ * Get the shared Redis connection
+ */
+function getRedisClient() {
+  if (!client) {
+    client = createRedisClient();
+  }
+  return client;
+}
+
+/**
+ * Close the shared Redis connection, if one was opened
+ */
+async function closeRedisClient() {
+  if (client) {
+    const closing = client;
+    client = null;
+    await closing.quit();
+  }
+}
+
+module.exports = {
+  createRedisClient,
+  getRedisClient,
+  closeRedisClient,
+};
@@ -0,0 +1,124 @@
+// src/utils/textStitcher.js
+
+// How alike two OCR readings of the same printed line must be (0-1);
+// below this they are different lines
+const MIN_LINE_SIMILARITY = 0.8;
+
+// Lines at a photo's edge that may be cut off and misread: the last line
+// of one part and the first of the next are skipped when that lines up a
+// longer overlap
+const MAX_EDGE_LINES = 1;
+
+// A single matching line only counts as overlap when it is this long, so
+// short repeated lines ("1", "----") do not join parts
+const MIN_SINGLE_LINE_LENGTH = 8;
+
+/**
+ * Comparable form of an OCR line: upper case, single spaces
+ */
+function normalizeLine(line) {
+  return line.toUpperCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Similarity of two strings from 0 to 1 (1 - edit distance / length)
+ */
+function similarity(a, b) {
+  if (a === b) {
+    return 1;
+  }
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) {
+    return 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / longest;
+}
+
+/**
+ * Find where the end of upper (the lines of one photo) repeats at the
+ * start of lower (the next photo). Returns the number of matching
+ * lines and the cut-off edge lines skipped on either side, or null.
+ */
+function findOverlap(upper, lower) {
+  const upperKeys = upper.map(normalizeLine);
+  const lowerKeys = lower.map(normalizeLine);
+  let best = null;
+
+  for (let tailSkip = 0; tailSkip <= MAX_EDGE_LINES; tailSkip++) {
+    for (let headSkip = 0; headSkip <= MAX_EDGE_LINES; headSkip++) {
+      const end = upperKeys.length - tailSkip;
+      const maxLength = Math.min(end, lowerKeys.length - headSkip);
+
+      for (let length = maxLength; length >= 1; length--) {
+        if (best && (length < best.length || (length === best.length && tailSkip + headSkip >= best.tailSkip + best.headSkip))) {
+          break;
+        }
+        // Skipping edge lines needs more than one line of evidence
+        if (length === 1 && (tailSkip + headSkip > 0 || upperKeys[end - 1].length < MIN_SINGLE_LINE_LENGTH)) {
+          continue;
+        }
+
+        const matches = upperKeys.slice(end - length, end).every((line, index) =>
+          similarity(line, lowerKeys[headSkip + index]) >= MIN_LINE_SIMILARITY
+        );
+        if (matches) {
+          best = { length, tailSkip, headSkip };
+          break;
+        }
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Join the text of several photos of one document, in order, dropping the
+ * lines each photo repeats from the one before. Returns the joined
+ * text and, per join, the number of lines dropped.
+ */
+function stitchTexts(texts) {
+  const lines = texts.map(text => text.split('\n').filter(line => line.trim()));
+  let stitched = lines[0] || [];
+  const droppedLines = [];
+
+  for (const next of lines.slice(1)) {
+    const overlap = findOverlap(stitched, next);
+    if (!overlap) {
+      stitched = [...stitched, ...next];
+      droppedLines.push(0);
+      continue;
+    }
+
+    // The upper photo's copy of the shared lines is kept
+    const { length, tailSkip, headSkip } = overlap;
+    stitched = [
+      ...stitched.slice(0, stitched.length - tailSkip),
+      ...next.slice(headSkip + length),
+    ];
+    droppedLines.push(length + tailSkip + headSkip);
+  }
+
+  return { text: stitched.join('\n'), droppedLines };
+}
+
+module.exports = {
+  normalizeLine,
+  similarity,
+  findOverlap,
+  stitchTexts,
+};